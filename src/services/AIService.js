@@ -4,74 +4,175 @@
  */
 
 import { PromptManager } from './PromptManager.js';
+import { TokenEstimator } from './TokenEstimator.js';
+import { AnalysisValidator } from './AnalysisValidator.js';
+import { SensitiveDataRedactor } from './SensitiveDataRedactor.js';
 
 export class AIService {
     constructor(providersConfig = null) {
         this.promptManager = new PromptManager();
+        this.tokenEstimator = new TokenEstimator();
+        this.analysisValidator = new AnalysisValidator();
+        this.sensitiveDataRedactor = new SensitiveDataRedactor();
         
         // Store provider configuration from ai-providers.json
         this.providersConfig = providersConfig || {};
+        this.sensitiveDataRedactor.updateConfig(this.providersConfig._config?.redaction);
         
         // Email and prompt length management constants
         this.PROMPT_LIMITS = {
-            // Conservative limits to account for model context windows and overhead
+            // Conservative limits used when the model's context window is not configured
             MAX_TOTAL_PROMPT_LENGTH: 32000, // characters (~8k tokens)
             MAX_EMAIL_CONTENT_LENGTH: 20000, // characters for email body
             WARNING_EMAIL_LENGTH: 15000, // warn user at this threshold
             TRUNCATION_BUFFER: 2000, // keep this much room for prompt structure
             
+            // Token budgeting when contextWindow is configured for the model
+            DEFAULT_OUTPUT_TOKENS: 4096, // reserved for the reply when maxOutputTokens is not set
+            CONTEXT_SAFETY_MARGIN: 0.05, // share of the context window kept free because counts are estimates
+            
             // Smart truncation settings
-            PRESERVE_BEGINNING: 2000, // always keep first 2k chars
-            PRESERVE_ENDING: 1000, // always keep last 1k chars
+            PRESERVE_START_RATIO: 2 / 3, // share of the kept content taken from the beginning; the rest comes from the end
             SMART_BREAK_PATTERNS: ['\n\n', '\n', '. ', '! ', '? '] // break on these
         };
         
+        // Request timeout and retry defaults (per-provider overrides: timeoutMs, retryAttempts, retryableStatuses)
+        this.REQUEST_DEFAULTS = {
+            TIMEOUT_MS: 120000, // generous enough for slow local models
+            RETRY_ATTEMPTS: 2, // retries after the first attempt
+            RETRYABLE_STATUSES: [408, 429, 500, 502, 503, 504, 529],
+            MAX_BACKOFF_MS: 8000,
+            MAX_RETRY_AFTER_MS: 60000 // cap on server-requested Retry-After waits
+        };
+        
+        // Intents drafted by generateResponseVariants when the caller does not pass variantIntents
+        this.DEFAULT_VARIANT_INTENTS = ['Accept', 'Decline', 'Ask for more information'];
+        
+        // Meeting reply templates (prompts.json "meeting" category) offered for meeting requests and appointments
+        this.MEETING_REPLY_TYPES = ['accept_with_note', 'propose_new_time'];
+        
         // Track truncation events for user transparency
         this.lastTruncationInfo = null;
         
         // Track HTML conversion events for user transparency
         this.lastHtmlConversionInfo = null;
+        
+        // Track which provider answered when a fallback chain was used
+        this.lastProviderInfo = null;
     }
 
     /**
-     * Calculates approximate token count from character count
+     * Estimates the token count of text for the model in use
      * @param {string} text - Text to estimate tokens for
+     * @param {Object} config - AI configuration (service, model); omit for a generic estimate
      * @returns {number} Estimated token count
      */
-    estimateTokenCount(text) {
-        // Rough approximation: 1 token ≈ 4 characters for English text
-        return Math.ceil((text || '').length / 4);
+    estimateTokenCount(text, config = null) {
+        if (!config) {
+            return this.tokenEstimator.estimate(text);
+        }
+        
+        const limits = this.getModelLimits(config.service || 'openai', config);
+        return this.tokenEstimator.estimate(text, { model: limits.model, family: limits.tokenizer });
+    }
+
+    /**
+     * Gets context window, output limit and tokenizer family for the configured model
+     * Model entries in the provider's `models` map override provider-level values
+     * @param {string} service - AI service name
+     * @param {Object} config - Configuration that might contain a model override
+     * @returns {Object} { model, contextWindow, maxOutputTokens, tokenizer } (null when not configured)
+     */
+    getModelLimits(service, config = {}) {
+        const providerConfig = this.providersConfig[service] || {};
+        const model = this.getDefaultModel(service, config);
+        const modelConfig = (providerConfig.models && providerConfig.models[model]) || {};
+        
+        return {
+            model,
+            contextWindow: modelConfig.contextWindow ?? providerConfig.contextWindow ?? null,
+            maxOutputTokens: modelConfig.maxOutputTokens ?? providerConfig.maxOutputTokens ?? null,
+            tokenizer: modelConfig.tokenizer ?? providerConfig.tokenizer ??
+                (providerConfig.apiFormat === 'anthropic' ? 'claude' : null)
+        };
+    }
+
+    /**
+     * Works out how much email body fits alongside the rest of the request
+     * With a configured context window the budget is what remains after the reply reserve and
+     * every other prompt part; otherwise the fixed PROMPT_LIMITS character limits apply
+     * @param {string} emailContent - Email body that will be inserted into the prompt
+     * @param {Object} config - AI configuration (service, model)
+     * @param {Array<string>} otherPromptParts - Everything else sent with the email (system prompt, rendered template, history)
+     * @returns {Object} Budget with maxEmailLength in characters
+     */
+    getEmailContentBudget(emailContent, config = null, otherPromptParts = []) {
+        const otherText = otherPromptParts.filter(Boolean).join('\n');
+        const limits = config ? this.getModelLimits(config.service || 'openai', config) : {};
+        
+        if (!limits.contextWindow) {
+            return {
+                modelAware: false,
+                otherPromptLength: otherText.length,
+                maxEmailLength: Math.max(0, Math.min(
+                    this.PROMPT_LIMITS.MAX_EMAIL_CONTENT_LENGTH,
+                    this.PROMPT_LIMITS.MAX_TOTAL_PROMPT_LENGTH - otherText.length
+                ))
+            };
+        }
+        
+        const reservedOutputTokens = limits.maxOutputTokens ||
+            Math.min(this.PROMPT_LIMITS.DEFAULT_OUTPUT_TOKENS, Math.floor(limits.contextWindow / 4));
+        const safetyTokens = Math.ceil(limits.contextWindow * this.PROMPT_LIMITS.CONTEXT_SAFETY_MARGIN);
+        const promptTokens = this.estimateTokenCount(otherText, config);
+        const availableTokens = Math.max(0, limits.contextWindow - reservedOutputTokens - safetyTokens - promptTokens);
+        
+        // Convert the token budget to characters using this email's own token density
+        const emailTokens = this.estimateTokenCount(emailContent, config);
+        const charsPerToken = emailTokens > 0 ? (emailContent || '').length / emailTokens : 4;
+        
+        return {
+            modelAware: true,
+            model: limits.model,
+            contextWindow: limits.contextWindow,
+            reservedOutputTokens,
+            promptTokens,
+            emailTokens,
+            availableTokens,
+            otherPromptLength: otherText.length,
+            maxEmailLength: Math.floor(availableTokens * charsPerToken)
+        };
     }
 
     /**
      * Checks if email content needs truncation and returns truncation info
      * @param {string} emailContent - Email body content
-     * @param {number} additionalPromptLength - Length of other prompt parts
+     * @param {Object} config - AI configuration (service, model)
+     * @param {Array<string>} otherPromptParts - Everything else sent with the email
      * @returns {Object} Truncation analysis result
      */
-    analyzeEmailLength(emailContent, additionalPromptLength = 0) {
+    analyzeEmailLength(emailContent, config = null, otherPromptParts = []) {
         const emailLength = (emailContent || '').length;
-        const totalEstimatedLength = emailLength + additionalPromptLength;
+        const budget = this.getEmailContentBudget(emailContent, config, otherPromptParts);
         
         const analysis = {
             emailLength,
-            additionalPromptLength,
-            totalEstimatedLength,
+            additionalPromptLength: budget.otherPromptLength,
+            totalEstimatedLength: emailLength + budget.otherPromptLength,
             exceedsWarningThreshold: emailLength > this.PROMPT_LIMITS.WARNING_EMAIL_LENGTH,
-            requiresTruncation: totalEstimatedLength > this.PROMPT_LIMITS.MAX_TOTAL_PROMPT_LENGTH,
-            estimatedTokens: this.estimateTokenCount(emailContent),
-            recommendedMaxLength: this.PROMPT_LIMITS.MAX_EMAIL_CONTENT_LENGTH - additionalPromptLength
+            requiresTruncation: emailLength > budget.maxEmailLength,
+            estimatedTokens: budget.emailTokens ?? this.estimateTokenCount(emailContent, config),
+            recommendedMaxLength: budget.maxEmailLength,
+            budget
         };
         
-
-        
         return analysis;
     }
 
     /**
      * Intelligently truncates email content while preserving important parts
      * @param {string} emailContent - Original email content
-     * @param {number} maxLength - Maximum allowed length
+     * @param {number} maxLength - Maximum allowed length (see getEmailContentBudget)
      * @returns {Object} Truncation result with truncated content and metadata
      */
     truncateEmailContent(emailContent, maxLength) {
@@ -85,21 +186,22 @@ export class AIService {
         }
         
         const originalLength = emailContent.length;
-        const preserveStart = Math.min(this.PROMPT_LIMITS.PRESERVE_BEGINNING, Math.floor(maxLength * 0.6));
-        const preserveEnd = Math.min(this.PROMPT_LIMITS.PRESERVE_ENDING, Math.floor(maxLength * 0.3));
         const ellipsisText = '\n\n[... EMAIL CONTENT TRUNCATED FOR PROCESSING ...]\n\n';
-        const availableLength = maxLength - preserveStart - preserveEnd - ellipsisText.length;
+        const availableLength = maxLength - ellipsisText.length;
+        const preserveStart = Math.floor(availableLength * this.PROMPT_LIMITS.PRESERVE_START_RATIO);
+        const preserveEnd = availableLength - preserveStart;
         
-        if (availableLength < 0) {
-            // If even basic preservation exceeds limits, just take from the beginning
-            const simpleContent = emailContent.substring(0, maxLength - ellipsisText.length) + ellipsisText;
+        if (availableLength < ellipsisText.length) {
+            // Too little room to keep both ends, just take from the beginning
+            const keptLength = Math.max(0, availableLength);
+            const simpleContent = emailContent.substring(0, keptLength) + ellipsisText;
             
             return {
                 content: simpleContent,
                 wasTruncated: true,
                 originalLength,
                 truncatedLength: simpleContent.length,
-                preservedStart: maxLength - ellipsisText.length,
+                preservedStart: keptLength,
                 preservedEnd: 0
             };
         }
@@ -375,7 +477,7 @@ export class AIService {
      */
     updateProvidersConfig(providersConfig) {
         this.providersConfig = providersConfig || {};
-
+        this.sensitiveDataRedactor.updateConfig(this.providersConfig._config?.redaction);
     }
 
     /**
@@ -414,9 +516,9 @@ export class AIService {
         try {
             if (window.debugLog) window.debugLog('Testing connection for service:', config.service);
             
-            // Simple ping test with minimal prompt
+            // Simple ping test with minimal prompt - no retries so a dead endpoint is reported promptly
             const testPrompt = "Hello, respond with 'OK'";
-            await this.callAI(testPrompt, config, 'health-check');
+            await this.callAI(testPrompt, { ...config, retryAttempts: 0 }, 'health-check');
             
             if (window.debugLog) window.debugLog('Connection test passed');
             return true;
@@ -493,15 +595,86 @@ export class AIService {
             throw err;
         }
     }
+
+    /**
+     * Fetch available models from an Anthropic Messages API endpoint using /models
+     * @param {string} baseUrl - The base URL for the API (should already include /v1)
+     * @param {string} apiKey - The API key for authentication
+     * @param {string} anthropicVersion - Value for the anthropic-version header
+     * @returns {Promise<Array>} - Array of model IDs
+     */
+    static async fetchAnthropicModels(baseUrl, apiKey, anthropicVersion = '2023-06-01') {
+        try {
+            const url = `${baseUrl.replace(/\/$/, '').replace(/\/messages$/, '')}/models`;
+            const headers = {
+                'anthropic-version': anthropicVersion,
+                'anthropic-dangerous-direct-browser-access': 'true'
+            };
+            if (apiKey) {
+                headers['x-api-key'] = apiKey;
+            }
+            
+            const response = await fetch(url, { headers });
+            
+            if (!response.ok) {
+                let errorMessage = `Failed to fetch models: ${response.status}`;
+                
+                if (response.status === 401) {
+                    errorMessage = 'Authentication failed: Invalid or missing API key. Please check your API key in settings.';
+                } else if (response.status === 403) {
+                    errorMessage = 'Access forbidden: Your API key may not have permission to access models. Please verify your key has the correct permissions.';
+                } else if (response.status === 404) {
+                    errorMessage = 'Endpoint not found: The models endpoint may not be available. Please verify your endpoint URL is correct.';
+                } else if (response.status >= 500) {
+                    errorMessage = 'Server error: The API server is experiencing issues. Please try again later.';
+                }
+                
+                throw new Error(errorMessage);
+            }
+            
+            const data = await response.json();
+            // Anthropic returns { data: [{ id, display_name, ... }, ...] }
+            return (data.data || []).map(m => m.id);
+        } catch (err) {
+            console.error('Error fetching Anthropic models:', err);
+            throw err;
+        }
+    }
     
+    /**
+     * Analyzes an email, validating the model's JSON against the analysis schema
+     * When validation fails the model is asked once to repair its output
+     * @param {Object} emailData - Email data
+     * @param {Object} config - AI configuration
+     * @returns {Promise<Object>} Parsed analysis
+     */
     async analyzeEmail(emailData, config) {
-        const prompt = await this.buildAnalysisPrompt(emailData);
+        const prompt = await this.buildAnalysisPrompt(emailData, config);
+        // Ask for JSON-only output where the provider supports it
+        const analysisConfig = { ...config, jsonMode: true };
         
         try {
-            const response = await this.callAI(prompt, config, 'analysis');
-            const parsed = this.parseAnalysisResponse(response);
-            return parsed;
+            const response = await this.callAI(prompt, analysisConfig, 'analysis');
+            let validation = this.validateAnalysisResponse(response);
+            let finalResponse = response;
+            
+            if (validation.errors.length > 0) {
+                console.warn('Analysis response failed validation, requesting repair:', validation.errors);
+                const repaired = await this.repairAnalysisResponse(response, validation.errors, analysisConfig);
+                
+                if (repaired && (!validation.value || repaired.validation.errors.length < validation.errors.length)) {
+                    validation = repaired.validation;
+                    finalResponse = repaired.response;
+                }
+                
+                if (validation.errors.length > 0) {
+                    console.warn('Analysis still has validation errors, using coerced values:', validation.errors);
+                }
+            }
+            
+            return this.parseAnalysisResponse(finalResponse, validation);
         } catch (error) {
+            if (this.isAbortError(error)) throw error;
             console.error('Email analysis failed:', error);
             throw new Error('Failed to analyze email: ' + error.message);
         }
@@ -551,13 +724,156 @@ export class AIService {
                 throw new Error('Response parsing resulted in empty content');
             }
             
-            return parsed;
+            return this.applyReplyMarking(parsed, config);
         } catch (error) {
+            if (this.isAbortError(error)) throw error;
             console.error('Response generation failed:', error);
             throw new Error('Failed to generate response: ' + error.message);
         }
     }
 
+    /**
+     * Generates several labeled reply drafts in one request, one per intent
+     * (for example accept, decline and ask for more information)
+     * @param {Object} emailData - Original email data
+     * @param {Object} analysis - Email analysis results
+     * @param {Object} config - Configuration including AI and response settings; variantIntents overrides the default intents
+     * @returns {Promise<Object>} { variants: [{ label, text, ... }], generatedAt }
+     */
+    async generateResponseVariants(emailData, analysis, config) {
+        if (!analysis) {
+            console.warn('Analysis is null, providing default analysis structure');
+            analysis = {
+                keyPoints: ['No analysis available'],
+                sentiment: 'neutral',
+                responseStrategy: 'respond professionally'
+            };
+        }
+
+        const intents = this.getVariantIntents(config);
+        const prompt = await this.buildResponsePrompt(emailData, analysis, config, config.settingsManager, 'variants');
+
+        try {
+            console.log('Prompt length for reply variants:', prompt.length, 'characters');
+
+            const response = await this.callAI(prompt, config, 'response');
+
+            if (!response || typeof response !== 'string' || response.trim().length === 0) {
+                throw new Error('AI service returned empty or invalid response');
+            }
+
+            const variants = this.parseResponseVariants(response, intents)
+                .map(variant => this.applyReplyMarking(variant, config));
+            if (variants.length === 0) {
+                throw new Error('No reply drafts were found in the response');
+            }
+
+            if (window.debugLog) {
+                window.debugLog('AIService: Parsed reply variants:', variants.map(variant => variant.label));
+            }
+
+            return {
+                variants,
+                generatedAt: new Date().toISOString()
+            };
+        } catch (error) {
+            if (this.isAbortError(error)) throw error;
+            console.error('Reply variant generation failed:', error);
+            throw new Error('Failed to generate reply options: ' + error.message);
+        }
+    }
+
+    /**
+     * Gets the intents to generate reply variants for
+     * @param {Object} config - Configuration; variantIntents may hold a custom list
+     * @returns {Array<string>} Intent labels
+     */
+    getVariantIntents(config = {}) {
+        const custom = Array.isArray(config?.variantIntents)
+            ? config.variantIntents.map(intent => String(intent).trim()).filter(Boolean)
+            : [];
+        return custom.length > 0 ? custom : this.DEFAULT_VARIANT_INTENTS;
+    }
+
+    /**
+     * Generates a reply to a meeting request or appointment from a meeting template
+     * @param {Object} emailData - Meeting item data, including meetingDetails and conflictHints
+     * @param {Object} analysis - Email analysis results
+     * @param {Object} config - Configuration including AI and response settings
+     * @param {string} replyType - One of MEETING_REPLY_TYPES ('accept_with_note' or 'propose_new_time')
+     * @returns {Promise<Object>} Generated response with meetingReplyType
+     */
+    async generateMeetingReply(emailData, analysis, config, replyType) {
+        if (!this.MEETING_REPLY_TYPES.includes(replyType)) {
+            throw new Error(`Unknown meeting reply type: ${replyType}`);
+        }
+        
+        if (!analysis) {
+            console.warn('Analysis is null, providing default analysis structure');
+            analysis = {
+                keyPoints: ['No analysis available'],
+                sentiment: 'neutral',
+                responseStrategy: 'respond professionally'
+            };
+        }
+        
+        const prompt = await this.buildResponsePrompt(emailData, analysis, config, config.settingsManager, replyType);
+        
+        try {
+            console.log('Prompt length for meeting reply:', prompt.length, 'characters');
+            
+            const response = await this.callAI(prompt, config, 'response');
+            
+            if (!response || typeof response !== 'string' || response.trim().length === 0) {
+                throw new Error('AI service returned empty or invalid response');
+            }
+            
+            const parsed = this.parseResponseResult(response);
+            if (!parsed.text || parsed.text.trim().length === 0) {
+                throw new Error('Response parsing resulted in empty content');
+            }
+            
+            return { ...this.applyReplyMarking(parsed, config), meetingReplyType: replyType };
+        } catch (error) {
+            if (this.isAbortError(error)) throw error;
+            console.error('Meeting reply generation failed:', error);
+            throw new Error('Failed to generate meeting reply: ' + error.message);
+        }
+    }
+
+    /**
+     * Splits a variants response into separate drafts
+     * Drafts are expected to start with a marker line: === VARIANT: <label> ===
+     * @param {string} responseText - Raw model output
+     * @param {Array<string>} intents - Requested intents, used to normalise labels
+     * @returns {Array<Object>} Drafts as { label, text, ... } in the order returned
+     */
+    parseResponseVariants(responseText, intents = []) {
+        const markerPattern = /^[ \t]*(?:={2,}|#{1,4}|\*\*)?\s*VARIANT\s*(?:\d+\s*)?[:\-–]\s*(.+?)\s*(?:={2,}|\*\*)?[ \t]*$/gim;
+        const markers = [...responseText.matchAll(markerPattern)];
+
+        if (markers.length === 0) {
+            // Model ignored the format; keep what it wrote as a single draft
+            const parsed = this.parseResponseResult(responseText);
+            return parsed.text ? [{ label: 'Reply', ...parsed }] : [];
+        }
+
+        const variants = [];
+        markers.forEach((marker, index) => {
+            const start = marker.index + marker[0].length;
+            const end = index + 1 < markers.length ? markers[index + 1].index : responseText.length;
+            const body = responseText.substring(start, end).trim();
+            if (!body) return;
+
+            const rawLabel = marker[1].replace(/[*=#]+$/, '').trim();
+            const label = intents.find(intent => intent.toLowerCase() === rawLabel.toLowerCase()) || rawLabel;
+
+            variants.push({ label, ...this.parseResponseResult(body) });
+        });
+
+        return variants.filter(variant => variant.text);
+    }
+
     /**
      * Generates follow-up suggestions for sent emails
      * @param {Object} emailData - Original sent email data
@@ -593,6 +909,7 @@ export class AIService {
             console.info('Parsed LLM follow-up suggestions result:', parsed);
             return parsed;
         } catch (error) {
+            if (this.isAbortError(error)) throw error;
             console.error('Follow-up suggestions generation failed:', error);
             throw new Error('Failed to generate follow-up suggestions: ' + error.message);
         }
@@ -611,8 +928,9 @@ export class AIService {
         
         try {
             const response = await this.callAI(prompt, config, 'refinement');
-            return this.parseResponseResult(response);
+            return this.applyReplyMarking(this.parseResponseResult(response), config);
         } catch (error) {
+            if (this.isAbortError(error)) throw error;
             console.error('Response refinement failed:', error);
             throw new Error('Failed to refine response: ' + error.message);
         }
@@ -634,7 +952,8 @@ export class AIService {
             instructions, 
             responseSettings, 
             originalEmailContext, 
-            conversationHistory
+            conversationHistory,
+            config
         );
         
         try {
@@ -660,8 +979,9 @@ export class AIService {
                 throw new Error('Refinement response parsing resulted in empty content');
             }
             
-            return parsed;
+            return this.applyReplyMarking(parsed, config);
         } catch (error) {
+            if (this.isAbortError(error)) throw error;
             console.error('Response refinement with history failed:', error);
             throw new Error('Failed to refine response with history: ' + error.message);
         }
@@ -670,9 +990,10 @@ export class AIService {
     /**
      * Builds the prompt for email analysis
      * @param {Object} emailData - Email data
+     * @param {Object} config - AI configuration, used to fit the email into the model's context window
      * @returns {Promise<string>} Analysis prompt
      */
-    async buildAnalysisPrompt(emailData) {
+    async buildAnalysisPrompt(emailData, config = null) {
         const dateStr = emailData.date ? new Date(emailData.date).toLocaleString() : 'Compose Mode';
         
         const variables = {
@@ -681,9 +1002,33 @@ export class AIService {
             email_subject: emailData.subject,
             email_date: dateStr,
             email_body: emailData.cleanBody || emailData.body,
-            email_length: emailData.bodyLength
+            email_length: emailData.bodyLength,
+            thread_summary: emailData.threadSummary || '',
+            attachments_summary: emailData.attachmentsSummary || '',
+            meeting_details: emailData.meetingDetails || '',
+            conflict_hints: (emailData.conflictHints || []).map(hint => `- ${hint}`).join('\n')
         };
 
+        // Analysis prompts have no fixed length limit; only trim when the model's context window is known
+        const emailBody = variables.email_body || '';
+        const budget = this.getEmailContentBudget(emailBody, config, [
+            this.getSystemPrompt(),
+            await this.promptManager.buildPrompt('analysis', { ...variables, email_body: '' })
+        ]);
+        
+        if (budget.modelAware && emailBody.length > budget.maxEmailLength) {
+            const truncationResult = this.truncateEmailContent(emailBody, budget.maxEmailLength);
+            variables.email_body = truncationResult.content;
+            
+            console.log('Analysis email truncated to fit context window:', {
+                model: budget.model,
+                contextWindow: budget.contextWindow,
+                availableTokens: budget.availableTokens,
+                originalLength: truncationResult.originalLength,
+                truncatedLength: truncationResult.truncatedLength
+            });
+        }
+
         return await this.promptManager.buildPrompt('analysis', variables);
     }
 
@@ -692,9 +1037,13 @@ export class AIService {
      * @param {Object} emailData - Original email data
      * @param {Object} analysis - Email analysis
      * @param {Object} config - Response configuration
+     * @param {Object} settingsManager - Settings manager instance
+     * @param {string} promptType - Response template to use ('default' or 'variants'), or a meeting reply type
+     *   from MEETING_REPLY_TYPES, which is read from the "meeting" category
      * @returns {Promise<string>} Response generation prompt
      */
-    async buildResponsePrompt(emailData, analysis, config, settingsManager = null) {
+    async buildResponsePrompt(emailData, analysis, config, settingsManager = null, promptType = 'default') {
+        const promptCategory = this.MEETING_REPLY_TYPES.includes(promptType) ? 'meeting' : 'response';
         
         const lengthMap = {
             1: 'very brief (1-2 sentences)',
@@ -732,6 +1081,16 @@ export class AIService {
             sentiment: (analysis && analysis.sentiment) || 'Not analyzed',
             responseStrategy: (analysis && analysis.responseStrategy) || 'Not analyzed',
             
+            // Quoted history, summarised (emailContent holds only the newest message)
+            threadSummary: emailData.threadSummary || '',
+            
+            // Text of the attachments the user chose to include
+            attachmentsSummary: emailData.attachmentsSummary || '',
+            
+            // Meeting requests and appointments: time, place, attendees and sentences hinting at conflicts
+            meetingDetails: emailData.meetingDetails || '',
+            conflictHints: (emailData.conflictHints || []).map(hint => `- ${hint}`).join('\n'),
+            
             // Dynamic sections that will be filled below
             writingStyleSection: '',
             emailContent: '',
@@ -741,21 +1100,19 @@ export class AIService {
             styleReinforcement: ''
         };
 
+        // Reply variants: the intents the model should write one draft for each
+        if (promptType === 'variants') {
+            const intents = this.getVariantIntents(config);
+            variables.variantCount = intents.length;
+            variables.variantIntents = intents.map((intent, index) => `${index + 1}. ${intent}`).join('\n');
+        }
+
         // WritingSamples feature has been deprecated and removed
         
         // Step 1: HTML processing and conversion (before length management)
         const rawEmailContent = emailData.cleanBody || emailData.body || '';
         const htmlProcessingResult = this.processEmailContent(rawEmailContent);
         
-        // Step 2: Email length management and smart truncation
-        const emailContent = htmlProcessingResult.content;
-        const promptSoFar = ''; // Will be calculated with template
-        const additionalPromptEstimate = 2000; // estimate for remaining prompt parts
-        
-        const lengthAnalysis = this.analyzeEmailLength(emailContent, promptSoFar.length + additionalPromptEstimate);
-        
-        let processedEmailContent = emailContent;
-        
         // Add HTML conversion notice if conversion occurred
         if (htmlProcessingResult.wasConverted) {
             const savedKB = Math.round(htmlProcessingResult.tokensSaved / 1024);
@@ -763,31 +1120,36 @@ export class AIService {
             variables.htmlConversionNotice = `**NOTE: HTML email converted to text for better processing** ` +
                 `(${savingsPercent}% more efficient, ${savedKB}KB saved)`;
         }
+
+        // Add creativity boost for very casual tone
+        if (isVeryCasualTone) {
+            variables.creativeModeSection = `**CREATIVE MODE:**
+- Feel free to be witty, playful, and engaging
+- Use humor and personality as appropriate
+- Don't be afraid to be creative with language and approach
+- Keep it fun and personable while maintaining respect`;
+        }
+        
+        // Step 2: Email length management and smart truncation
+        // Budget the email against the rest of the request: system prompt and the rendered template
+        // (including any writing style section)
+        const emailContent = htmlProcessingResult.content;
+        const promptWithoutEmail = await this.promptManager.buildPrompt(promptCategory, { ...variables, emailContent: '' }, promptType);
+        const lengthAnalysis = this.analyzeEmailLength(emailContent, config, [this.getSystemPrompt(), promptWithoutEmail]);
         
-        // Check if truncation is needed for either total length OR email content size
-        const emailContentTooLarge = emailContent.length > this.PROMPT_LIMITS.MAX_EMAIL_CONTENT_LENGTH;
-        const shouldTruncate = lengthAnalysis.requiresTruncation || emailContentTooLarge;
+        let processedEmailContent = emailContent;
         
         console.log('Truncation decision:', {
             emailContentLength: emailContent.length,
-            maxEmailContentLength: this.PROMPT_LIMITS.MAX_EMAIL_CONTENT_LENGTH,
-            emailContentTooLarge,
-            totalLengthRequiresTruncation: lengthAnalysis.requiresTruncation,
-            shouldTruncate
+            maxEmailLength: lengthAnalysis.recommendedMaxLength,
+            modelAware: lengthAnalysis.budget.modelAware,
+            contextWindow: lengthAnalysis.budget.contextWindow,
+            availableTokens: lengthAnalysis.budget.availableTokens,
+            shouldTruncate: lengthAnalysis.requiresTruncation
         });
         
-        if (shouldTruncate) {
-            const maxEmailLength = this.PROMPT_LIMITS.MAX_EMAIL_CONTENT_LENGTH - promptSoFar.length - additionalPromptEstimate;
-            
-            console.log('Truncation triggered:', {
-                emailContentLength: emailContent.length,
-                promptSoFarLength: promptSoFar.length,
-                additionalPromptEstimate,
-                maxEmailLength,
-                willTruncate: emailContent.length > maxEmailLength
-            });
-            
-            const truncationResult = this.truncateEmailContent(emailContent, maxEmailLength);
+        if (lengthAnalysis.requiresTruncation) {
+            const truncationResult = this.truncateEmailContent(emailContent, lengthAnalysis.recommendedMaxLength);
             
             processedEmailContent = truncationResult.content;
             
@@ -799,7 +1161,8 @@ export class AIService {
                     truncatedLength: truncationResult.truncatedLength,
                     preservedStart: truncationResult.preservedStart,
                     preservedEnd: truncationResult.preservedEnd,
-                    charactersRemoved: truncationResult.charactersRemoved
+                    charactersRemoved: truncationResult.charactersRemoved,
+                    contextWindow: lengthAnalysis.budget.contextWindow || null
                 };
                 
                 variables.truncationNotice = `**NOTE: Email content was automatically shortened for processing** ` +
@@ -814,67 +1177,39 @@ export class AIService {
                         charactersRemoved: truncationResult.charactersRemoved
                     });
                 }
-            } else {
-                console.log('Truncation NOT triggered despite requirement - investigating:', {
-                    emailContentLength: emailContent.length,
-                    truncationResult: truncationResult
-                });
             }
         } else if (lengthAnalysis.exceedsWarningThreshold) {
-            console.log('Email exceeds warning threshold but no truncation required:', {
-                emailLength: lengthAnalysis.emailLength,
-                warningThreshold: this.PROMPT_LIMITS.WARNING_EMAIL_LENGTH,
-                totalEstimated: lengthAnalysis.totalEstimatedLength,
-                maxTotal: this.PROMPT_LIMITS.MAX_TOTAL_PROMPT_LENGTH
-            });
-        } else {
-            console.log('No truncation needed:', {
-                emailLength: lengthAnalysis.emailLength,
-                totalEstimated: lengthAnalysis.totalEstimatedLength,
-                maxTotal: this.PROMPT_LIMITS.MAX_TOTAL_PROMPT_LENGTH,
-                exceedsWarning: lengthAnalysis.exceedsWarningThreshold
-            });
-            
-            if (lengthAnalysis.exceedsWarningThreshold) {
-                // Log warning but don't truncate yet
-                if (window.debugLog) {
-                    window.debugLog('AIService: Email length exceeds warning threshold:', {
-                        length: lengthAnalysis.emailLength,
-                        threshold: this.PROMPT_LIMITS.WARNING_EMAIL_LENGTH,
-                        totalEstimated: lengthAnalysis.totalEstimatedLength
-                    });
-                }
+            // Log warning but don't truncate
+            if (window.debugLog) {
+                window.debugLog('AIService: Email length exceeds warning threshold:', {
+                    length: lengthAnalysis.emailLength,
+                    threshold: this.PROMPT_LIMITS.WARNING_EMAIL_LENGTH,
+                    totalEstimated: lengthAnalysis.totalEstimatedLength
+                });
             }
         }
 
         // Set the processed email content
         variables.emailContent = processedEmailContent;
-        
-        // Set the processed email content
-        variables.emailContent = processedEmailContent;
-
-        // Add creativity boost for very casual tone
-        if (isVeryCasualTone) {
-            variables.creativeModeSection = `**CREATIVE MODE:**
-- Feel free to be witty, playful, and engaging
-- Use humor and personality as appropriate
-- Don't be afraid to be creative with language and approach
-- Keep it fun and personable while maintaining respect`;
-        }
 
         // Build the prompt using external template
-        const prompt = await this.promptManager.buildPrompt('response', variables, 'default');
+        const prompt = await this.promptManager.buildPrompt(promptCategory, variables, promptType);
 
         if (window.debugLog) {
             // Add comprehensive prompt length monitoring
+            const estimatedTokens = this.estimateTokenCount(prompt, config);
+            const contextWindow = lengthAnalysis.budget.contextWindow;
             const promptLengthMetrics = {
                 totalLength: prompt.length,
-                estimatedTokens: this.estimateTokenCount(prompt),
+                estimatedTokens,
+                contextWindow: contextWindow || null,
                 originalEmailLength: (emailData.cleanBody || emailData.body || '').length,
                 processedEmailLength: processedEmailContent ? processedEmailContent.length : 0,
                 wasTruncated: this.lastTruncationInfo?.wasTruncated || false,
                 exceedsWarning: prompt.length > this.PROMPT_LIMITS.WARNING_EMAIL_LENGTH,
-                nearMaxLimit: prompt.length > (this.PROMPT_LIMITS.MAX_TOTAL_PROMPT_LENGTH * 0.8)
+                nearMaxLimit: contextWindow
+                    ? estimatedTokens > (contextWindow * 0.8)
+                    : prompt.length > (this.PROMPT_LIMITS.MAX_TOTAL_PROMPT_LENGTH * 0.8)
             };
             
             window.debugLog('AIService: Prompt length analysis:', promptLengthMetrics);
@@ -917,6 +1252,21 @@ export class AIService {
         this.lastHtmlConversionInfo = null;
     }
 
+    /**
+     * Gets information about the provider that answered the last fallback-enabled request
+     * @returns {Object|null} { requestedService, service, failedOver, failures } or null
+     */
+    getLastProviderInfo() {
+        return this.lastProviderInfo;
+    }
+
+    /**
+     * Clears the stored provider information
+     */
+    clearProviderInfo() {
+        this.lastProviderInfo = null;
+    }
+
     /**
      * Builds the prompt for follow-up suggestions for sent emails
      * @param {Object} emailData - Sent email data
@@ -949,6 +1299,16 @@ export class AIService {
             sentiment: (analysis && analysis.sentiment) || 'Not analyzed',
             context: (analysis && analysis.responseStrategy) || 'Not analyzed',
             
+            // Quoted history, summarised (emailContent holds only the newest message)
+            threadSummary: emailData.threadSummary || '',
+            
+            // Text of the attachments the user chose to include
+            attachmentsSummary: emailData.attachmentsSummary || '',
+            
+            // Meeting requests and appointments: time, place, attendees and sentences hinting at conflicts
+            meetingDetails: emailData.meetingDetails || '',
+            conflictHints: (emailData.conflictHints || []).map(hint => `- ${hint}`).join('\n'),
+            
             // Dynamic sections that will be filled below
             emailContent: '',
             htmlConversionNotice: '',
@@ -959,15 +1319,6 @@ export class AIService {
         const rawEmailContent = emailData.cleanBody || emailData.body || '';
         const htmlProcessingResult = this.processEmailContent(rawEmailContent);
         
-        // Step 2: Email length management and smart truncation for follow-up prompts
-        const emailContent = htmlProcessingResult.content;
-        const promptSoFar = ''; // Will be calculated with template
-        const additionalPromptEstimate = 1500; // estimate for remaining prompt parts (shorter than response prompts)
-        
-        const lengthAnalysis = this.analyzeEmailLength(emailContent, promptSoFar.length + additionalPromptEstimate);
-        
-        let processedEmailContent = emailContent;
-        
         // Add HTML conversion notice if conversion occurred
         if (htmlProcessingResult.wasConverted) {
             const savedKB = Math.round(htmlProcessingResult.tokensSaved / 1024);
@@ -976,21 +1327,23 @@ export class AIService {
                 `(${savingsPercent}% more efficient, ${savedKB}KB saved)`;
         }
         
-        // Check if truncation is needed for either total length OR email content size
-        const emailContentTooLarge = emailContent.length > this.PROMPT_LIMITS.MAX_EMAIL_CONTENT_LENGTH;
-        const shouldTruncate = lengthAnalysis.requiresTruncation || emailContentTooLarge;
+        // Step 2: Email length management and smart truncation for follow-up prompts
+        const emailContent = htmlProcessingResult.content;
+        const promptWithoutEmail = await this.promptManager.buildPrompt('followup', { ...variables, emailContent: '' }, 'default');
+        const lengthAnalysis = this.analyzeEmailLength(emailContent, config, [this.getSystemPrompt(), promptWithoutEmail]);
+        
+        let processedEmailContent = emailContent;
         
         console.log('Follow-up truncation decision:', {
             emailContentLength: emailContent.length,
-            maxEmailContentLength: this.PROMPT_LIMITS.MAX_EMAIL_CONTENT_LENGTH,
-            emailContentTooLarge,
-            totalLengthRequiresTruncation: lengthAnalysis.requiresTruncation,
-            shouldTruncate
+            maxEmailLength: lengthAnalysis.recommendedMaxLength,
+            modelAware: lengthAnalysis.budget.modelAware,
+            contextWindow: lengthAnalysis.budget.contextWindow,
+            shouldTruncate: lengthAnalysis.requiresTruncation
         });
         
-        if (shouldTruncate) {
-            const maxEmailLength = this.PROMPT_LIMITS.MAX_EMAIL_CONTENT_LENGTH - promptSoFar.length - additionalPromptEstimate;
-            const truncationResult = this.truncateEmailContent(emailContent, maxEmailLength);
+        if (lengthAnalysis.requiresTruncation) {
+            const truncationResult = this.truncateEmailContent(emailContent, lengthAnalysis.recommendedMaxLength);
             
             processedEmailContent = truncationResult.content;
             
@@ -1216,9 +1569,10 @@ export class AIService {
      * @param {Object} responseSettings - Response settings (length, tone)
      * @param {Object} originalEmailContext - Original email context
      * @param {Array} conversationHistory - Previous refinement steps
+     * @param {Object} config - AI configuration, used to fit the email excerpt into the model's context window
      * @returns {string} Refinement prompt with conversation context
      */
-    async buildRefinementPromptWithHistory(currentResponse, instructions, responseSettings = null, originalEmailContext = null, conversationHistory = []) {
+    async buildRefinementPromptWithHistory(currentResponse, instructions, responseSettings = null, originalEmailContext = null, conversationHistory = [], config = null) {
         // Prepare template variables
         let variables = {
             // Basic data
@@ -1305,6 +1659,25 @@ export class AIService {
 - CRITICAL: Use minimal spacing around tables - only TWO line breaks maximum before tables, never more`;
         }
 
+        // The original email excerpt shares the context window with the conversation history,
+        // so shorten it when the history leaves too little room
+        if (originalEmailContext && variables.originalEmailContent) {
+            const promptWithoutEmail = await this.promptManager.buildPrompt('refinement', { ...variables, originalEmailContent: '' }, 'with_history_prompt');
+            const budget = this.getEmailContentBudget(variables.originalEmailContent, config, [this.getSystemPrompt(), promptWithoutEmail]);
+            
+            if (budget.modelAware && variables.originalEmailContent.length > budget.maxEmailLength) {
+                variables.originalEmailContent = budget.maxEmailLength > 0
+                    ? variables.originalEmailContent.substring(0, budget.maxEmailLength) + '...'
+                    : '';
+                
+                console.warn('Conversation history leaves little room in the context window; original email excerpt shortened:', {
+                    contextWindow: budget.contextWindow,
+                    promptTokens: budget.promptTokens,
+                    excerptLength: variables.originalEmailContent.length
+                });
+            }
+        }
+
         // Build the prompt using external template
         return await this.promptManager.buildPrompt('refinement', variables, 'with_history_prompt');
     }
@@ -1315,26 +1688,106 @@ export class AIService {
      * @param {Object} config - AI configuration
      * @param {string} type - Type of request (analysis, response, refinement)
      * @returns {Promise<string>} AI response text
+     *
+     * When config.onToken is a function the request is made in streaming mode and
+     * onToken(delta, fullText) is invoked as text arrives. The resolved value is
+     * always the complete response text.
+     *
+     * Pass an AbortSignal as config.signal to allow the request to be cancelled;
+     * a cancelled request rejects with an AbortError (see isAbortError).
+     *
+     * Pass provider configurations as config.fallbacks to try them in order when the
+     * provider fails with a server error, timeout or network error (see callWithFallback).
+     *
+     * Sensitive data is redacted for each provider according to its redaction settings and
+     * restored in the response (see redactPrompt).
      */
     async callAI(prompt, config, type) {
-        const service = config.service || 'openai';
-
-        if (service === 'custom') {
-            return this.callCustomEndpoint(prompt, config);
+        // Provider info describes this request only, so a failover in an earlier request is not reported again
+        this.lastProviderInfo = null;
+        
+        if (Array.isArray(config.fallbacks) && (config.fallbacks.length || config.blockedReason)) {
+            return this.callWithFallback(prompt, config, type);
         }
+        
+        const redaction = this.redactPrompt(prompt, config);
+        const response = await this.sendPrompt(redaction.prompt, redaction.config);
+        return redaction.redactions.length ? this.sensitiveDataRedactor.restore(response) : response;
+    }
 
-        // Validate service is configured in providers config
-        if (!this.providersConfig[service] && service !== 'custom') {
-            console.error(`AIService Service not configured: ${service}`);
-            throw new Error(`AI service '${service}' is not configured in providers config`);
+    /**
+     * Redacts sensitive data from a prompt for the provider in config.service
+     * Values are replaced with placeholders such as [EMAIL_1]; streamed text is restored before it
+     * reaches config.onToken, and config.onRedact({ service, redactions }) is told what was replaced.
+     * @param {string} prompt - The prompt to send
+     * @param {Object} config - AI configuration for a single provider
+     * @returns {Object} { prompt, config, redactions } to send; unchanged when nothing was redacted
+     */
+    redactPrompt(prompt, config) {
+        const service = config.service || 'openai';
+        const settings = this.sensitiveDataRedactor.getProviderSettings(this.providersConfig[service]);
+        if (!settings.enabled) {
+            return { prompt, config, redactions: [] };
         }
-
-        // Build endpoint using provider configuration and user overrides
+        
+        const { text, redactions } = this.sensitiveDataRedactor.redact(prompt, settings.entities);
+        if (!redactions.length) {
+            return { prompt, config, redactions };
+        }
+        
+        if (window.debugLog) {
+            window.debugLog(`AIService: Redacted ${redactions.length} sensitive value(s) for ${service}:`, redactions.map(entry => entry.placeholder));
+        }
+        
+        if (typeof config.onRedact === 'function') {
+            try {
+                config.onRedact({ service, redactions });
+            } catch (callbackError) {
+                console.warn('Redaction callback failed:', callbackError);
+            }
+        }
+        
+        const restore = (value) => this.sensitiveDataRedactor.restore(value);
+        const onToken = typeof config.onToken === 'function'
+            ? (delta, fullText) => config.onToken(restore(delta), restore(fullText))
+            : config.onToken;
+        
+        return { prompt: text, config: { ...config, onToken }, redactions };
+    }
+
+    /**
+     * Forgets the placeholders used so far, e.g. when a different email is opened
+     */
+    resetRedactions() {
+        this.sensitiveDataRedactor.reset();
+    }
+
+    /**
+     * Sends a prompt to a single provider
+     * @param {string} prompt - The prompt to send
+     * @param {Object} config - AI configuration
+     * @returns {Promise<string>} AI response text
+     */
+    async sendPrompt(prompt, config) {
+        const service = config.service || 'openai';
+
+        if (service === 'custom') {
+            return this.callCustomEndpoint(prompt, config);
+        }
+
+        // Validate service is configured in providers config
+        if (!this.providersConfig[service] && service !== 'custom') {
+            console.error(`AIService Service not configured: ${service}`);
+            throw new Error(`AI service '${service}' is not configured in providers config`);
+        }
+
+        // Build endpoint using provider configuration and user overrides
         let endpoint = this.buildEndpoint(service, config);
 
         // Get provider config to determine API format
         const providerConfig = this.providersConfig[service];
         const apiFormat = providerConfig?.apiFormat || 'openai';
+        const streaming = this.isStreamingEnabled(service, config);
 
         let requestBody;
         let headers;
@@ -1343,8 +1796,14 @@ export class AIService {
             requestBody = {
                 model: this.getDefaultModel(service, config),
                 messages: [{ role: 'user', content: prompt }],
-                stream: false
+                stream: streaming
             };
+            // Ollama silently drops input beyond its own default context size, so ask for the configured window
+            const { contextWindow } = this.getModelLimits(service, config);
+            if (contextWindow) {
+                requestBody.options = { num_ctx: contextWindow };
+            }
+            this.applyJsonMode(requestBody, service, config);
             headers = { 'Content-Type': 'application/json' };
         } else if (apiFormat === 'bedrock') {
             // Build Bedrock-specific request and handle AWS authentication
@@ -1353,13 +1812,18 @@ export class AIService {
         } else {
             // For OpenAI, onsite1, onsite2, and other providers, use OpenAI-compatible format
             requestBody = this.buildRequestBody(prompt, service, config);
+            this.applyJsonMode(requestBody, service, config);
             headers = this.buildHeaders(service, config);
+            // Gemini selects streaming through the endpoint (:streamGenerateContent), not the body
+            if (streaming && apiFormat !== 'gemini') {
+                requestBody.stream = true;
+            }
         }
-        let response = await fetch(endpoint, {
+        let response = await this.fetchWithRetry(endpoint, {
             method: 'POST',
             headers: headers,
             body: JSON.stringify(requestBody)
-        });
+        }, service, config);
 
         // Fallback to /api/generate if /api/chat fails with 405
         if (service === 'ollama' && response.status === 405) {
@@ -1379,14 +1843,20 @@ export class AIService {
             const generateRequestBody = {
                 model: requestBody.model,
                 prompt: requestBody.messages[0].content, // Extract prompt from messages array
-                stream: false
+                stream: streaming
             };
+            if (requestBody.options) {
+                generateRequestBody.options = requestBody.options;
+            }
+            if (requestBody.format) {
+                generateRequestBody.format = requestBody.format;
+            }
             
-            response = await fetch(fallbackEndpoint, {
+            response = await this.fetchWithRetry(fallbackEndpoint, {
                 method: 'POST',
                 headers: headers,
                 body: JSON.stringify(generateRequestBody)
-            });
+            }, service, config);
             window.debugLog(`Fallback response status: ${response.status} ${response.statusText}`);
         }
 
@@ -1397,15 +1867,25 @@ export class AIService {
             
             let userFriendlyMessage = '';
             
+            // Anthropic-style errors carry a type: { type: 'error', error: { type: 'overloaded_error', message } }
+            let errorType = '';
+            try {
+                errorType = JSON.parse(errorText)?.error?.type || '';
+            } catch (e) {
+                // Not JSON - handled below
+            }
+            
             // Provide specific error messages for common authentication and configuration issues
-            if (response.status === 401) {
+            if (response.status === 529 || errorType === 'overloaded_error') {
+                userFriendlyMessage = 'Service overloaded: The AI service is temporarily overloaded. Please wait a moment and try again.';
+            } else if (response.status === 429 || errorType === 'rate_limit_error') {
+                userFriendlyMessage = 'Rate limit exceeded: Too many requests. Please wait a moment and try again.';
+            } else if (response.status === 401) {
                 userFriendlyMessage = 'Authentication failed: Your API key is invalid or missing. Please check your API key in the settings panel and ensure it\'s correct.';
             } else if (response.status === 403) {
                 userFriendlyMessage = 'Access forbidden: Your API key may not have permission to access this service. Please verify your key has the correct permissions or contact your administrator.';
             } else if (response.status === 404) {
                 userFriendlyMessage = 'Service not found: The API endpoint may be incorrect. Please verify your endpoint URL in the settings panel.';
-            } else if (response.status === 429) {
-                userFriendlyMessage = 'Rate limit exceeded: Too many requests. Please wait a moment and try again.';
             } else if (response.status >= 500) {
                 userFriendlyMessage = 'Server error: The AI service is experiencing issues. Please try again later.';
             } else {
@@ -1427,14 +1907,489 @@ export class AIService {
                 }
             }
             
-            throw new Error(userFriendlyMessage);
+            throw this.createRequestError(userFriendlyMessage, response.status);
+        }
+
+        if (streaming && this.isStreamingResponse(response)) {
+            const streamFormat = apiFormat === 'ollama' ? 'ndjson' : 'sse';
+            return this.readStreamingResponse(
+                response,
+                streamFormat,
+                (chunk) => this.extractStreamChunkText(chunk, apiFormat),
+                config.onToken
+            );
         }
 
         const data = await response.json();
         const extractedText = this.extractResponseText(data, service);
+
+        // Server ignored the stream flag - deliver the full text as a single update
+        if (streaming) {
+            this.emitStreamToken(config.onToken, extractedText, extractedText);
+        }
         return extractedText;
     }
 
+    /**
+     * Calls the configured provider, then each of config.fallbacks in order until one answers
+     *
+     * A provider is skipped when config.blockedReason is set (e.g. blocked by classification)
+     * and abandoned when it fails with an error accepted by isFailoverError. Each switch is
+     * reported through config.onFailover({ from, to, reason, error }). Other errors, including
+     * cancellation, are thrown immediately.
+     * @param {string} prompt - The prompt to send
+     * @param {Object} config - AI configuration with fallbacks (provider configs) and optional onFailover
+     * @param {string} type - Type of request
+     * @returns {Promise<string>} AI response text
+     */
+    async callWithFallback(prompt, config, type) {
+        const { fallbacks, blockedReason, onFailover, ...primaryConfig } = config;
+        
+        // Fallback configs only carry provider details - request options come from the primary
+        const candidates = [primaryConfig, ...fallbacks.map(fallback => ({
+            ...primaryConfig,
+            deployment: undefined,
+            apiVersion: undefined,
+            ...fallback
+        }))];
+        const failures = [];
+        this.lastProviderInfo = null;
+        
+        for (let i = 0; i < candidates.length; i++) {
+            const candidate = candidates[i];
+            const next = candidates[i + 1];
+            const skipReason = i === 0 ? blockedReason : null;
+            
+            if (!skipReason) {
+                try {
+                    const result = await this.callAI(prompt, candidate, type);
+                    this.lastProviderInfo = {
+                        requestedService: primaryConfig.service,
+                        service: candidate.service,
+                        model: candidate.model,
+                        failedOver: i > 0,
+                        failures
+                    };
+                    return result;
+                } catch (error) {
+                    if (!next || !this.isFailoverError(error)) {
+                        throw error;
+                    }
+                    failures.push({ service: candidate.service, reason: error.message });
+                    console.warn(`Provider '${candidate.service}' failed, falling back to '${next.service}':`, error.message);
+                    this.notifyFailover(onFailover, candidate.service, next.service, error.message, error);
+                }
+            } else if (!next) {
+                throw new Error(skipReason);
+            } else {
+                failures.push({ service: candidate.service, reason: skipReason });
+                this.notifyFailover(onFailover, candidate.service, next.service, skipReason, null);
+            }
+        }
+    }
+
+    /**
+     * Invokes a failover callback without letting UI errors abort the request
+     * @param {Function} onFailover - Callback receiving { from, to, reason, error }
+     * @param {string} from - Provider that was abandoned
+     * @param {string} to - Provider that will be tried next
+     * @param {string} reason - Why the provider was abandoned
+     * @param {Error|null} error - Error thrown by the provider, if any
+     */
+    notifyFailover(onFailover, from, to, reason, error) {
+        if (typeof onFailover !== 'function') return;
+        try {
+            onFailover({ from, to, reason, error });
+        } catch (callbackError) {
+            console.warn('Failover callback failed:', callbackError);
+        }
+    }
+
+    /**
+     * Checks whether a provider error should move a request to the next provider in the chain
+     * Server errors (5xx), timeouts and network failures qualify; configuration and
+     * authentication errors (4xx) do not, since another provider would not fix them.
+     * @param {Error} error - Error thrown by an AI call
+     * @returns {boolean} True if the next provider should be tried
+     */
+    isFailoverError(error) {
+        if (!error || this.isAbortError(error)) {
+            return false;
+        }
+        const cause = error.cause || error;
+        if (error.name === 'TimeoutError' || cause.name === 'TimeoutError' || cause instanceof TypeError) {
+            // Provider timeout (see createTimeoutError) or fetch() network failure ("Failed to fetch")
+            return true;
+        }
+        const status = error.status || cause.status;
+        return typeof status === 'number' && status >= 500;
+    }
+
+    /**
+     * Creates an Error carrying the HTTP status of a failed provider request
+     * @param {string} message - User-friendly error message
+     * @param {number} status - HTTP status code
+     * @returns {Error} Error with a status property
+     */
+    createRequestError(message, status) {
+        const error = new Error(message);
+        error.status = status;
+        return error;
+    }
+
+    /**
+     * Resolves timeout and retry settings for a provider
+     * Priority order: config overrides > provider config (ai-providers.json) > REQUEST_DEFAULTS
+     * @param {string} service - AI service name
+     * @param {Object} config - AI configuration (may carry timeoutMs / retryAttempts overrides)
+     * @returns {Object} { timeoutMs, retryAttempts, retryableStatuses }
+     */
+    getRequestSettings(service, config = {}) {
+        const providerConfig = this.providersConfig[service] || {};
+        const pick = (...values) => values.find(value => typeof value === 'number' && value >= 0);
+        
+        return {
+            timeoutMs: pick(config.timeoutMs, providerConfig.timeoutMs, this.REQUEST_DEFAULTS.TIMEOUT_MS),
+            retryAttempts: pick(config.retryAttempts, providerConfig.retryAttempts, this.REQUEST_DEFAULTS.RETRY_ATTEMPTS),
+            retryableStatuses: Array.isArray(providerConfig.retryableStatuses)
+                ? providerConfig.retryableStatuses
+                : this.REQUEST_DEFAULTS.RETRYABLE_STATUSES
+        };
+    }
+
+    /**
+     * Fetches with a per-attempt timeout, retrying timeouts, network failures and retryable statuses
+     *
+     * The timeout covers the wait for response headers; once a response arrives, reading
+     * (or streaming) the body is only limited by config.signal. Each retry is reported through
+     * config.onRetry({ service, attempt, maxAttempts, delayMs, reason }). When retries run out
+     * the last response is returned so the caller's status handling applies.
+     * @param {string} url - Request URL
+     * @param {Object} options - fetch options (signal is supplied here)
+     * @param {string} service - AI service name (selects the provider's retry settings)
+     * @param {Object} config - AI configuration with optional signal and onRetry
+     * @returns {Promise<Response>} Fetch response
+     */
+    async fetchWithRetry(url, options, service, config) {
+        const settings = this.getRequestSettings(service, config);
+        const maxAttempts = settings.retryAttempts + 1;
+        
+        for (let attempt = 1; ; attempt++) {
+            const timeout = this.createTimeoutSignal(config.signal, settings.timeoutMs);
+            let returned = false;
+            let reason;
+            let delayMs;
+            
+            try {
+                const response = await fetch(url, { ...options, signal: timeout.signal });
+                timeout.clear();
+                
+                if (response.ok || attempt >= maxAttempts || !settings.retryableStatuses.includes(response.status)) {
+                    // The body is still read through this attempt's signal, so cancelling must keep reaching it
+                    returned = true;
+                    return response;
+                }
+                
+                reason = `returned ${response.status}${response.statusText ? ' ' + response.statusText : ''}`;
+                delayMs = this.getRetryDelay(response, attempt);
+                response.body?.cancel().catch(() => {});
+            } catch (error) {
+                timeout.clear();
+                if (config.signal?.aborted) {
+                    throw error;
+                }
+                
+                const failure = timeout.timedOut()
+                    ? this.createTimeoutError(settings.timeoutMs, error)
+                    : error;
+                const retryable = timeout.timedOut() || error instanceof TypeError;
+                if (!retryable || attempt >= maxAttempts) {
+                    throw failure;
+                }
+                
+                reason = timeout.timedOut()
+                    ? `did not respond within ${Math.round(settings.timeoutMs / 1000)}s`
+                    : 'could not be reached';
+                delayMs = this.getRetryDelay(null, attempt);
+            } finally {
+                // Attempts that are retried or failed must not leave listeners on the caller's signal
+                if (!returned) {
+                    timeout.release();
+                }
+            }
+            
+            console.warn(`AI request to '${service}' ${reason}. Retrying in ${delayMs}ms (attempt ${attempt + 1}/${maxAttempts})`);
+            if (typeof config.onRetry === 'function') {
+                try {
+                    config.onRetry({ service, attempt: attempt + 1, maxAttempts, delayMs, reason });
+                } catch (callbackError) {
+                    console.warn('Retry callback failed:', callbackError);
+                }
+            }
+            
+            await this.waitForRetry(delayMs, config.signal);
+        }
+    }
+
+    /**
+     * Creates an AbortSignal that fires on timeout or when the caller's signal aborts
+     * @param {AbortSignal} [parentSignal] - Caller's cancellation signal
+     * @param {number} timeoutMs - Timeout in milliseconds (0 disables the timeout)
+     * @returns {Object} { signal, clear(), release(), timedOut() } - clear() stops the timeout;
+     *   release() also detaches from the caller's signal once the attempt's response is no longer read
+     */
+    createTimeoutSignal(parentSignal, timeoutMs) {
+        const controller = new AbortController();
+        const onParentAbort = () => controller.abort();
+        let timedOut = false;
+        
+        if (parentSignal) {
+            if (parentSignal.aborted) {
+                controller.abort();
+            } else {
+                parentSignal.addEventListener('abort', onParentAbort, { once: true });
+            }
+        }
+        
+        const timeoutId = timeoutMs > 0
+            ? setTimeout(() => {
+                timedOut = true;
+                controller.abort();
+            }, timeoutMs)
+            : null;
+        
+        return {
+            signal: controller.signal,
+            clear: () => clearTimeout(timeoutId),
+            release: () => {
+                clearTimeout(timeoutId);
+                parentSignal?.removeEventListener('abort', onParentAbort);
+            },
+            timedOut: () => timedOut
+        };
+    }
+
+    /**
+     * Creates the error thrown when a provider does not respond within its timeout
+     * @param {number} timeoutMs - Timeout that elapsed
+     * @param {Error} cause - Underlying abort error
+     * @returns {Error} Error named TimeoutError (eligible for provider failover)
+     */
+    createTimeoutError(timeoutMs, cause) {
+        const error = new Error(
+            `Request timed out: The AI service did not respond within ${Math.round(timeoutMs / 1000)} seconds. ` +
+            'Please try again, or increase timeoutMs for this provider.',
+            { cause }
+        );
+        error.name = 'TimeoutError';
+        return error;
+    }
+
+    /**
+     * Calculates the wait before the next attempt
+     * Honors a Retry-After header (seconds or HTTP date) when the server sends one and
+     * CORS exposes it; otherwise uses exponential backoff (1s, 2s, 4s... capped).
+     * @param {Response|null} response - Failed response, if any
+     * @param {number} attempt - Attempt that just failed (1-based)
+     * @returns {number} Delay in milliseconds
+     */
+    getRetryDelay(response, attempt) {
+        const retryAfter = response?.headers?.get('retry-after');
+        if (retryAfter) {
+            const seconds = Number(retryAfter);
+            const delayMs = Number.isFinite(seconds)
+                ? seconds * 1000
+                : Date.parse(retryAfter) - Date.now();
+            if (Number.isFinite(delayMs) && delayMs >= 0) {
+                return Math.min(delayMs, this.REQUEST_DEFAULTS.MAX_RETRY_AFTER_MS);
+            }
+        }
+        return Math.min(1000 * Math.pow(2, attempt - 1), this.REQUEST_DEFAULTS.MAX_BACKOFF_MS);
+    }
+
+    /**
+     * Waits before a retry, rejecting with an AbortError if the request is cancelled meanwhile
+     * @param {number} delayMs - Delay in milliseconds
+     * @param {AbortSignal} [signal] - Caller's cancellation signal
+     * @returns {Promise<void>}
+     */
+    waitForRetry(delayMs, signal) {
+        return new Promise((resolve, reject) => {
+            if (signal?.aborted) {
+                reject(new DOMException('The operation was aborted.', 'AbortError'));
+                return;
+            }
+            const onAbort = () => {
+                clearTimeout(timeoutId);
+                reject(new DOMException('The operation was aborted.', 'AbortError'));
+            };
+            const timeoutId = setTimeout(() => {
+                signal?.removeEventListener('abort', onAbort);
+                resolve();
+            }, delayMs);
+            signal?.addEventListener('abort', onAbort, { once: true });
+        });
+    }
+
+    /**
+     * Checks whether an error was caused by cancelling a request through an AbortSignal
+     * @param {Error} error - Error thrown by an AI call
+     * @returns {boolean} True if the request was aborted
+     */
+    isAbortError(error) {
+        return !!error && error.name === 'AbortError';
+    }
+
+    /**
+     * Determines whether a request should be made in streaming mode
+     * Providers can opt out with "streaming": false in ai-providers.json
+     * @param {string} service - AI service name
+     * @param {Object} config - AI configuration (streaming requires config.onToken)
+     * @returns {boolean} True if the response should be streamed
+     */
+    isStreamingEnabled(service, config) {
+        if (typeof config.onToken !== 'function') {
+            return false;
+        }
+        return this.providersConfig[service]?.streaming !== false;
+    }
+
+    /**
+     * Checks whether a fetch response carries a streamed body
+     * @param {Response} response - Fetch response
+     * @returns {boolean} True for NDJSON, SSE or AWS event stream bodies
+     */
+    isStreamingResponse(response) {
+        const contentType = response.headers.get('content-type') || '';
+        return !!response.body && /ndjson|event-stream|eventstream/i.test(contentType);
+    }
+
+    /**
+     * Invokes a streaming token callback without letting UI errors abort the request
+     * @param {Function} onToken - Callback receiving (delta, fullText)
+     * @param {string} delta - Newly received text
+     * @param {string} fullText - Text received so far
+     */
+    emitStreamToken(onToken, delta, fullText) {
+        try {
+            onToken(delta, fullText);
+        } catch (error) {
+            console.warn('Streaming token callback failed:', error);
+        }
+    }
+
+    /**
+     * Reads a streamed response body, emitting incremental text as it arrives
+     * @param {Response} response - Fetch response with a readable body
+     * @param {string} streamFormat - 'ndjson' (Ollama), 'sse' (OpenAI) or 'eventstream' (Bedrock)
+     * @param {Function} extractChunkText - Maps a parsed chunk object to its text delta
+     * @param {Function} onToken - Callback receiving (delta, fullText)
+     * @returns {Promise<string>} Complete response text
+     */
+    async readStreamingResponse(response, streamFormat, extractChunkText, onToken) {
+        const reader = response.body.getReader();
+        const decoder = new TextDecoder();
+        let fullText = '';
+        let textBuffer = '';
+        let binaryBuffer = new Uint8Array(0);
+
+        const handleChunk = (chunk) => {
+            if (chunk && chunk.error) {
+                const message = chunk.error.message || chunk.error;
+                if (chunk.error.type === 'overloaded_error') {
+                    throw this.createRequestError(`Service overloaded: The AI service is temporarily overloaded. Please wait a moment and try again. (${message})`, 529);
+                }
+                throw new Error(`Stream error: ${message}`);
+            }
+            const delta = extractChunkText(chunk);
+            if (delta) {
+                fullText += delta;
+                this.emitStreamToken(onToken, delta, fullText);
+            }
+        };
+
+        while (true) {
+            const { done, value } = await reader.read();
+            if (done) break;
+
+            if (streamFormat === 'eventstream') {
+                const merged = new Uint8Array(binaryBuffer.length + value.length);
+                merged.set(binaryBuffer);
+                merged.set(value, binaryBuffer.length);
+                const { messages, remaining } = this.decodeEventStreamMessages(merged);
+                binaryBuffer = remaining;
+                messages.forEach(handleChunk);
+            } else {
+                textBuffer += decoder.decode(value, { stream: true });
+                const lines = textBuffer.split('\n');
+                textBuffer = lines.pop();
+                lines.forEach(line => this.parseStreamLine(line, streamFormat, handleChunk));
+            }
+        }
+
+        if (streamFormat !== 'eventstream') {
+            textBuffer += decoder.decode();
+            this.parseStreamLine(textBuffer, streamFormat, handleChunk);
+        }
+
+        if (window.debugLog) window.debugLog(`Stream completed (${streamFormat}): ${fullText.length} characters`);
+        return fullText;
+    }
+
+    /**
+     * Parses a single NDJSON or SSE line and forwards the decoded chunk
+     * @param {string} line - Raw line from the stream
+     * @param {string} streamFormat - 'ndjson' or 'sse'
+     * @param {Function} handleChunk - Receives the parsed chunk object
+     */
+    parseStreamLine(line, streamFormat, handleChunk) {
+        let payload = line.trim();
+        if (!payload) return;
+
+        if (streamFormat === 'sse') {
+            // Only data fields carry content; ignore comments, event names and ids
+            if (!payload.startsWith('data:')) return;
+            payload = payload.substring(5).trim();
+            if (!payload || payload === '[DONE]') return;
+        }
+
+        let chunk;
+        try {
+            chunk = JSON.parse(payload);
+        } catch (error) {
+            console.warn('Skipping malformed stream line:', payload.substring(0, 100));
+            return;
+        }
+        handleChunk(chunk);
+    }
+
+    /**
+     * Extracts the text delta from a streamed chunk
+     * @param {Object} chunk - Parsed stream chunk
+     * @param {string} apiFormat - Provider API format
+     * @returns {string} Text delta (empty if the chunk carries no text)
+     */
+    extractStreamChunkText(chunk, apiFormat) {
+        if (apiFormat === 'ollama') {
+            // /api/chat: { message: { content } }, /api/generate: { response }
+            return chunk.message?.content || chunk.response || '';
+        }
+
+        if (apiFormat === 'anthropic') {
+            // Messages API: { type: 'content_block_delta', delta: { type: 'text_delta', text } }
+            return chunk.type === 'content_block_delta' ? (chunk.delta?.text || '') : '';
+        }
+
+        if (apiFormat === 'gemini') {
+            // streamGenerateContent sends partial GenerateContentResponse objects
+            return this.extractGeminiCandidateText(chunk);
+        }
+
+        // OpenAI-compatible: { choices: [{ delta: { content } }] }
+        const choice = chunk.choices?.[0];
+        return choice?.delta?.content || choice?.text || '';
+    }
+
     /**
      * Extracts response text from different AI service response formats
      * @param {Object} data - Response data from AI service
@@ -1443,6 +2398,25 @@ export class AIService {
      */
     extractResponseText(data, service) {
         
+        if (this.providersConfig[service]?.apiFormat === 'anthropic' || Array.isArray(data.content)) {
+            // Anthropic Messages format: { content: [{ type: 'text', text: "..." }, ...] }
+            const text = this.extractContentBlocksText(data.content);
+            if (text) {
+                return text;
+            }
+        }
+        
+        if (this.providersConfig[service]?.apiFormat === 'gemini' || Array.isArray(data.candidates)) {
+            // Gemini format: { candidates: [{ content: { parts: [{ text: "..." }] } }] }
+            const text = this.extractGeminiCandidateText(data);
+            if (text) {
+                return text;
+            }
+            if (data.promptFeedback?.blockReason) {
+                throw new Error(`Response blocked: The provider declined this request (${data.promptFeedback.blockReason}).`);
+            }
+        }
+        
         if (service === 'ollama') {
             // Ollama format: { response: "text" } or { message: { content: "text" } }
             if (data.response) {
@@ -1451,7 +2425,8 @@ export class AIService {
             if (data.message && data.message.content) {
                 return data.message.content;
             }
-        } else if (service === 'openai' || service === 'onsite1' || service === 'custom') {
+        } else if (service === 'openai' || service === 'onsite1' || service === 'custom' ||
+                   ['openai', 'azure-openai'].includes(this.providersConfig[service]?.apiFormat)) {
             // OpenAI compatible format: { choices: [{ message: { content: "text" } }] }
             if (data.choices && data.choices.length > 0) {
                 const choice = data.choices[0];
@@ -1485,6 +2460,37 @@ export class AIService {
         return JSON.stringify(data);
     }
 
+    /**
+     * Joins the text of Anthropic-style content blocks, skipping non-text blocks
+     * @param {Array} contentBlocks - Content blocks from a Messages API response
+     * @returns {string} Concatenated text ('' if there are no text blocks)
+     */
+    extractContentBlocksText(contentBlocks) {
+        if (!Array.isArray(contentBlocks)) {
+            return '';
+        }
+        return contentBlocks
+            .filter(block => block && block.type === 'text' && typeof block.text === 'string')
+            .map(block => block.text)
+            .join('');
+    }
+
+    /**
+     * Joins the text parts of the first Gemini candidate
+     * @param {Object} data - GenerateContentResponse (or a streamed partial response)
+     * @returns {string} Concatenated text ('' if the candidate has no text parts)
+     */
+    extractGeminiCandidateText(data) {
+        const parts = data?.candidates?.[0]?.content?.parts;
+        if (!Array.isArray(parts)) {
+            return '';
+        }
+        return parts
+            .filter(part => part && typeof part.text === 'string' && !part.thought)
+            .map(part => part.text)
+            .join('');
+    }
+
     /**
      * Builds the endpoint URL for an AI service using provider config and user overrides
      * @param {string} service - AI service name
@@ -1545,6 +2551,25 @@ export class AIService {
                 const providerConfig = this.providersConfig[service];
                 if (providerConfig && providerConfig.apiFormat === 'ollama') {
                     return `${baseUrl}/api/chat`;
+                } else if (providerConfig && providerConfig.apiFormat === 'anthropic') {
+                    // Anthropic Messages API (base URL should include /v1)
+                    return baseUrl.endsWith('/messages') ? baseUrl : `${baseUrl}/messages`;
+                } else if (providerConfig && providerConfig.apiFormat === 'gemini') {
+                    // Gemini generateContent API (base URL should include the API version, e.g. /v1beta)
+                    const model = this.getDefaultModel(service, config).replace(/^models\//, '');
+                    const method = this.isStreamingEnabled(service, config)
+                        ? 'streamGenerateContent?alt=sse'
+                        : 'generateContent';
+                    const geminiEndpoint = `${baseUrl}/models/${encodeURIComponent(model)}:${method}`;
+                    return this.appendGeminiKeyParameter(geminiEndpoint, service, config.apiKey);
+                } else if (providerConfig && providerConfig.apiFormat === 'azure-openai') {
+                    // Azure-style deployment endpoint: the deployment selects the model, api-version is a query parameter
+                    const { deployment, apiVersion } = this.getAzureDeploymentSettings(service, config);
+                    if (!deployment) {
+                        throw new Error('Azure OpenAI deployment name is required. Please set the deployment name in the settings panel.');
+                    }
+                    baseUrl = baseUrl.replace(/\/openai$/, '');
+                    return `${baseUrl}/openai/deployments/${encodeURIComponent(deployment)}/chat/completions?api-version=${encodeURIComponent(apiVersion)}`;
                 } else {
                     // Always ensure /chat/completions for OpenAI-compatible (onsite1, onsite2, etc.)
                     return ensureOpenAICompletions(baseUrl);
@@ -1552,6 +2577,37 @@ export class AIService {
         }
     }
 
+    /**
+     * Adds the API key as a query parameter for gemini providers configured with "apiKeyLocation": "query"
+     * (the default is the x-goog-api-key header, which keeps the key out of URLs and logs)
+     * @param {string} url - Request URL
+     * @param {string} service - AI service name
+     * @param {string} apiKey - API key
+     * @returns {string} URL with the key parameter when applicable
+     */
+    appendGeminiKeyParameter(url, service, apiKey) {
+        if (!apiKey || this.providersConfig[service]?.apiKeyLocation !== 'query') {
+            return url;
+        }
+        const separator = url.includes('?') ? '&' : '?';
+        return `${url}${separator}key=${encodeURIComponent(apiKey)}`;
+    }
+
+    /**
+     * Resolves the deployment name and api-version for an azure-openai provider
+     * @param {string} service - AI service name
+     * @param {Object} config - Configuration including user overrides
+     * @returns {{deployment: string, apiVersion: string}} Deployment settings
+     */
+    getAzureDeploymentSettings(service, config) {
+        // Priority order: user settings > provider config > defaults
+        const providerConfig = this.providersConfig[service] || {};
+        return {
+            deployment: (config.deployment || providerConfig.deployment || '').trim(),
+            apiVersion: (config.apiVersion || providerConfig.apiVersion || '2024-06-01').trim()
+        };
+    }
+
     /**
      * Calls a custom AI endpoint
      * @param {string} prompt - The prompt
@@ -1576,11 +2632,11 @@ export class AIService {
             headers['Authorization'] = `Bearer ${config.apiKey}`;
         }
 
-        const response = await fetch(config.endpointUrl, {
+        const response = await this.fetchWithRetry(config.endpointUrl, {
             method: 'POST',
             headers: headers,
             body: JSON.stringify(requestBody)
-        });
+        }, 'custom', config);
 
         if (!response.ok) {
             throw new Error(`Custom endpoint request failed: ${response.status}`);
@@ -1611,7 +2667,7 @@ export class AIService {
                     messages: [
                         {
                             role: 'system',
-                            content: 'You are a helpful AI assistant that specializes in email tasks including analysis, responses, forwarding, summarizing, and composition. Be flexible about the type of email assistance needed. Provide clear, professional, and actionable insights.'
+                            content: this.getSystemPrompt()
                         },
                         {
                             role: 'user',
@@ -1633,6 +2689,54 @@ export class AIService {
                     temperature: 0.7
                 };
                 
+            case 'azure-openai':
+                // Same shape as OpenAI, but the model is chosen by the deployment in the URL
+                return {
+                    messages: [
+                        {
+                            role: 'system',
+                            content: this.getSystemPrompt()
+                        },
+                        {
+                            role: 'user',
+                            content: prompt
+                        }
+                    ],
+                    temperature: 0.7
+                };
+                
+            case 'gemini':
+                // generateContent takes the system prompt as systemInstruction and user turns as contents
+                return {
+                    systemInstruction: {
+                        parts: [{ text: this.getSystemPrompt() }]
+                    },
+                    contents: [
+                        {
+                            role: 'user',
+                            parts: [{ text: prompt }]
+                        }
+                    ],
+                    generationConfig: {
+                        temperature: 0.7
+                    }
+                };
+                
+            case 'anthropic':
+                // Messages API takes the system prompt as a top-level field, not a message
+                return {
+                    model: this.getDefaultModel(service, config),
+                    system: this.getSystemPrompt(),
+                    messages: [
+                        {
+                            role: 'user',
+                            content: prompt
+                        }
+                    ],
+                    max_tokens: providerConfig.maxTokens || this.getModelLimits(service, config).maxOutputTokens || 4096,
+                    temperature: 0.7
+                };
+                
             case 'bedrock':
                 // Bedrock uses its own request format, but this method shouldn't be called for Bedrock
                 // since callAI handles Bedrock separately. This is here for completeness.
@@ -1643,6 +2747,47 @@ export class AIService {
         }
     }
 
+    /**
+     * Requests JSON-only output when config.jsonMode is set and the provider's format supports it
+     * Providers can opt out with "jsonMode": false (e.g. OpenAI-compatible gateways that reject response_format)
+     * @param {Object} requestBody - Request body (from buildRequestBody, or the Ollama chat body), updated in place
+     * @param {string} service - AI service name
+     * @param {Object} config - AI configuration
+     */
+    applyJsonMode(requestBody, service, config) {
+        const providerConfig = this.providersConfig[service] || {};
+        if (!config.jsonMode || providerConfig.jsonMode === false) {
+            return;
+        }
+        
+        switch (providerConfig.apiFormat || 'openai') {
+            case 'ollama':
+                requestBody.format = 'json';
+                break;
+            case 'openai':
+            case 'azure-openai':
+                requestBody.response_format = { type: 'json_object' };
+                break;
+            case 'gemini':
+                requestBody.generationConfig = {
+                    ...requestBody.generationConfig,
+                    responseMimeType: 'application/json'
+                };
+                break;
+            default:
+                // Anthropic and Bedrock have no JSON mode; the prompt and validation handle it
+                break;
+        }
+    }
+
+    /**
+     * System prompt sent with chat-style request formats
+     * @returns {string} System prompt text
+     */
+    getSystemPrompt() {
+        return 'You are a helpful AI assistant that specializes in email tasks including analysis, responses, forwarding, summarizing, and composition. Be flexible about the type of email assistance needed. Provide clear, professional, and actionable insights.';
+    }
+
     /**
      * Builds headers for API request
      * @param {string} service - AI service name
@@ -1674,6 +2819,27 @@ export class AIService {
             case 'ollama':
                 // Ollama does not require Authorization header by default
                 break;
+            case 'azure-openai':
+                // Azure-style endpoints authenticate with an api-key header instead of Bearer auth
+                if (config.apiKey) {
+                    headers['api-key'] = config.apiKey;
+                }
+                break;
+            case 'gemini':
+                // Key goes in x-goog-api-key unless the provider is configured to pass it as ?key=
+                if (config.apiKey && providerConfig.apiKeyLocation !== 'query') {
+                    headers['x-goog-api-key'] = config.apiKey;
+                }
+                break;
+            case 'anthropic':
+                // Anthropic authenticates with x-api-key and requires a pinned API version
+                if (config.apiKey) {
+                    headers['x-api-key'] = config.apiKey;
+                }
+                headers['anthropic-version'] = providerConfig.anthropicVersion || '2023-06-01';
+                // Required for CORS when calling api.anthropic.com directly from the taskpane
+                headers['anthropic-dangerous-direct-browser-access'] = 'true';
+                break;
             case 'bedrock':
                 // Bedrock uses AWS Signature V4 authentication, handled in callBedrock
                 // This method shouldn't be called for Bedrock
@@ -1689,31 +2855,79 @@ export class AIService {
     }
 
     /**
-     * Parses analysis response from AI
+     * Extracts and validates the analysis JSON in a model response
      * @param {string} responseText - Raw response text
-     * @returns {Object} Parsed analysis
+     * @returns {Object} { value, errors } - value is null when no JSON object was found
+     */
+    validateAnalysisResponse(responseText) {
+        const parsed = this.analysisValidator.extractJson(responseText);
+        if (!parsed) {
+            return { value: null, errors: ['response did not contain a JSON object'] };
+        }
+        return this.analysisValidator.validate(parsed);
+    }
+
+    /**
+     * Asks the model once to correct an analysis response that failed validation
+     * @param {string} previousResponse - Response that failed validation
+     * @param {Array<string>} errors - Validation errors to report back to the model
+     * @param {Object} config - AI configuration used for the original request
+     * @returns {Promise<Object|null>} { response, validation }, or null if the repair request failed
      */
-    parseAnalysisResponse(responseText) {
-        // Try to extract and parse the first JSON object from the response
+    async repairAnalysisResponse(previousResponse, errors, config) {
+        const providerInfo = this.lastProviderInfo;
+        
         try {
-            let jsonMatch = responseText.match(/\{[\s\S]*\}/);
-            if (jsonMatch) {
-                const parsed = JSON.parse(jsonMatch[0]);
-                return {
-                    keyPoints: parsed.keyPoints || [],
-                    sentiment: parsed.sentiment || 'Unable to determine',
-                    intent: parsed.intent || 'Unable to determine',
-                    urgencyLevel: parsed.urgencyLevel || 3,
-                    urgencyReason: parsed.urgencyReason || 'Standard priority',
-                    actions: parsed.actions || [],
-                    responseStrategy: parsed.responseStrategy || 'Respond professionally'
-                };
+            const repairPrompt = await this.promptManager.buildPrompt('analysis', {
+                validation_errors: errors.map(error => `- ${error}`).join('\n'),
+                previous_response: (previousResponse || '').substring(0, 4000),
+                analysis_schema: JSON.stringify(this.analysisValidator.schema, null, 2)
+            }, 'repair_prompt');
+            
+            const response = await this.callAI(repairPrompt, config, 'analysis');
+            const validation = this.validateAnalysisResponse(response);
+            
+            if (window.debugLog) {
+                window.debugLog('AIService: Analysis repair result:', { errors: validation.errors });
             }
+            return { response, validation };
         } catch (error) {
-            // Ignore and fallback
+            if (this.isAbortError(error)) throw error;
+            console.warn('Analysis repair request failed, keeping original response:', error);
+            return null;
+        } finally {
+            // Keep reporting the provider that produced the original analysis after a failover
+            if (providerInfo?.failedOver) {
+                this.lastProviderInfo = providerInfo;
+            }
         }
-        // Fallback to text parsing
-        return this.parseAnalysisFromText(responseText);
+    }
+
+    /**
+     * Parses analysis response from AI
+     * @param {string} responseText - Raw response text
+     * @param {Object} validation - Result of validateAnalysisResponse, if already computed
+     * @returns {Object} Parsed analysis
+     */
+    parseAnalysisResponse(responseText, validation = null) {
+        const result = validation || this.validateAnalysisResponse(responseText);
+        
+        // Fallback to text parsing when the model did not return JSON at all
+        if (!result.value) {
+            return this.parseAnalysisFromText(responseText);
+        }
+        
+        const analysis = result.value;
+        return {
+            keyPoints: analysis.keyPoints,
+            sentiment: analysis.sentiment || 'Unable to determine',
+            intent: analysis.intent || 'Unable to determine',
+            urgencyLevel: analysis.urgencyLevel,
+            urgencyReason: analysis.urgencyReason || 'Standard priority',
+            dueDates: analysis.dueDates,
+            actions: analysis.actions,
+            responseStrategy: analysis.responseStrategy || 'Respond professionally'
+        };
     }
 
     /**
@@ -1837,6 +3051,20 @@ export class AIService {
         return result;
     }
 
+    /**
+     * Marks a parsed reply with the source email's classification using config.markReply, if given
+     * Runs after parsing so the banner cannot be dropped or lowered by the model or by refinement instructions.
+     * @param {Object} parsed - Result of parseResponseResult
+     * @param {Object} config - AI configuration; markReply(parsed) returns the marked reply
+     * @returns {Object} Marked reply (unchanged without markReply)
+     */
+    applyReplyMarking(parsed, config) {
+        if (!config || typeof config.markReply !== 'function') {
+            return parsed;
+        }
+        return config.markReply(parsed);
+    }
+
     /**
      * AWS Bedrock integration
      */
@@ -1963,9 +3191,12 @@ export class AIService {
             
             // For CORS proxy, use the base endpoint directly (model ID goes in request body)
             // For direct AWS Bedrock, build model-specific endpoint
+            // The CORS proxy only supports the non-streaming InvokeModel API
+            const streaming = this.isStreamingEnabled(config.service || 'bedrock', config);
+            const invokeAction = streaming ? 'invoke-with-response-stream' : 'invoke';
             const endpoint = baseEndpoint.includes('execute-api') ? 
                 baseEndpoint : // CORS proxy endpoint
-                `${baseEndpoint}/model/${model}/invoke`;
+                `${baseEndpoint}/model/${model}/${invokeAction}`;
             
             window.debugLog('Full endpoint URL being called:', endpoint);
             
@@ -2010,19 +3241,35 @@ export class AIService {
             window.debugLog('About to make fetch request to:', endpoint);
             window.debugLog('Fetch options:', JSON.stringify(fetchOptions, null, 2));
             
-            const response = await fetch(endpoint, fetchOptions);
+            const response = await this.fetchWithRetry(endpoint, fetchOptions, config.service, config);
             
             if (!response.ok) {
                 const errorText = await response.text();
-                throw new Error(`Bedrock API error ${response.status}: ${errorText}`);
+                throw this.createRequestError(`Bedrock API error ${response.status}: ${errorText}`, response.status);
+            }
+            
+            if (streaming && this.isStreamingResponse(response)) {
+                const contentType = response.headers.get('content-type') || '';
+                const streamFormat = /eventstream/i.test(contentType) ? 'eventstream' : 'sse';
+                return await this.readStreamingResponse(
+                    response,
+                    streamFormat,
+                    (chunk) => this.extractBedrockStreamChunk(chunk, model),
+                    config.onToken
+                );
             }
             
             const data = await response.json();
-            return this.extractBedrockResponse(data, model);
+            const responseText = this.extractBedrockResponse(data, model);
+            if (streaming) {
+                this.emitStreamToken(config.onToken, responseText, responseText);
+            }
+            return responseText;
             
         } catch (error) {
+            if (this.isAbortError(error)) throw error;
             console.error('Bedrock AI call failed:', error);
-            throw new Error(`Bedrock request failed: ${error.message}`);
+            throw new Error(`Bedrock request failed: ${error.message}`, { cause: error });
         }
     }
     
@@ -2093,6 +3340,157 @@ export class AIService {
         }
     }
     
+    /**
+     * Extracts the text delta from a Bedrock response stream chunk
+     * @param {Object} chunk - Decoded chunk payload
+     * @param {string} model - Bedrock model ID
+     * @returns {string} Text delta (empty if the chunk carries no text)
+     */
+    extractBedrockStreamChunk(chunk, model) {
+        const modelFamily = model.split('.')[0];
+        
+        switch (modelFamily) {
+            case 'anthropic':
+                // Messages API emits content_block_delta events; legacy text completions use completion
+                if (chunk.type === 'content_block_delta') {
+                    return chunk.delta?.text || '';
+                }
+                return chunk.completion || '';
+                
+            case 'amazon':
+                return chunk.outputText || '';
+                
+            case 'ai21':
+                return chunk.completions?.[0]?.data?.text || '';
+                
+            case 'cohere':
+                return chunk.text || chunk.generations?.[0]?.text || '';
+                
+            default:
+                return '';
+        }
+    }
+    
+    /**
+     * Decodes complete messages from an AWS event stream (application/vnd.amazon.eventstream)
+     * Message layout: total length (4) | headers length (4) | prelude CRC (4) | headers | payload | message CRC (4)
+     * @param {Uint8Array} bytes - Buffered stream bytes
+     * @returns {Object} { messages: decoded chunk payloads, remaining: bytes of any incomplete message }
+     */
+    decodeEventStreamMessages(bytes) {
+        const messages = [];
+        const decoder = new TextDecoder();
+        let offset = 0;
+        
+        while (bytes.length - offset >= 12) {
+            const view = new DataView(bytes.buffer, bytes.byteOffset + offset, bytes.length - offset);
+            const totalLength = view.getUint32(0);
+            const headersLength = view.getUint32(4);
+            
+            if (bytes.length - offset < totalLength) {
+                break; // Wait for the rest of this message
+            }
+            
+            const headersStart = offset + 12;
+            const payloadStart = headersStart + headersLength;
+            const payloadEnd = offset + totalLength - 4;
+            const headers = this.parseEventStreamHeaders(bytes.subarray(headersStart, payloadStart));
+            const payloadText = decoder.decode(bytes.subarray(payloadStart, payloadEnd));
+            offset += totalLength;
+            
+            if (headers[':message-type'] === 'exception' || headers[':message-type'] === 'error') {
+                let detail = payloadText;
+                try {
+                    detail = JSON.parse(payloadText).message || payloadText;
+                } catch (e) {
+                    // Keep raw payload text
+                }
+                const errorType = headers[':exception-type'] || headers[':error-code'] || 'Stream exception';
+                throw new Error(`${errorType}: ${detail}`);
+            }
+            
+            if (headers[':event-type'] !== 'chunk' || !payloadText) {
+                continue;
+            }
+            
+            try {
+                const payload = JSON.parse(payloadText);
+                if (payload.bytes) {
+                    // Chunk payloads are base64-encoded UTF-8 JSON
+                    const binary = atob(payload.bytes);
+                    const chunkBytes = Uint8Array.from(binary, c => c.charCodeAt(0));
+                    messages.push(JSON.parse(decoder.decode(chunkBytes)));
+                } else {
+                    messages.push(payload);
+                }
+            } catch (error) {
+                console.warn('Skipping malformed Bedrock stream chunk:', error.message);
+            }
+        }
+        
+        return { messages, remaining: bytes.slice(offset) };
+    }
+    
+    /**
+     * Parses the header block of an AWS event stream message
+     * @param {Uint8Array} bytes - Header block bytes
+     * @returns {Object} Header name to value map (string and boolean headers only)
+     */
+    parseEventStreamHeaders(bytes) {
+        const headers = {};
+        const decoder = new TextDecoder();
+        const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.length);
+        let offset = 0;
+        
+        while (offset < bytes.length) {
+            const nameLength = view.getUint8(offset);
+            offset += 1;
+            const name = decoder.decode(bytes.subarray(offset, offset + nameLength));
+            offset += nameLength;
+            const valueType = view.getUint8(offset);
+            offset += 1;
+            
+            switch (valueType) {
+                case 0: // boolean true
+                    headers[name] = true;
+                    break;
+                case 1: // boolean false
+                    headers[name] = false;
+                    break;
+                case 2: // byte
+                    offset += 1;
+                    break;
+                case 3: // short
+                    offset += 2;
+                    break;
+                case 4: // integer
+                    offset += 4;
+                    break;
+                case 5: // long
+                case 8: // timestamp
+                    offset += 8;
+                    break;
+                case 6: // byte array
+                case 7: { // string
+                    const valueLength = view.getUint16(offset);
+                    offset += 2;
+                    if (valueType === 7) {
+                        headers[name] = decoder.decode(bytes.subarray(offset, offset + valueLength));
+                    }
+                    offset += valueLength;
+                    break;
+                }
+                case 9: // uuid
+                    offset += 16;
+                    break;
+                default:
+                    throw new Error(`Unsupported event stream header type: ${valueType}`);
+            }
+        }
+        
+        return headers;
+    }
+    
     async createAwsSignature(endpoint, body, awsConfig, method = 'POST') {
         const url = new URL(endpoint);
         const { region, accessKeyId, secretAccessKey, sessionToken } = awsConfig;
@@ -2356,6 +3754,71 @@ export class AIService {
         ];
     }
 
+    /**
+     * Fetch available models from a Gemini-compatible API
+     * @param {Object} config - Configuration with service and apiKey
+     * @returns {Promise<Array>} List of available models
+     */
+    async fetchGeminiModels(config) {
+        window.debugLog('Fetching Gemini models...');
+        
+        const providerConfig = this.providersConfig[config.service] || {};
+        
+        try {
+            const baseUrl = (config.endpointUrl || providerConfig.baseUrl || '').replace(/\/$/, '');
+            const endpoint = this.appendGeminiKeyParameter(`${baseUrl}/models?pageSize=1000`, config.service, config.apiKey);
+            
+            const headers = {};
+            if (config.apiKey && providerConfig.apiKeyLocation !== 'query') {
+                headers['x-goog-api-key'] = config.apiKey;
+            }
+            
+            const response = await fetch(endpoint, { method: 'GET', headers });
+            
+            if (!response.ok) {
+                const errorText = await response.text();
+                console.warn(`Gemini models API error ${response.status}: ${errorText}`);
+                // Fallback to configured default model
+                return this.getStaticGeminiModels(config.service);
+            }
+            
+            const data = await response.json();
+            window.debugLog('Gemini models response:', data);
+            
+            // Gemini returns { models: [{ name: 'models/gemini-...', displayName, supportedGenerationMethods }] }
+            const models = (data.models || [])
+                .filter(model => !model.supportedGenerationMethods ||
+                                 model.supportedGenerationMethods.includes('generateContent'))
+                .map(model => ({
+                    id: (model.name || '').replace(/^models\//, ''),
+                    name: model.displayName || model.name,
+                    provider: 'Google'
+                }))
+                .filter(model => model.id)
+                .sort((a, b) => a.name.localeCompare(b.name));
+            
+            window.debugLog(`Found ${models.length} available Gemini models`);
+            return models.length ? models : this.getStaticGeminiModels(config.service);
+            
+        } catch (error) {
+            console.error('Error fetching Gemini models:', error);
+            // Fallback to configured default model
+            return this.getStaticGeminiModels(config.service);
+        }
+    }
+    
+    /**
+     * Get the configured default Gemini model as a fallback model list
+     * @param {string} service - Provider key
+     * @returns {Array} Model list containing the provider's default model (if any)
+     */
+    getStaticGeminiModels(service) {
+        const defaultModel = this.providersConfig[service]?.defaultModel;
+        return defaultModel
+            ? [{ id: defaultModel, name: defaultModel, provider: 'Google' }]
+            : [];
+    }
+
     /**
      * Determines if content should be preserved in full (e.g., contains HTML tables)
      * @param {string} content - The content to check
@@ -0,0 +1,275 @@
+/**
+ * Analysis Validator
+ * Validates the email analysis object returned by the model against a schema,
+ * coercing near-miss values (numeric strings, single strings for lists, loose dates)
+ * and reporting the fields that could not be repaired
+ */
+
+export class AnalysisValidator {
+    constructor() {
+        // JSON schema for the analysis object; also sent to providers that accept a schema
+        this.schema = {
+            type: 'object',
+            required: ['keyPoints', 'intent', 'sentiment', 'urgencyLevel', 'actions', 'responseStrategy'],
+            properties: {
+                keyPoints: { type: 'array', items: { type: 'string' }, minItems: 1 },
+                intent: { type: 'string', minLength: 1 },
+                sentiment: { type: 'string', minLength: 1 },
+                urgencyLevel: { type: 'integer', minimum: 1, maximum: 5 },
+                urgencyReason: { type: 'string' },
+                dueDates: {
+                    type: 'array',
+                    items: {
+                        type: 'object',
+                        required: ['description', 'date'],
+                        properties: {
+                            description: { type: 'string', minLength: 1 },
+                            date: { type: 'string', description: 'ISO date (YYYY-MM-DD) or "unspecified"' },
+                            time: { type: 'string', description: '24-hour time (HH:MM) or "unspecified"' },
+                            type: { type: 'string', enum: ['deadline', 'meeting', 'reminder'] },
+                            isUrgent: { type: 'boolean' }
+                        }
+                    }
+                },
+                actions: { type: 'array', items: { type: 'string' } },
+                responseStrategy: { type: 'string', minLength: 1 }
+            }
+        };
+
+        // Words models commonly use instead of a 1-5 urgency number
+        this.URGENCY_WORDS = {
+            lowest: 1, minimal: 1, none: 1,
+            low: 2,
+            medium: 3, moderate: 3, normal: 3, standard: 3,
+            high: 4, elevated: 4,
+            critical: 5, urgent: 5, highest: 5, immediate: 5
+        };
+
+        this.UNSPECIFIED = 'unspecified';
+    }
+
+    /**
+     * Extract the analysis JSON object from raw model output
+     * Handles code fences and text before or after the object
+     * @param {string} responseText - Raw model output
+     * @returns {Object|null} Parsed object, or null when no JSON object is found
+     */
+    extractJson(responseText) {
+        if (!responseText || typeof responseText !== 'string') return null;
+
+        const fenced = responseText.match(/```(?:json)?\s*([\s\S]*?)```/i);
+        const candidates = [fenced ? fenced[1] : null, responseText].filter(Boolean);
+
+        for (const candidate of candidates) {
+            const start = candidate.indexOf('{');
+            const end = candidate.lastIndexOf('}');
+            if (start === -1 || end <= start) continue;
+
+            try {
+                const parsed = JSON.parse(candidate.substring(start, end + 1));
+                if (parsed && typeof parsed === 'object' && !Array.isArray(parsed)) {
+                    return parsed;
+                }
+            } catch (error) {
+                // Try the next candidate
+            }
+        }
+
+        return null;
+    }
+
+    /**
+     * Validate and coerce an analysis object
+     * @param {Object} data - Parsed analysis object
+     * @returns {Object} { value, errors } - value always has every field; errors lists what could not be coerced
+     */
+    validate(data) {
+        const errors = [];
+        const source = data && typeof data === 'object' ? data : {};
+
+        if (!data || typeof data !== 'object') {
+            errors.push('response is not a JSON object');
+        }
+
+        const value = {
+            keyPoints: this.coerceStringList(source.keyPoints, 'keyPoints', errors, true),
+            intent: this.coerceString(source.intent, 'intent', errors, true),
+            sentiment: this.coerceString(source.sentiment, 'sentiment', errors, true),
+            urgencyLevel: this.coerceUrgency(source.urgencyLevel, errors),
+            urgencyReason: this.coerceString(source.urgencyReason, 'urgencyReason', errors, false),
+            dueDates: this.coerceDueDates(source.dueDates, errors),
+            actions: this.coerceStringList(source.actions, 'actions', errors, false),
+            responseStrategy: this.coerceString(source.responseStrategy, 'responseStrategy', errors, true)
+        };
+
+        return { value, errors };
+    }
+
+    /**
+     * Coerce a value to a trimmed string
+     * @returns {string} Coerced string ('' when missing)
+     */
+    coerceString(raw, field, errors, required) {
+        let result = '';
+
+        if (typeof raw === 'string') {
+            result = raw.trim();
+        } else if (typeof raw === 'number' || typeof raw === 'boolean') {
+            result = String(raw);
+        } else if (Array.isArray(raw)) {
+            result = raw.filter(item => typeof item === 'string' || typeof item === 'number').join('; ').trim();
+        } else if (raw !== undefined && raw !== null) {
+            errors.push(`${field} must be a string`);
+            return '';
+        }
+
+        if (required && !result) {
+            errors.push(`${field} is required`);
+        }
+        return result;
+    }
+
+    /**
+     * Coerce a value to a list of non-empty strings
+     * A single string is split on newlines or bullet markers
+     * @returns {Array<string>} Coerced list
+     */
+    coerceStringList(raw, field, errors, required) {
+        let items = [];
+
+        if (Array.isArray(raw)) {
+            items = raw.map(item => {
+                if (typeof item === 'string' || typeof item === 'number') return String(item);
+                // Models sometimes wrap list items as { text: "..." } or { action: "..." }
+                if (item && typeof item === 'object') {
+                    const text = Object.values(item).find(entry => typeof entry === 'string');
+                    return text || '';
+                }
+                return '';
+            });
+        } else if (typeof raw === 'string') {
+            items = raw.split(/\n|(?:^|\s)[-*•]\s+|;\s*/);
+        } else if (raw !== undefined && raw !== null) {
+            errors.push(`${field} must be an array of strings`);
+        }
+
+        const cleaned = items
+            .map(item => item.replace(/^\s*(?:[-*•]|\d+[.)])\s*/, '').trim())
+            .filter(Boolean);
+
+        if (required && cleaned.length === 0) {
+            errors.push(`${field} must contain at least one item`);
+        }
+        return cleaned;
+    }
+
+    /**
+     * Coerce urgency to an integer from 1 to 5
+     * Accepts numbers, numeric strings ("4", "4/5") and urgency words ("high")
+     * @returns {number} Urgency level (3 when it cannot be determined)
+     */
+    coerceUrgency(raw, errors) {
+        let level = NaN;
+
+        if (typeof raw === 'number') {
+            level = raw;
+        } else if (typeof raw === 'string') {
+            const numeric = raw.match(/\d+(\.\d+)?/);
+            if (numeric) {
+                level = parseFloat(numeric[0]);
+            } else {
+                const word = raw.trim().toLowerCase().split(/\s+/).find(part => this.URGENCY_WORDS[part]);
+                level = word ? this.URGENCY_WORDS[word] : NaN;
+            }
+        }
+
+        if (!Number.isFinite(level)) {
+            errors.push('urgencyLevel must be a number from 1 to 5');
+            return 3;
+        }
+
+        return Math.min(5, Math.max(1, Math.round(level)));
+    }
+
+    /**
+     * Coerce the due date list, normalising dates to YYYY-MM-DD and times to HH:MM
+     * @returns {Array<Object>} Due dates as { description, date, time, type, isUrgent }
+     */
+    coerceDueDates(raw, errors) {
+        if (raw === undefined || raw === null) return [];
+        if (!Array.isArray(raw)) {
+            errors.push('dueDates must be an array');
+            return [];
+        }
+
+        return raw
+            .filter(entry => entry && typeof entry === 'object')
+            .map((entry, index) => {
+                const description = String(entry.description || entry.item || entry.title || '').trim();
+                if (!description) {
+                    errors.push(`dueDates[${index}].description is required`);
+                }
+
+                const date = this.normalizeDate(entry.date);
+                if (date === null) {
+                    errors.push(`dueDates[${index}].date must be an ISO date (YYYY-MM-DD) or "unspecified"`);
+                }
+
+                const type = String(entry.type || 'deadline').toLowerCase();
+
+                return {
+                    description: description || 'Untitled item',
+                    date: date || this.UNSPECIFIED,
+                    time: this.normalizeTime(entry.time),
+                    type: ['deadline', 'meeting', 'reminder'].includes(type) ? type : 'deadline',
+                    isUrgent: entry.isUrgent === true || entry.isUrgent === 'true'
+                };
+            });
+    }
+
+    /**
+     * Normalise a date value to YYYY-MM-DD
+     * @param {*} raw - Date value from the model
+     * @returns {string|null} ISO date, 'unspecified', or null when the value cannot be read as a date
+     */
+    normalizeDate(raw) {
+        if (raw === undefined || raw === null || raw === '') return this.UNSPECIFIED;
+
+        const text = String(raw).trim();
+        if (/^(unspecified|unknown|none|n\/a|tbd)$/i.test(text)) return this.UNSPECIFIED;
+
+        const isoMatch = text.match(/^(\d{4})-(\d{2})-(\d{2})/);
+        if (isoMatch) {
+            const [, year, month, day] = isoMatch;
+            const parsed = new Date(Date.UTC(Number(year), Number(month) - 1, Number(day)));
+            return parsed.getUTCMonth() === Number(month) - 1 ? `${year}-${month}-${day}` : null;
+        }
+
+        // Accept other absolute formats ("March 5, 2025", "2025/03/05") that Date can read
+        const parsed = new Date(text);
+        if (!/\d{4}/.test(text) || Number.isNaN(parsed.getTime())) return null;
+
+        const month = String(parsed.getMonth() + 1).padStart(2, '0');
+        const day = String(parsed.getDate()).padStart(2, '0');
+        return `${parsed.getFullYear()}-${month}-${day}`;
+    }
+
+    /**
+     * Normalise a time value to 24-hour HH:MM
+     * @param {*} raw - Time value from the model
+     * @returns {string} HH:MM or 'unspecified'
+     */
+    normalizeTime(raw) {
+        const match = String(raw || '').trim().match(/^(\d{1,2})(?::(\d{2}))?\s*(am|pm)?$/i);
+        if (!match) return this.UNSPECIFIED;
+
+        let hours = Number(match[1]);
+        const minutes = Number(match[2] || 0);
+        const meridiem = (match[3] || '').toLowerCase();
+        if (meridiem === 'pm' && hours < 12) hours += 12;
+        if (meridiem === 'am' && hours === 12) hours = 0;
+
+        if (hours > 23 || minutes > 59) return this.UNSPECIFIED;
+        return `${String(hours).padStart(2, '0')}:${String(minutes).padStart(2, '0')}`;
+    }
+}
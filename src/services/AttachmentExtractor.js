@@ -0,0 +1,368 @@
+/**
+ * Attachment Extractor
+ * Lists the attachments of an Outlook item and extracts plain text from supported types
+ * (text, CSV, Markdown, JSON, attached emails and simple HTML) within a size budget
+ */
+
+export class AttachmentExtractor {
+    constructor(options = {}) {
+        // File extensions that can be read as text, by kind
+        this.SUPPORTED_EXTENSIONS = {
+            txt: 'text',
+            log: 'text',
+            csv: 'csv',
+            md: 'markdown',
+            markdown: 'markdown',
+            json: 'json',
+            eml: 'email',
+            htm: 'html',
+            html: 'html'
+        };
+
+        // Size limits (overridable via _config.attachments in ai-providers.json)
+        this.ATTACHMENT_DEFAULTS = {
+            MAX_ATTACHMENT_KB: 1024,
+            MAX_CHARS_PER_ATTACHMENT: 6000,
+            MAX_TOTAL_CHARS: 15000,
+            MAX_CSV_ROWS: 50
+        };
+
+        this.updateConfig(options);
+    }
+
+    /**
+     * Apply size limits from configuration
+     * @param {Object} options - { maxAttachmentKB, maxCharsPerAttachment, maxTotalChars, maxCsvRows }
+     */
+    updateConfig(options = {}) {
+        const config = options || {};
+        this.maxAttachmentBytes = (config.maxAttachmentKB ?? this.ATTACHMENT_DEFAULTS.MAX_ATTACHMENT_KB) * 1024;
+        this.maxCharsPerAttachment = config.maxCharsPerAttachment ?? this.ATTACHMENT_DEFAULTS.MAX_CHARS_PER_ATTACHMENT;
+        this.maxTotalChars = config.maxTotalChars ?? this.ATTACHMENT_DEFAULTS.MAX_TOTAL_CHARS;
+        this.maxCsvRows = config.maxCsvRows ?? this.ATTACHMENT_DEFAULTS.MAX_CSV_ROWS;
+    }
+
+    /**
+     * List the attachments of an item with whether their content can be read
+     * @param {Object} item - Office.js mail item
+     * @returns {Array<Object>} { id, name, contentType, size, kind, supported, reason }
+     */
+    list(item) {
+        const attachments = Array.isArray(item?.attachments) ? item.attachments : [];
+        const canFetch = typeof item?.getAttachmentContentAsync === 'function';
+
+        return attachments
+            .filter(attachment => !attachment.isInline)
+            .map(attachment => {
+                const kind = this.getKind(attachment);
+                let reason = null;
+
+                if (!canFetch) {
+                    reason = 'Reading attachments is not supported by this version of Outlook';
+                } else if (!kind) {
+                    reason = 'File type not supported';
+                } else if (attachment.size > this.maxAttachmentBytes) {
+                    reason = `Larger than ${Math.round(this.maxAttachmentBytes / 1024)} KB`;
+                }
+
+                return {
+                    id: attachment.id,
+                    name: attachment.name || 'Untitled attachment',
+                    contentType: attachment.contentType || null,
+                    size: attachment.size || 0,
+                    kind,
+                    supported: !reason,
+                    reason
+                };
+            });
+    }
+
+    /**
+     * Determine how an attachment can be read
+     * @param {Object} attachment - Office.js AttachmentDetails
+     * @returns {string|null} Kind ('text', 'csv', 'markdown', 'json', 'email', 'html') or null if unsupported
+     */
+    getKind(attachment) {
+        // Outlook items attached to a message are returned as EML
+        if (attachment.attachmentType === 'item') return 'email';
+        if (attachment.attachmentType && attachment.attachmentType !== 'file') return null;
+
+        const extension = (attachment.name || '').split('.').pop().toLowerCase();
+        return this.SUPPORTED_EXTENSIONS[extension] || null;
+    }
+
+    /**
+     * Extract text from the chosen attachments, sharing the total character budget between them
+     * @param {Object} item - Office.js mail item
+     * @param {Array<Object>} attachments - Entries from list() to read
+     * @returns {Promise<Array<Object>>} { id, name, kind, text, originalLength, truncated, error }
+     */
+    async extract(item, attachments) {
+        const results = [];
+        let remaining = this.maxTotalChars;
+
+        for (const attachment of attachments) {
+            if (!attachment.supported) continue;
+
+            try {
+                const content = await this.fetchContent(item, attachment.id);
+                const text = this.toText(attachment.kind, content);
+                const limit = Math.min(this.maxCharsPerAttachment, Math.max(0, remaining));
+                const truncated = text.length > limit;
+
+                results.push({
+                    id: attachment.id,
+                    name: attachment.name,
+                    kind: attachment.kind,
+                    text: truncated ? `${text.substring(0, limit).trim()}\n[... attachment truncated ...]` : text,
+                    originalLength: text.length,
+                    truncated,
+                    error: null
+                });
+                remaining -= Math.min(text.length, limit);
+            } catch (error) {
+                console.warn(`Could not read attachment "${attachment.name}":`, error);
+                results.push({
+                    id: attachment.id,
+                    name: attachment.name,
+                    kind: attachment.kind,
+                    text: '',
+                    originalLength: 0,
+                    truncated: false,
+                    error: error.message
+                });
+            }
+        }
+
+        if (window.debugLog) {
+            window.debugLog('AttachmentExtractor: Extracted attachment text:', results.map(result => ({
+                name: result.name,
+                originalLength: result.originalLength,
+                truncated: result.truncated,
+                error: result.error
+            })));
+        }
+
+        return results;
+    }
+
+    /**
+     * Fetch the raw content of one attachment as text
+     * @param {Object} item - Office.js mail item
+     * @param {string} attachmentId - Attachment ID
+     * @returns {Promise<string>} Decoded content
+     */
+    fetchContent(item, attachmentId) {
+        return new Promise((resolve, reject) => {
+            item.getAttachmentContentAsync(attachmentId, (result) => {
+                if (result.status !== Office.AsyncResultStatus.Succeeded) {
+                    reject(new Error(result.error?.message || 'Attachment content is not available'));
+                    return;
+                }
+
+                const { format, content } = result.value;
+                if (format === 'base64') {
+                    resolve(this.decodeBase64(content));
+                } else if (format === 'eml' || format === 'iCalendar') {
+                    resolve(content || '');
+                } else {
+                    reject(new Error('Cloud attachments cannot be read'));
+                }
+            });
+        });
+    }
+
+    /**
+     * Decode base64 file content as UTF-8 text
+     * @param {string} base64 - Base64 content
+     * @returns {string} Text
+     */
+    decodeBase64(base64) {
+        const binary = atob(base64 || '');
+        const bytes = Uint8Array.from(binary, character => character.charCodeAt(0));
+        return new TextDecoder('utf-8').decode(bytes).replace(/^\uFEFF/, '');
+    }
+
+    /**
+     * Convert raw attachment content to prompt-friendly text
+     * @param {string} kind - Attachment kind from getKind()
+     * @param {string} content - Raw content
+     * @returns {string} Plain text
+     */
+    toText(kind, content) {
+        const text = (content || '').replace(/\r\n?/g, '\n');
+
+        switch (kind) {
+            case 'csv':
+                return this.csvToText(text);
+            case 'json':
+                return this.jsonToText(text);
+            case 'html':
+                return this.htmlToText(text);
+            case 'email':
+                return this.emlToText(text);
+            default:
+                return text.trim();
+        }
+    }
+
+    /**
+     * Keep the header and the first rows of a CSV file, noting how many rows were left out
+     * @param {string} text - CSV content
+     * @returns {string} CSV excerpt
+     */
+    csvToText(text) {
+        const rows = text.split('\n').filter(row => row.trim());
+        if (rows.length <= this.maxCsvRows + 1) return rows.join('\n');
+
+        return [
+            ...rows.slice(0, this.maxCsvRows + 1),
+            `[... ${rows.length - this.maxCsvRows - 1} more rows ...]`
+        ].join('\n');
+    }
+
+    /**
+     * Re-indent JSON compactly so more of it fits in the budget; invalid JSON is kept as text
+     * @param {string} text - JSON content
+     * @returns {string} JSON text
+     */
+    jsonToText(text) {
+        try {
+            return JSON.stringify(JSON.parse(text), null, 1);
+        } catch (error) {
+            return text.trim();
+        }
+    }
+
+    /**
+     * Strip markup from a simple HTML document
+     * @param {string} html - HTML content
+     * @returns {string} Plain text
+     */
+    htmlToText(html) {
+        return html
+            .replace(/<(script|style|head)[^>]*>[\s\S]*?<\/\1>/gi, '')
+            .replace(/<br\s*\/?>/gi, '\n')
+            .replace(/<\/(p|div|li|tr|h[1-6])>/gi, '\n')
+            .replace(/<(td|th)[^>]*>/gi, ' | ')
+            .replace(/<[^>]+>/g, '')
+            .replace(/&nbsp;/gi, ' ')
+            .replace(/&lt;/gi, '<')
+            .replace(/&gt;/gi, '>')
+            .replace(/&quot;/gi, '"')
+            .replace(/&#39;/gi, "'")
+            .replace(/&amp;/gi, '&')
+            .replace(/[ \t]+/g, ' ')
+            .replace(/^ +| +$/gm, '')
+            .replace(/\n{3,}/g, '\n\n')
+            .trim();
+    }
+
+    /**
+     * Read the headers and text body of an attached email (EML)
+     * @param {string} eml - Raw message
+     * @returns {string} "From/Date/Subject" lines followed by the body text
+     */
+    emlToText(eml) {
+        const { headers, body } = this.splitMimePart(eml);
+        const summary = ['From', 'Date', 'Subject']
+            .filter(name => headers[name.toLowerCase()])
+            .map(name => `${name}: ${headers[name.toLowerCase()]}`);
+
+        return [...summary, '', this.readMimeBody(headers, body)].join('\n').trim();
+    }
+
+    /**
+     * Find the best text body of a MIME part, preferring text/plain over text/html
+     * @param {Object} headers - Lower-cased part headers
+     * @param {string} body - Part body
+     * @returns {string} Plain text
+     */
+    readMimeBody(headers, body) {
+        const contentType = headers['content-type'] || 'text/plain';
+        const boundary = contentType.match(/boundary="?([^";]+)"?/i)?.[1];
+
+        if (/^multipart\//i.test(contentType) && boundary) {
+            const parts = body.split(`--${boundary}`)
+                .slice(1)
+                .filter(part => !part.startsWith('--'))
+                .map(part => this.splitMimePart(part.replace(/^\n/, '')));
+
+            const plain = parts.find(part => /^text\/plain/i.test(part.headers['content-type'] || 'text/plain'));
+            const html = parts.find(part => /^text\/html/i.test(part.headers['content-type'] || ''));
+            const nested = parts.find(part => /^multipart\//i.test(part.headers['content-type'] || ''));
+            const chosen = plain || html || nested;
+            return chosen ? this.readMimeBody(chosen.headers, chosen.body) : '';
+        }
+
+        const decoded = this.decodeTransferEncoding(body, headers['content-transfer-encoding']);
+        return /^text\/html/i.test(contentType) ? this.htmlToText(decoded) : decoded.trim();
+    }
+
+    /**
+     * Split a MIME part into lower-cased headers (folded lines joined) and body
+     * @param {string} text - Raw part
+     * @returns {Object} { headers, body }
+     */
+    splitMimePart(text) {
+        const separator = text.indexOf('\n\n');
+        const headerText = separator === -1 ? text : text.substring(0, separator);
+        const body = separator === -1 ? '' : text.substring(separator + 2);
+        const headers = {};
+
+        headerText.replace(/\n[ \t]+/g, ' ').split('\n').forEach(line => {
+            const colon = line.indexOf(':');
+            if (colon > 0) {
+                headers[line.substring(0, colon).trim().toLowerCase()] = line.substring(colon + 1).trim();
+            }
+        });
+
+        return { headers, body };
+    }
+
+    /**
+     * Decode quoted-printable or base64 part bodies
+     * @param {string} body - Encoded body
+     * @param {string} encoding - Content-Transfer-Encoding header value
+     * @returns {string} Decoded text
+     */
+    decodeTransferEncoding(body, encoding = '') {
+        if (/base64/i.test(encoding)) {
+            try {
+                return this.decodeBase64(body.replace(/\s+/g, ''));
+            } catch (error) {
+                return body;
+            }
+        }
+
+        if (/quoted-printable/i.test(encoding)) {
+            const bytes = [];
+            const encoder = new TextEncoder();
+            const unfolded = body.replace(/=\n/g, '');
+            for (let i = 0; i < unfolded.length; i++) {
+                const hex = unfolded.substring(i + 1, i + 3);
+                if (unfolded[i] === '=' && /^[0-9A-F]{2}$/i.test(hex)) {
+                    bytes.push(parseInt(hex, 16));
+                    i += 2;
+                } else {
+                    bytes.push(...encoder.encode(unfolded[i]));
+                }
+            }
+            return new TextDecoder('utf-8').decode(new Uint8Array(bytes));
+        }
+
+        return body;
+    }
+
+    /**
+     * Format extracted attachments for prompts
+     * @param {Array<Object>} extracted - Results of extract()
+     * @returns {string} Attachment sections, or '' when nothing was extracted
+     */
+    summarize(extracted) {
+        return (extracted || [])
+            .filter(attachment => attachment.text)
+            .map(attachment => `--- Attachment: ${attachment.name}${attachment.truncated ? ' (excerpt)' : ''} ---\n${attachment.text}`)
+            .join('\n\n');
+    }
+}
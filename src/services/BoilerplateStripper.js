@@ -0,0 +1,254 @@
+/**
+ * Boilerplate Stripper
+ * Removes external-sender banners, legal disclaimers and signature blocks from a plain-text
+ * message so they do not dominate short emails in prompts. Built-in heuristics can be combined
+ * with admin-supplied regular expressions from config/boilerplate.json
+ */
+
+export class BoilerplateStripper {
+    constructor() {
+        this.config = null;
+
+        // External-sender banners Exchange/Defender and mail gateways put at the top of a message
+        this.BANNER_PATTERNS = [
+            /^\[?\s*EXTERNAL( E-?MAIL| SENDER| MESSAGE)?\s*\]?\s*:?$/i,
+            /^\[?\s*(CAUTION|WARNING)\s*\]?\s*[:!-]?\s*(this is an |this e-?mail is from an )?external (e-?mail|sender|message)\b/i,
+            /originated (from )?outside (of )?(the|your|our|this) (organi[sz]ation|company|network)/i,
+            /do not (click|open) (on )?(any )?links or (open )?attachments unless/i,
+            /^You don'?t often get email from .+ Learn why this is important/i
+        ];
+
+        // Wording that marks a paragraph as a legal or confidentiality disclaimer; a paragraph needs
+        // DISCLAIMER_MIN_CUES of them, so an ordinary "if you are not able to..." sentence is kept
+        this.DISCLAIMER_PATTERNS = [
+            /^(CONFIDENTIALITY|PRIVACY|LEGAL|IMPORTANT)\s+(NOTICE|NOTE|DISCLAIMER)\b/i,
+            /^DISCLAIMER\b/i,
+            /\bintended (only |solely )?for the (use of the )?(individual|person|entity|addressee|named recipient|intended recipient)/i,
+            /\bif you (are not the (intended|named) (recipient|addressee)|have received this (e-?mail|message|communication) in error)/i,
+            /\b(received|sent to you) (this (e-?mail|message|communication) )?in error\b/i,
+            /\b(may contain|contains) (confidential|privileged|proprietary) (and\/or |or |and )?(confidential |privileged |proprietary )?information\b/i,
+            /\bany (unauthori[sz]ed )?(review|use|dissemination|distribution|disclosure|copying) .{0,80}(strictly )?prohibited\b/i
+        ];
+        this.DISCLAIMER_MIN_CUES = 2;
+
+        // Lines mail apps append on their own
+        this.SENT_FROM_PATTERNS = [
+            /^Sent from my (iPhone|iPad|Android|BlackBerry|Samsung|Galaxy|mobile|phone|smartphone)\b.*$/i,
+            /^Sent from (Mail|Outlook) for (Windows|iOS|Android|Mac)\b.*$/i,
+            /^Get Outlook for (iOS|Android|Mac)\b.*$/i,
+            /^Sent via .{1,40}$/i
+        ];
+
+        // A closing line after which the rest of the message is the sender's contact block
+        this.SIGN_OFF_PATTERN = /^(best|kind|warm|warmest|many|with)?\s*(regards|wishes|thanks|thank you|cheers|sincerely|respectfully|best|thx)(\s+(again|so much|very much|in advance))?\s*[,.!]?$/i;
+
+        // Contact details that may follow the name: phone number, email address or web address
+        this.CONTACT_LINE_PATTERN = /(\+?\d[\d\s().-]{6,}\d|[\w.+-]+@[\w-]+\.[\w.-]+|https?:\/\/|\bwww\.)/i;
+
+        // A line ending a sentence ("Also send the budget.") is message text, not a name or job title;
+        // names and titles end in a capitalized word or abbreviation ("Contoso Ltd.")
+        this.SENTENCE_END_PATTERN = /\b[a-z]{2,}[.!?]["')]?$/;
+
+        // Contact block limits: only short trailing blocks are treated as signatures
+        this.SIGNATURE_LIMITS = {
+            MAX_LINES: 10,
+            MAX_LINE_LENGTH: 100,
+            MAX_NAME_LENGTH: 60,
+            MAX_BANNER_LENGTH: 400
+        };
+
+        this.loadPromise = this.loadConfig();
+    }
+
+    /**
+     * Load stripper configuration from config/boilerplate.json
+     * @returns {Promise<Object>} Loaded configuration (built-in defaults if loading fails)
+     */
+    async loadConfig() {
+        try {
+            const response = await fetch('./config/boilerplate.json');
+            if (!response.ok) {
+                throw new Error(`Failed to load boilerplate config: ${response.status} ${response.statusText}`);
+            }
+
+            this.config = this.normalizeConfig(await response.json());
+        } catch (error) {
+            console.warn('Boilerplate config not loaded, using built-in heuristics only:', error.message);
+            this.config = this.normalizeConfig({});
+        }
+        return this.config;
+    }
+
+    /**
+     * Fill in defaults and compile admin patterns
+     * @param {Object} raw - Parsed boilerplate.json
+     * @returns {Object} { enabled, builtIn, patterns } with patterns as { name, regex }
+     */
+    normalizeConfig(raw) {
+        const builtIn = { banners: true, disclaimers: true, signatures: true, ...(raw.builtIn || {}) };
+        const patterns = [];
+
+        (raw.patterns || []).forEach((entry, index) => {
+            if (!entry || entry.enabled === false || !entry.pattern) return;
+
+            const name = entry.name || `Pattern ${index + 1}`;
+            try {
+                // Always replace every match
+                const flags = (entry.flags || 'im').includes('g') ? (entry.flags || 'im') : `${entry.flags || 'im'}g`;
+                patterns.push({ name, regex: new RegExp(entry.pattern, flags) });
+            } catch (error) {
+                console.warn(`Boilerplate pattern "${name}" is not a valid regular expression and was skipped:`, error.message);
+            }
+        });
+
+        return { enabled: raw.enabled !== false, builtIn, patterns };
+    }
+
+    /**
+     * Remove boilerplate from a plain-text message
+     * @param {string} text - Message text
+     * @returns {Object} { content, wasStripped, originalLength, processedLength, charactersRemoved, removed }
+     *   removed lists { type, name, characters } for each rule that matched
+     */
+    strip(text) {
+        const original = this.tidy((text || '').replace(/\r\n?/g, '\n'));
+        const config = this.config || this.normalizeConfig({});
+        const removed = [];
+        let content = original;
+
+        const apply = (type, name, transform) => {
+            const next = this.tidy(transform(content));
+            const characters = content.length - next.length;
+            if (characters > 0) {
+                removed.push({ type, name, characters });
+                content = next;
+            }
+        };
+
+        if (config.enabled && original) {
+            config.patterns.forEach(({ name, regex }) => {
+                apply('custom', name, current => current.replace(regex, ''));
+            });
+
+            if (config.builtIn.banners) {
+                apply('banner', 'External sender banner', current => this.removeBanners(current));
+            }
+            if (config.builtIn.disclaimers) {
+                apply('disclaimer', 'Legal disclaimer', current => this.removeDisclaimers(current));
+            }
+            if (config.builtIn.signatures) {
+                apply('signature', 'Signature', current => this.removeSignatureBlock(current));
+            }
+        }
+
+        // Never hand an empty body to the model; a message that is all boilerplate is kept as is
+        if (!content && original) {
+            content = original;
+            removed.length = 0;
+        }
+
+        return {
+            content,
+            wasStripped: removed.length > 0,
+            originalLength: original.length,
+            processedLength: content.length,
+            charactersRemoved: original.length - content.length,
+            removed
+        };
+    }
+
+    /**
+     * Remove short paragraphs that warn about external senders
+     * @param {string} text - Message text
+     * @returns {string} Text without banners
+     */
+    removeBanners(text) {
+        return this.splitParagraphs(text)
+            .filter(paragraph => !(paragraph.length <= this.SIGNATURE_LIMITS.MAX_BANNER_LENGTH &&
+                this.BANNER_PATTERNS.some(pattern => pattern.test(paragraph.trim()))))
+            .join('\n\n');
+    }
+
+    /**
+     * Remove paragraphs worded like legal or confidentiality disclaimers
+     * @param {string} text - Message text
+     * @returns {string} Text without disclaimers
+     */
+    removeDisclaimers(text) {
+        const paragraphs = this.splitParagraphs(text);
+
+        // The opening paragraph is the message itself, even when it mentions confidentiality
+        return paragraphs
+            .filter((paragraph, index) => {
+                if (index === 0) return true;
+                const flat = paragraph.replace(/\s+/g, ' ').trim();
+                return this.DISCLAIMER_PATTERNS.filter(pattern => pattern.test(flat)).length < this.DISCLAIMER_MIN_CUES;
+            })
+            .join('\n\n');
+    }
+
+    /**
+     * Remove "Sent from my ..." lines and the contact block below a closing line,
+     * keeping the closing and the sender's name
+     * @param {string} text - Message text
+     * @returns {string} Text without the signature block
+     */
+    removeSignatureBlock(text) {
+        const lines = text.split('\n')
+            .filter(line => !this.SENT_FROM_PATTERNS.some(pattern => pattern.test(line.trim())));
+
+        // Look for the last closing line near the end of the message
+        const searchFrom = Math.max(1, lines.length - this.SIGNATURE_LIMITS.MAX_LINES - 2);
+        for (let i = lines.length - 1; i >= searchFrom; i--) {
+            if (!this.SIGN_OFF_PATTERN.test(lines[i].trim())) continue;
+
+            // The name follows the closing; everything after that is the contact block. A "Thanks!" in
+            // the middle of a message is followed by more sentences, which are kept
+            let nameLine = i + 1;
+            while (nameLine < lines.length && !lines[nameLine].trim()) nameLine++;
+            const name = (lines[nameLine] || '').trim();
+            const block = lines.slice(nameLine + 1).filter(line => line.trim());
+
+            const looksLikeName = name.length <= this.SIGNATURE_LIMITS.MAX_NAME_LENGTH &&
+                !this.SENTENCE_END_PATTERN.test(name);
+            const looksLikeContactBlock = block.length <= this.SIGNATURE_LIMITS.MAX_LINES &&
+                block.every(line => this.isContactLine(line.trim()));
+
+            if (looksLikeName && looksLikeContactBlock) {
+                return lines.slice(0, nameLine + 1).join('\n');
+            }
+            break;
+        }
+
+        return lines.join('\n');
+    }
+
+    /**
+     * @param {string} line - Trimmed line below the sender's name
+     * @returns {boolean} True for a phone number, address, URL or short title line such as "Head of Sales, Contoso"
+     */
+    isContactLine(line) {
+        if (line.length > this.SIGNATURE_LIMITS.MAX_LINE_LENGTH || /^P\.?\s?S\b/i.test(line) || /\?\s*$/.test(line)) {
+            return false;
+        }
+        return this.CONTACT_LINE_PATTERN.test(line) || !this.SENTENCE_END_PATTERN.test(line);
+    }
+
+    /**
+     * Split text into paragraphs at blank lines
+     * @param {string} text - Message text
+     * @returns {Array<string>} Paragraphs
+     */
+    splitParagraphs(text) {
+        return text.split(/\n\s*\n/);
+    }
+
+    /**
+     * Collapse runs of blank lines and trim
+     * @param {string} text - Text to tidy
+     * @returns {string} Tidied text
+     */
+    tidy(text) {
+        return text.replace(/[ \t]+$/gm, '').replace(/\n{3,}/g, '\n\n').trim();
+    }
+}
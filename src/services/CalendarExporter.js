@@ -0,0 +1,292 @@
+/**
+ * Calendar Exporter
+ * Turns due dates extracted by analysis into calendar events in the user's time zone,
+ * for Outlook appointment forms and .ics downloads
+ */
+
+export class CalendarExporter {
+    constructor(timeZone = null) {
+        this.timeZone = this.isValidTimeZone(timeZone) ? timeZone : null;
+
+        // Event length by due date type; date-only deadlines become all-day events
+        this.DURATION_MINUTES = {
+            meeting: 60,
+            deadline: 30,
+            reminder: 15,
+            default: 30
+        };
+
+        // Outlook appointment forms have no all-day option, so date-only items start at this hour
+        this.ALL_DAY_FORM_HOUR = 9;
+
+        this.SUBJECT_PREFIXES = {
+            deadline: 'Deadline: ',
+            reminder: 'Reminder: '
+        };
+    }
+
+    /**
+     * Check that a time zone name is understood by Intl
+     * @param {string} timeZone - IANA time zone, e.g. "Europe/London"
+     * @returns {boolean} True if usable
+     */
+    isValidTimeZone(timeZone) {
+        if (!timeZone) return false;
+        try {
+            new Intl.DateTimeFormat('en-US', { timeZone });
+            return true;
+        } catch (error) {
+            return false;
+        }
+    }
+
+    /**
+     * Convert an extracted due date into an event
+     * @param {Object} dueDate - { description, date, time, type, isUrgent } from analysis
+     * @returns {Object|null} { title, description, type, isUrgent, allDay, day, start, end } with start/end as Date
+     *   and day as { year, month, day }, or null when the date is unspecified or cannot be read
+     */
+    toEvent(dueDate) {
+        const day = this.parseDate(dueDate?.date);
+        if (!day) return null;
+
+        const time = this.parseTime(dueDate.time);
+        const type = (dueDate.type || '').toLowerCase();
+        const title = `${this.SUBJECT_PREFIXES[type] || ''}${dueDate.description || 'Due date'}`;
+
+        if (!time) {
+            const start = this.zonedTimeToUtc(day.year, day.month, day.day, 0, 0);
+            const end = this.zonedTimeToUtc(day.year, day.month, day.day + 1, 0, 0);
+            return { title, description: dueDate.description || '', type, isUrgent: !!dueDate.isUrgent, allDay: true, day, start, end };
+        }
+
+        const minutes = this.DURATION_MINUTES[type] || this.DURATION_MINUTES.default;
+        const start = this.zonedTimeToUtc(day.year, day.month, day.day, time.hour, time.minute);
+        return {
+            title,
+            description: dueDate.description || '',
+            type,
+            isUrgent: !!dueDate.isUrgent,
+            allDay: false,
+            day,
+            start,
+            end: new Date(start.getTime() + minutes * 60 * 1000)
+        };
+    }
+
+    /**
+     * Read a date as a calendar day ("2025-03-14" preferred, other formats Date can parse accepted)
+     * Dates without a year ("March 14") and days the month does not have ("2025-02-31") are rejected
+     * rather than guessed, so they are never offered for the calendar
+     * @param {string} value - Date text
+     * @returns {Object|null} { year, month, day } or null
+     */
+    parseDate(value) {
+        if (!value || /^unspecified$/i.test(value.trim())) return null;
+
+        const iso = value.trim().match(/^(\d{4})-(\d{1,2})-(\d{1,2})/);
+        if (iso) {
+            const [year, month, day] = iso.slice(1).map(Number);
+            return this.isValidDay(year, month, day) ? { year, month, day } : null;
+        }
+
+        // Date fills in a year of its own (2001) when there is none
+        if (!/\b\d{4}\b/.test(value)) return null;
+
+        const parsed = new Date(value);
+        if (isNaN(parsed.getTime())) return null;
+
+        // Date rolls impossible days over ("February 31" becomes March 3); the day read must be one written
+        const numbers = (value.match(/\d+/g) || []).map(Number);
+        if (!numbers.includes(parsed.getDate())) return null;
+
+        return { year: parsed.getFullYear(), month: parsed.getMonth() + 1, day: parsed.getDate() };
+    }
+
+    /**
+     * @param {number} year - Year
+     * @param {number} month - Month (1-12)
+     * @param {number} day - Day of month
+     * @returns {boolean} True if the month has that day
+     */
+    isValidDay(year, month, day) {
+        if (month < 1 || month > 12 || day < 1) return false;
+        return day <= new Date(Date.UTC(year, month, 0)).getUTCDate();
+    }
+
+    /**
+     * Read a time of day ("14:30", "2:30 PM")
+     * @param {string} value - Time text
+     * @returns {Object|null} { hour, minute } or null when unspecified
+     */
+    parseTime(value) {
+        const match = (value || '').trim().match(/^(\d{1,2})(?::(\d{2}))?\s*([ap])?\.?\s*(m\.?)?$/i);
+        if (!match || (!match[2] && !match[3])) return null;
+
+        let hour = Number(match[1]);
+        const minute = Number(match[2] || 0);
+        if (match[3]) {
+            const isPm = match[3].toLowerCase() === 'p';
+            if (hour === 12) hour = isPm ? 12 : 0;
+            else if (isPm) hour += 12;
+        }
+
+        return hour < 24 && minute < 60 ? { hour, minute } : null;
+    }
+
+    /**
+     * Convert a wall-clock time in the user's time zone to an instant
+     * @param {number} year - Year
+     * @param {number} month - Month (1-12)
+     * @param {number} day - Day of month (may overflow into the next month)
+     * @param {number} hour - Hour (0-23)
+     * @param {number} minute - Minute
+     * @returns {Date} Instant
+     */
+    zonedTimeToUtc(year, month, day, hour, minute) {
+        if (!this.timeZone) {
+            return new Date(year, month - 1, day, hour, minute);
+        }
+
+        // Guess with the offset at the wall time, then correct once in case the guess crossed a DST change
+        const wallClock = Date.UTC(year, month - 1, day, hour, minute);
+        let instant = wallClock - this.getTimeZoneOffset(new Date(wallClock));
+        instant = wallClock - this.getTimeZoneOffset(new Date(instant));
+        return new Date(instant);
+    }
+
+    /**
+     * Offset of the user's time zone from UTC at an instant
+     * @param {Date} date - Instant
+     * @returns {number} Offset in milliseconds (positive east of UTC)
+     */
+    getTimeZoneOffset(date) {
+        const parts = new Intl.DateTimeFormat('en-US', {
+            timeZone: this.timeZone,
+            hourCycle: 'h23',
+            year: 'numeric', month: '2-digit', day: '2-digit',
+            hour: '2-digit', minute: '2-digit', second: '2-digit'
+        }).formatToParts(date).reduce((values, part) => {
+            values[part.type] = Number(part.value);
+            return values;
+        }, {});
+
+        const asUtc = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+        return asUtc - Math.floor(date.getTime() / 1000) * 1000;
+    }
+
+    /**
+     * Format an event's date and time for display in the user's time zone
+     * @param {Object} event - Result of toEvent()
+     * @returns {string} Display text
+     */
+    formatEvent(event) {
+        const options = this.timeZone ? { timeZone: this.timeZone } : {};
+        const date = event.start.toLocaleDateString(undefined, { ...options, weekday: 'short', year: 'numeric', month: 'short', day: 'numeric' });
+        if (event.allDay) return date;
+
+        const time = event.start.toLocaleTimeString(undefined, { ...options, hour: 'numeric', minute: '2-digit', timeZoneName: 'short' });
+        return `${date} at ${time}`;
+    }
+
+    /**
+     * Start and end for an Outlook appointment form (date-only items become a short slot in the morning)
+     * @param {Object} event - Result of toEvent()
+     * @returns {Object} { start, end } as Date
+     */
+    getAppointmentTimes(event) {
+        if (!event.allDay) {
+            return { start: event.start, end: event.end };
+        }
+
+        const start = this.zonedTimeToUtc(event.day.year, event.day.month, event.day.day, this.ALL_DAY_FORM_HOUR, 0);
+        return { start, end: new Date(start.getTime() + this.DURATION_MINUTES.default * 60 * 1000) };
+    }
+
+    /**
+     * Build an iCalendar file containing the events
+     * @param {Array<Object>} events - Results of toEvent()
+     * @param {Object} source - { subject, from } of the email the dates came from
+     * @returns {string} .ics content
+     */
+    buildIcs(events, source = {}) {
+        const stamp = this.formatUtc(new Date());
+        const origin = [source.subject && `Email: ${source.subject}`, source.from && `From: ${source.from}`]
+            .filter(Boolean)
+            .join('\n');
+
+        const lines = [
+            'BEGIN:VCALENDAR',
+            'VERSION:2.0',
+            'PRODID:-//PromptEmail//Due Dates//EN',
+            'CALSCALE:GREGORIAN',
+            'METHOD:PUBLISH'
+        ];
+
+        events.forEach((event, index) => {
+            lines.push(
+                'BEGIN:VEVENT',
+                `UID:${stamp}-${index}-${Math.random().toString(36).substring(2, 10)}@promptemail`,
+                `DTSTAMP:${stamp}`,
+                ...(event.allDay
+                    ? [`DTSTART;VALUE=DATE:${this.formatDay(event.day)}`, `DTEND;VALUE=DATE:${this.formatDay(this.nextDay(event.day))}`]
+                    : [`DTSTART:${this.formatUtc(event.start)}`, `DTEND:${this.formatUtc(event.end)}`]),
+                `SUMMARY:${this.escapeIcsText(event.title)}`,
+                `DESCRIPTION:${this.escapeIcsText([event.description, origin].filter(Boolean).join('\n\n'))}`,
+                ...(event.isUrgent ? ['PRIORITY:1'] : []),
+                'TRANSP:TRANSPARENT',
+                'END:VEVENT'
+            );
+        });
+
+        lines.push('END:VCALENDAR');
+        return lines.map(line => this.foldIcsLine(line)).join('\r\n') + '\r\n';
+    }
+
+    /**
+     * Format an instant as an iCalendar UTC date-time (20250314T153000Z)
+     */
+    formatUtc(date) {
+        return date.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+    }
+
+    /**
+     * Format a calendar day as an iCalendar date (20250314)
+     */
+    formatDay(day) {
+        return `${day.year}${String(day.month).padStart(2, '0')}${String(day.day).padStart(2, '0')}`;
+    }
+
+    /**
+     * The calendar day after the given one
+     */
+    nextDay(day) {
+        const next = new Date(Date.UTC(day.year, day.month - 1, day.day + 1));
+        return { year: next.getUTCFullYear(), month: next.getUTCMonth() + 1, day: next.getUTCDate() };
+    }
+
+    /**
+     * Escape text values per RFC 5545
+     */
+    escapeIcsText(text) {
+        return (text || '')
+            .replace(/\\/g, '\\\\')
+            .replace(/;/g, '\\;')
+            .replace(/,/g, '\\,')
+            .replace(/\r?\n/g, '\\n');
+    }
+
+    /**
+     * Fold lines longer than 75 characters onto continuation lines
+     */
+    foldIcsLine(line) {
+        if (line.length <= 75) return line;
+
+        // Continuation lines start with a space, so they carry one character less
+        const chunks = [line.substring(0, 75)];
+        for (let i = 75; i < line.length; i += 74) {
+            chunks.push(line.substring(i, i + 74));
+        }
+        return chunks.join('\r\n ');
+    }
+}
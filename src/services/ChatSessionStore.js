@@ -0,0 +1,196 @@
+/**
+ * Chat Session Store
+ * Saves chat refinement sessions in IndexedDB per Outlook conversation so a session
+ * can be restored when the user returns to the email or the taskpane reloads
+ */
+
+export class ChatSessionStore {
+    constructor(options = {}) {
+        this.dbName = 'promptemail_sessions';
+        this.storeName = 'sessions';
+        this.dbVersion = 1;
+        this.dbPromise = null;
+
+        // Retention limits (overridable via _config.chatSessions in ai-providers.json)
+        this.SESSION_DEFAULTS = {
+            RETENTION_DAYS: 30,
+            MAX_SESSIONS: 50
+        };
+
+        this.updateConfig(options);
+    }
+
+    /**
+     * Apply retention limits from configuration
+     * @param {Object} options - { retentionDays, maxSessions }
+     */
+    updateConfig(options = {}) {
+        const config = options || {};
+        this.retentionMs = (config.retentionDays ?? this.SESSION_DEFAULTS.RETENTION_DAYS) * 24 * 60 * 60 * 1000;
+        this.maxSessions = config.maxSessions ?? this.SESSION_DEFAULTS.MAX_SESSIONS;
+    }
+
+    /**
+     * Check whether IndexedDB is available in this host
+     * @returns {boolean} True if sessions can be saved
+     */
+    isAvailable() {
+        return typeof indexedDB !== 'undefined';
+    }
+
+    /**
+     * Open (and create on first use) the session database
+     * @returns {Promise<IDBDatabase>} Open database
+     */
+    openDatabase() {
+        if (!this.dbPromise) {
+            this.dbPromise = new Promise((resolve, reject) => {
+                const request = indexedDB.open(this.dbName, this.dbVersion);
+
+                request.onupgradeneeded = () => {
+                    const db = request.result;
+                    if (!db.objectStoreNames.contains(this.storeName)) {
+                        db.createObjectStore(this.storeName, { keyPath: 'key' });
+                    }
+                };
+                request.onsuccess = () => resolve(request.result);
+                request.onerror = () => reject(request.error);
+                request.onblocked = () => reject(new Error('Chat session database is blocked by another window'));
+            }).catch(error => {
+                // Allow a later call to retry opening the database
+                this.dbPromise = null;
+                throw error;
+            });
+        }
+        return this.dbPromise;
+    }
+
+    /**
+     * Run a single request against the session store
+     * @param {string} mode - 'readonly' or 'readwrite'
+     * @param {Function} operation - Receives the object store and returns an IDBRequest
+     * @returns {Promise<*>} Request result
+     */
+    async runRequest(mode, operation) {
+        const db = await this.openDatabase();
+        return new Promise((resolve, reject) => {
+            const transaction = db.transaction(this.storeName, mode);
+            const request = operation(transaction.objectStore(this.storeName));
+            transaction.oncomplete = () => resolve(request.result);
+            transaction.onerror = () => reject(transaction.error);
+            transaction.onabort = () => reject(transaction.error);
+        });
+    }
+
+    /**
+     * Get the saved session for a conversation
+     * @param {string} key - Conversation key
+     * @returns {Promise<Object|null>} Saved session, or null if none or expired
+     */
+    async get(key) {
+        if (!this.isAvailable() || !key) return null;
+
+        try {
+            const session = await this.runRequest('readonly', store => store.get(key));
+            if (!session) return null;
+
+            if (Date.now() - session.savedAt > this.retentionMs) {
+                await this.delete(key);
+                return null;
+            }
+
+            return session;
+        } catch (error) {
+            console.warn('Chat session read failed:', error);
+            return null;
+        }
+    }
+
+    /**
+     * Save a session, replacing any earlier one for the conversation, then enforce retention
+     * @param {string} key - Conversation key
+     * @param {Object} session - Structured-cloneable session state
+     * @returns {Promise<boolean>} Success status
+     */
+    async save(key, session) {
+        if (!this.isAvailable() || !key) return false;
+
+        try {
+            await this.runRequest('readwrite', store => store.put({
+                ...session,
+                key,
+                savedAt: Date.now()
+            }));
+
+            await this.prune();
+            return true;
+        } catch (error) {
+            console.warn('Chat session write failed:', error);
+            return false;
+        }
+    }
+
+    /**
+     * Delete the saved session for a conversation
+     * @param {string} key - Conversation key
+     */
+    async delete(key) {
+        await this.runRequest('readwrite', store => store.delete(key));
+    }
+
+    /**
+     * Remove sessions older than the retention period, then the oldest sessions above the limit
+     */
+    async prune() {
+        const sessions = await this.runRequest('readonly', store => store.getAll());
+        const now = Date.now();
+
+        const expired = sessions.filter(session => now - session.savedAt > this.retentionMs);
+        const live = sessions
+            .filter(session => now - session.savedAt <= this.retentionMs)
+            .sort((a, b) => b.savedAt - a.savedAt);
+
+        const stale = [...expired, ...live.slice(this.maxSessions)];
+        if (stale.length) {
+            await this.runRequest('readwrite', store => {
+                let request = null;
+                stale.forEach(session => {
+                    request = store.delete(session.key);
+                });
+                return request;
+            });
+            if (window.debugLog) window.debugLog(`Chat sessions pruned ${stale.length} entries`);
+        }
+    }
+
+    /**
+     * Remove all saved sessions
+     * @returns {Promise<boolean>} Success status
+     */
+    async clear() {
+        if (!this.isAvailable()) return false;
+
+        try {
+            await this.runRequest('readwrite', store => store.clear());
+            return true;
+        } catch (error) {
+            console.warn('Chat session clear failed:', error);
+            return false;
+        }
+    }
+
+    /**
+     * Get the number of saved sessions
+     * @returns {Promise<number>} Session count
+     */
+    async count() {
+        if (!this.isAvailable()) return 0;
+
+        try {
+            return await this.runRequest('readonly', store => store.count());
+        } catch (error) {
+            console.warn('Chat session count failed:', error);
+            return 0;
+        }
+    }
+}
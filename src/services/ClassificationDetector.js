@@ -1,101 +1,500 @@
 /**
  * Classification Detector Service
- * Detects and logs classification text in email content
+ * Detects classification markings in email content using an admin-supplied marking scheme
+ * (config/marking-scheme.json) and returns a normalized level plus caveats
  */
 
 export class ClassificationDetector {
     constructor() {
-        // Classification patterns - flexible to handle real-world formatting
-        this.patterns = [
-            // Primary pattern: "Classification: LEVEL" format
-            /^\s*Classification:\s*(.+?)\s*$/i,
-            
-            // Alternative patterns
-            /^\s*CLASS:\s*(.+?)\s*$/i,
-            /^\s*Security\s*Classification:\s*(.+?)\s*$/i,
-            
-            // Classification with additional markings 
-            /^\s*Classification:\s*([^\/]+)\/\/([A-Z\s\/]+)/i
-        ];
+        this.scheme = null;
+
+        // Used until config/marking-scheme.json has loaded, or if it cannot be loaded
+        this.DEFAULT_SCHEME = {
+            levels: [
+                { name: 'UNCLASSIFIED', aliases: ['UNCLAS', 'UNCLASS'], abbreviations: ['U'] },
+                { name: 'CONFIDENTIAL', aliases: [], abbreviations: ['C'] },
+                { name: 'SECRET', aliases: [], abbreviations: ['S'] },
+                { name: 'TOP SECRET', aliases: [], abbreviations: ['TS'] }
+            ],
+            caveats: {
+                separator: '//',
+                listSeparators: ['/', ','],
+                known: [
+                    { name: 'NOFORN', aliases: ['NO FOREIGN'], abbreviation: 'NF' },
+                    { name: 'FOUO', aliases: ['FOR OFFICIAL USE ONLY'] }
+                ]
+            },
+            labels: ['Classification', 'Security Classification', 'CLASS'],
+            searchLocations: { firstLines: 3, lastLines: 3, subject: true, headers: [] },
+            requireUppercaseBanners: true,
+            portionMarks: true,
+            replyMarking: { enabled: true, bannerPosition: 'top-and-bottom', portionMarks: false }
+        };
+
+        // A portion mark opens a paragraph or list item, after any ">" quoting: "(S//NF) The plan is..."
+        this.PORTION_MARK_PATTERN = /^[\s>]*(?:(?:[-*•]|\d+[.)])\s+)?\(([^()\n]{1,60})\)/;
+
+        this.loadPromise = this.loadScheme();
+    }
+
+    /**
+     * Load the marking scheme from config/marking-scheme.json
+     * @returns {Promise<Object>} Normalized scheme (the built-in default if loading fails)
+     */
+    async loadScheme() {
+        try {
+            const response = await fetch('./config/marking-scheme.json');
+            if (!response.ok) {
+                throw new Error(`Failed to load marking scheme: ${response.status} ${response.statusText}`);
+            }
+
+            this.scheme = this.normalizeScheme(await response.json());
+        } catch (error) {
+            console.warn('Marking scheme not loaded, using built-in default:', error.message);
+            this.scheme = this.normalizeScheme(this.DEFAULT_SCHEME);
+        }
+        return this.scheme;
+    }
+
+    /**
+     * Fill in defaults and build lookup tables for levels and caveats
+     * @param {Object} raw - Parsed marking-scheme.json
+     * @returns {Object} Scheme with levels, caveats, label pattern, search locations and lookups
+     */
+    normalizeScheme(raw) {
+        const defaults = this.DEFAULT_SCHEME;
+        const levels = (Array.isArray(raw.levels) && raw.levels.length ? raw.levels : defaults.levels)
+            .filter(level => level && level.name)
+            .map(level => ({
+                name: level.name.toUpperCase(),
+                aliases: (level.aliases || []).map(alias => alias.toUpperCase()),
+                abbreviations: (level.abbreviations || []).map(abbreviation => abbreviation.toUpperCase())
+            }));
+
+        const caveatConfig = { ...defaults.caveats, ...(raw.caveats || {}) };
+        const caveats = (caveatConfig.known || [])
+            .filter(caveat => caveat && caveat.name)
+            .map(caveat => ({
+                name: caveat.name.toUpperCase(),
+                aliases: (caveat.aliases || []).map(alias => alias.toUpperCase()),
+                abbreviation: caveat.abbreviation ? caveat.abbreviation.toUpperCase() : null
+            }));
+
+        // Full names and aliases are accepted everywhere; abbreviations only where marked as such
+        const levelNames = new Map();
+        const levelAbbreviations = new Map();
+        levels.forEach((level, index) => {
+            [level.name, ...level.aliases].forEach(name => levelNames.set(name, index));
+            level.abbreviations.forEach(abbreviation => levelAbbreviations.set(abbreviation, index));
+        });
+
+        const caveatNames = new Map();
+        caveats.forEach(caveat => {
+            [caveat.name, ...caveat.aliases, ...(caveat.abbreviation ? [caveat.abbreviation] : [])]
+                .forEach(name => caveatNames.set(name, caveat.name));
+        });
+
+        const escape = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+        const labels = (Array.isArray(raw.labels) ? raw.labels : defaults.labels).filter(Boolean);
+        const listSeparators = (caveatConfig.listSeparators || []).filter(Boolean);
+
+        return {
+            levels,
+            caveats,
+            separator: caveatConfig.separator || '//',
+            listSeparatorPattern: listSeparators.length
+                ? new RegExp(listSeparators.map(escape).join('|'))
+                : null,
+            labelPattern: labels.length
+                ? new RegExp(`^\\s*(?:${labels.map(label => escape(label).replace(/\s+/g, '\\s*')).join('|')})\\s*:\\s*(.+?)\\s*$`, 'i')
+                : null,
+            searchLocations: { ...defaults.searchLocations, ...(raw.searchLocations || {}) },
+            requireUppercaseBanners: raw.requireUppercaseBanners !== false,
+            portionMarks: raw.portionMarks !== false,
+            replyMarking: { ...defaults.replyMarking, ...(raw.replyMarking || {}) },
+            levelNames,
+            levelAbbreviations,
+            caveatNames
+        };
+    }
+
+    /**
+     * Get the scheme in use
+     * @returns {Object} Normalized scheme
+     */
+    getScheme() {
+        if (!this.scheme) {
+            this.scheme = this.normalizeScheme(this.DEFAULT_SCHEME);
+        }
+        return this.scheme;
+    }
+
+    /**
+     * Names of the internet headers the scheme reads markings from
+     * @returns {Array<string>} Header names
+     */
+    getHeaderNames() {
+        const headers = this.getScheme().searchLocations.headers;
+        return Array.isArray(headers) ? headers : [];
     }
 
     /**
-     * Detects classification in email content and logs to console
+     * Detects the classification of an email from its body, subject and headers
      * @param {string} emailBody - The email body text
-     * @returns {Object} Simple classification detection result
+     * @param {Object} options - { subject, headers } where headers maps header names to values
+     * @returns {Object} { detected, level, levelIndex, caveats, text, recognized, unrecognized, markings, bannerLevel,
+     *   portionMarkCount, mismatches, ambiguous, listLabels, line, details }
+     *   level, caveats and text (e.g. "SECRET//NOFORN") are the highest effective classification across banners and
+     *   portion marks; markings lists each marking found with its location
      */
-    detectClassification(emailBody) {
-        if (!emailBody || typeof emailBody !== 'string') {
-            return {
-                detected: false,
-                text: null,
-                details: 'No content to analyze'
-            };
+    detectClassification(emailBody, options = {}) {
+        const hasBody = emailBody && typeof emailBody === 'string';
+        if (!hasBody && !options.subject && !options.headers) {
+            return this.buildResult([], 'No content to analyze');
         }
 
-        // Try to parse the structured classification block
-        const result = this.parseClassificationText(emailBody);
-        
+        const scheme = this.getScheme();
+        const markings = [
+            ...(hasBody ? this.parseClassificationText(emailBody) : []),
+            ...(hasBody && scheme.portionMarks ? this.scanPortionMarks(emailBody) : []),
+            ...(scheme.searchLocations.subject && options.subject ? this.findSubjectMarking(options.subject) : []),
+            ...this.findHeaderMarkings(options.headers || {})
+        ];
 
-        
-        return result;
+        return this.buildResult(markings);
     }
 
     /**
-     * Parses classification text from email content
-     * Classification must be on the first line only
+     * Finds banner and labelled markings in the first and last lines of the body
      * @param {string} emailBody - The email body text
-     * @returns {Object} Simple classification detection result
+     * @returns {Array<Object>} Markings with { location, line, raw, level, levelIndex, caveats, unknownCaveats, recognized }
      */
     parseClassificationText(emailBody) {
-        // Get only the first line
-        const lines = emailBody.split('\n');
-        const firstLine = lines[0] ? lines[0].trim() : '';
-        
-        if (!firstLine) {
+        const scheme = this.getScheme();
+        const { firstLines, lastLines } = scheme.searchLocations;
+
+        const lines = emailBody.split(/\r?\n/)
+            .map((text, index) => ({ text: text.trim(), number: index + 1 }))
+            .filter(line => line.text);
+
+        // The same line can be among both the first and the last lines of a short message
+        const candidates = new Map();
+        lines.slice(0, Math.max(0, firstLines)).forEach(line => candidates.set(line.number, { ...line, location: `line ${line.number}` }));
+        lines.slice(Math.max(0, lines.length - Math.max(0, lastLines))).forEach(line => {
+            if (!candidates.has(line.number)) candidates.set(line.number, { ...line, location: `line ${line.number} (end)` });
+        });
+
+        const markings = [];
+        candidates.forEach(line => {
+            // "Classification: SECRET//NOFORN" - an unknown value still counts as a marking
+            const labelled = scheme.labelPattern && line.text.match(scheme.labelPattern);
+            if (labelled) {
+                markings.push({ location: line.location, line: line.number, raw: labelled[1], ...this.parseMarking(labelled[1]) });
+                return;
+            }
+
+            // A line that is nothing but a banner, e.g. "SECRET//NOFORN"
+            if (scheme.requireUppercaseBanners && line.text !== line.text.toUpperCase()) return;
+            const banner = this.parseMarking(line.text);
+            if (banner.recognized) {
+                markings.push({ location: line.location, line: line.number, raw: line.text, ...banner });
+            }
+        });
+
+        return markings;
+    }
+
+    /**
+     * Finds every portion mark such as "(C)", "(S//NF)" or "(U//FOUO)" in the body, including quoted history
+     *
+     * A bare single-letter mark such as "(C)" is also how lettered lists are written. Only a mark whose
+     * neighbouring list labels continue the alphabet ("(B)" before "(C)" or "(D)" after it) is taken as a
+     * list label; it is returned with listLabel: true so callers can report it, and does not count
+     * towards the classification. Every other recognized mark counts.
+     * @param {string} emailBody - The email body text
+     * @returns {Array<Object>} Markings with portion: true
+     */
+    scanPortionMarks(emailBody) {
+        const markings = [];
+        const labels = [];
+
+        emailBody.split(/\r?\n/).forEach((text, index) => {
+            const match = text.match(this.PORTION_MARK_PATTERN);
+
+            // Portion marks are written in capitals; "(c) 2025 Example Ltd" is a copyright line
+            if (!match || match[1] !== match[1].toUpperCase()) return;
+
+            // Every "(X)" in order, level abbreviation or not, to find lettered list runs
+            const label = /^[A-Z]$/.test(match[1]) ? { letter: match[1].charCodeAt(0) } : null;
+            if (label) labels.push(label);
+
+            const marking = this.parseMarking(match[1], { allowAbbreviations: true });
+            if (marking.recognized) {
+                const entry = { location: `line ${index + 1} (portion)`, line: index + 1, raw: `(${match[1]})`, portion: true, ...marking };
+                if (label) label.marking = entry;
+                markings.push(entry);
+            }
+        });
+
+        labels.forEach((label, index) => {
+            const inRun = labels[index - 1]?.letter === label.letter - 1 || labels[index + 1]?.letter === label.letter + 1;
+            if (label.marking && inRun) {
+                label.marking.listLabel = true;
+                label.marking.location = `line ${label.marking.line} (list label)`;
+            }
+        });
+
+        return markings;
+    }
+
+    /**
+     * Finds a marking such as "(U)" or "[CONFIDENTIAL]" at the start or end of the subject
+     * @param {string} subject - Email subject
+     * @returns {Array<Object>} Zero or one marking
+     */
+    findSubjectMarking(subject) {
+        const withoutPrefixes = subject.trim().replace(/^((RE|FW|FWD|AW|WG)\s*:\s*)+/i, '');
+        const match = withoutPrefixes.match(/^[([]\s*([^)\]]+?)\s*[)\]]/) || withoutPrefixes.match(/[([]\s*([^)\]]+?)\s*[)\]]$/);
+        if (!match) return [];
+
+        // Bracketed text that is not a known level is an ordinary tag like [EXTERNAL]
+        const marking = this.parseMarking(match[1], { allowAbbreviations: true });
+        return marking.recognized ? [{ location: 'subject', line: null, raw: match[0], ...marking }] : [];
+    }
+
+    /**
+     * Reads markings from the internet headers named in the scheme
+     * @param {Object} headers - Header values keyed by header name
+     * @returns {Array<Object>} Markings
+     */
+    findHeaderMarkings(headers) {
+        const values = Object.fromEntries(Object.entries(headers).map(([name, value]) => [name.toLowerCase(), value]));
+
+        return this.getHeaderNames()
+            .filter(name => typeof values[name.toLowerCase()] === 'string' && values[name.toLowerCase()].trim())
+            .map(name => {
+                const raw = values[name.toLowerCase()].trim();
+                return { location: `header ${name}`, line: null, raw, ...this.parseMarking(raw, { allowAbbreviations: true }) };
+            });
+    }
+
+    /**
+     * Parses a single marking against the scheme's levels and caveat grammar (LEVEL//CAVEAT/CAVEAT)
+     * @param {string} text - Marking text
+     * @param {Object} options - { allowAbbreviations: accept abbreviated levels such as "S" }
+     * @returns {Object} { level, levelIndex, caveats, unknownCaveats, recognized }
+     */
+    parseMarking(text, options = {}) {
+        const scheme = this.getScheme();
+        const normalized = (text || '').toUpperCase().replace(/\s+/g, ' ').trim();
+        const [levelPart, ...caveatParts] = normalized.split(scheme.separator).map(part => part.trim());
+
+        let levelIndex = scheme.levelNames.has(levelPart) ? scheme.levelNames.get(levelPart) : -1;
+        if (levelIndex === -1 && options.allowAbbreviations && scheme.levelAbbreviations.has(levelPart)) {
+            levelIndex = scheme.levelAbbreviations.get(levelPart);
+        }
+
+        const caveats = [];
+        const unknownCaveats = [];
+        caveatParts
+            .flatMap(part => scheme.listSeparatorPattern ? part.split(scheme.listSeparatorPattern) : [part])
+            .map(part => part.trim())
+            .filter(Boolean)
+            .forEach(part => {
+                const caveat = scheme.caveatNames.get(part);
+                if (caveat) {
+                    if (!caveats.includes(caveat)) caveats.push(caveat);
+                } else if (!unknownCaveats.includes(part)) {
+                    unknownCaveats.push(part);
+                }
+            });
+
+        return {
+            level: levelIndex === -1 ? null : scheme.levels[levelIndex].name,
+            levelIndex,
+            caveats,
+            unknownCaveats,
+            recognized: levelIndex !== -1
+        };
+    }
+
+    /**
+     * Combines markings into one result: the highest level and every caveat found
+     * @param {Array<Object>} markings - Markings from any location
+     * @param {string} emptyDetails - Details text when nothing was found
+     * @returns {Object} Classification detection result
+     */
+    buildResult(allMarkings, emptyDetails = 'No classification marking found') {
+        // Lettered list labels such as the "(C)" of "(A) (B) (C)" are reported but not counted
+        const listLabels = allMarkings.filter(marking => marking.listLabel);
+        const markings = allMarkings.filter(marking => !marking.listLabel);
+        const listNote = listLabels.length
+            ? ` (${listLabels.map(marking => `${marking.raw} on ${marking.location}`).join(', ')} read as lettered list item${listLabels.length === 1 ? '' : 's'}, not portion marks)`
+            : '';
+
+        if (!markings.length) {
             return {
                 detected: false,
+                level: null,
+                levelIndex: -1,
+                caveats: [],
                 text: null,
-                details: 'No content on first line'
+                recognized: false,
+                unrecognized: [],
+                markings: [],
+                bannerLevel: null,
+                portionMarkCount: 0,
+                mismatches: [],
+                ambiguous: [],
+                listLabels,
+                details: emptyDetails + listNote
             };
         }
 
-        // Check each pattern against the first line only
-        for (const pattern of this.patterns) {
-            const match = firstLine.match(pattern);
-            if (match) {
-                const classificationText = match[1] ? match[1].trim() : match[0].trim();
-                
-                if (classificationText) {
-                    return {
-                        detected: true,
-                        text: classificationText,
-                        line: 1,
-                        details: `Classification found on first line: ${classificationText}`
-                    };
-                }
-            }
-        }
+        const scheme = this.getScheme();
+        const highest = this.getHighestMarking(markings);
+        const highestBanner = this.getHighestMarking(markings.filter(marking => !marking.portion));
+        const portionMarkCount = markings.filter(marking => marking.portion).length;
+
+        // Known caveats in scheme order, then any the scheme does not list
+        const found = new Set(markings.flatMap(marking => [...marking.caveats, ...marking.unknownCaveats]));
+        const caveats = [
+            ...scheme.caveats.map(caveat => caveat.name).filter(name => found.has(name)),
+            ...[...found].filter(name => !scheme.caveatNames.has(name))
+        ];
+
+        const unrecognized = [...new Set(markings.filter(marking => !marking.recognized).map(marking => marking.raw))];
+        const text = highest ? this.formatBanner(highest.level, caveats) : unrecognized.join('; ');
+        const mismatches = this.findBannerMismatches(markings);
+
+        // A bare "(C)" with nothing else marking the message could be a stray list label; it still counts
+        const isBare = marking => marking.portion && /^\([A-Z]\)$/.test(marking.raw);
+        const ambiguous = markings.every(isBare) ? markings.map(marking => `${marking.raw} on ${marking.location}`) : [];
+
+        const bannerLocations = [...new Set(markings.filter(marking => !marking.portion).map(marking => marking.location))];
+        const foundIn = [
+            ...bannerLocations,
+            ...(portionMarkCount ? [`${portionMarkCount} portion mark${portionMarkCount === 1 ? '' : 's'}`] : [])
+        ].join(', ');
 
         return {
-            detected: false,
-            text: null,
-            details: 'No classification pattern found on first line'
+            detected: true,
+            level: highest ? highest.level : null,
+            levelIndex: highest ? highest.levelIndex : -1,
+            caveats,
+            text,
+            recognized: unrecognized.length === 0,
+            unrecognized,
+            markings: allMarkings,
+            bannerLevel: highestBanner ? highestBanner.level : null,
+            portionMarkCount,
+            mismatches,
+            ambiguous,
+            listLabels,
+            line: markings.find(marking => marking.line)?.line || null,
+            details: `Classification ${text} found in ${foundIn}` +
+                (unrecognized.length && highest ? ` (unrecognized: ${unrecognized.join('; ')})` : '') +
+                (mismatches.length ? ` (banner mismatch: ${mismatches.map(mismatch => mismatch.message).join('; ')})` : '') +
+                (ambiguous.length ? ` (only bare portion marks, which may be list labels: ${ambiguous.join(', ')})` : '') +
+                listNote
         };
     }
 
+    /**
+     * @param {Array<Object>} markings - Markings
+     * @returns {Object|null} The recognized marking with the highest level
+     */
+    getHighestMarking(markings) {
+        return markings
+            .filter(marking => marking.recognized)
+            .reduce((top, marking) => (!top || marking.levelIndex > top.levelIndex ? marking : top), null);
+    }
+
+    /**
+     * Finds messages whose banner is lower than their portion marks: a lower level, caveats missing
+     * from the banner, or no banner at all. Each source (email, attachment) is checked on its own.
+     * @param {Array<Object>} markings - Markings, with source set when combined from several sources
+     * @returns {Array<Object>} { source, bannerLevel, portionLevel, missingCaveats, lines, message }
+     */
+    findBannerMismatches(markings) {
+        const sources = [...new Set(markings.map(marking => marking.source))];
+
+        return sources.map(source => {
+            const own = markings.filter(marking => marking.source === source);
+            const portions = own.filter(marking => marking.portion);
+            if (!portions.length) return null;
+
+            const banners = own.filter(marking => !marking.portion);
+            const banner = this.getHighestMarking(banners);
+            const portion = this.getHighestMarking(portions);
+            const bannerCaveats = new Set(banners.flatMap(marking => [...marking.caveats, ...marking.unknownCaveats]));
+            const missingCaveats = [...new Set(portions.flatMap(marking => [...marking.caveats, ...marking.unknownCaveats]))]
+                .filter(caveat => !bannerCaveats.has(caveat));
+
+            const levelTooLow = !banner || portion.levelIndex > banner.levelIndex;
+            if (!levelTooLow && !missingCaveats.length) return null;
+
+            // Portion marks that are above the banner, or carry caveats it lacks
+            const lines = portions
+                .filter(marking => !banner || marking.levelIndex > banner.levelIndex ||
+                    marking.caveats.some(caveat => missingCaveats.includes(caveat)) ||
+                    marking.unknownCaveats.some(caveat => missingCaveats.includes(caveat)))
+                .map(marking => marking.line);
+
+            const portionText = this.formatBanner(portion.level, missingCaveats);
+            const where = source ? `${source}: ` : '';
+            const message = !banner
+                ? banners.length
+                    ? `${where}banner "${banners[0].raw}" is not a recognized level but portion marks go up to ${portionText}`
+                    : `${where}portion marks up to ${portionText} but no banner marking`
+                : levelTooLow
+                    ? `${where}banner ${banner.level} is lower than portion marking ${portionText}`
+                    : `${where}banner ${banner.level} is missing caveat${missingCaveats.length === 1 ? '' : 's'} ${missingCaveats.join(', ')} used in portion marks`;
+
+            return {
+                source: source || null,
+                bannerLevel: banner ? banner.level : null,
+                portionLevel: portion.level,
+                missingCaveats,
+                lines,
+                message
+            };
+        }).filter(Boolean);
+    }
+
+    /**
+     * Combines results for several sources (e.g. the email and included attachments)
+     * @param {Array<Object>} entries - { source, result } with result from detectClassification
+     * @returns {Object} Combined result; marking locations are prefixed with their source
+     */
+    combineResults(entries) {
+        return this.buildResult(entries.flatMap(({ source, result }) =>
+            (result.markings || []).map(marking => ({ ...marking, source, location: `${source} ${marking.location}` }))));
+    }
+
+    /**
+     * Formats a level and caveats as a banner line
+     * @param {string} level - Level name
+     * @param {Array<string>} caveats - Caveat names
+     * @returns {string} Banner, e.g. "SECRET//NOFORN/ORCON"
+     */
+    formatBanner(level, caveats = []) {
+        return caveats.length ? `${level}${this.getScheme().separator}${caveats.join('/')}` : level;
+    }
+
     /**
      * Generates a simple classification report
      * @param {string} emailBody - Email content
+     * @param {Object} options - { subject, headers }
      * @returns {Object} Simple report
      */
-    generateReport(emailBody) {
-        const detection = this.detectClassification(emailBody);
+    generateReport(emailBody, options = {}) {
+        const detection = this.detectClassification(emailBody, options);
 
         return {
             ...detection,
             timestamp: new Date().toISOString(),
-            analyzer: 'PromptEmail Classification Detector v2.0'
+            analyzer: 'PromptEmail Classification Detector v3.0'
         };
     }
 }
@@ -0,0 +1,186 @@
+/**
+ * Classification Policy
+ * Decides whether an email may be sent to an AI provider by checking its detected classification
+ * against the provider's classificationPolicy in ai-providers.json: a maximum level on the marking
+ * scheme's ordered hierarchy, caveat allow/deny lists and handling of unrecognized markings
+ */
+
+export class ClassificationPolicy {
+    /**
+     * @param {ClassificationDetector} classificationDetector - Supplies the marking scheme (ordered levels, known caveats)
+     */
+    constructor(classificationDetector) {
+        this.classificationDetector = classificationDetector;
+
+        this.POLICY_DEFAULTS = {
+            // Markings the scheme does not know are not sent unless a provider allows them
+            DENY_UNRECOGNIZED: true
+        };
+
+        this.denyUnrecognized = this.POLICY_DEFAULTS.DENY_UNRECOGNIZED;
+        this.legacyWarnings = new Set();
+    }
+
+    /**
+     * Apply organization-wide settings from ai-providers.json (_config.classificationPolicy)
+     * @param {Object} options - { denyUnrecognized }
+     */
+    updateConfig(options = {}) {
+        if (typeof options.denyUnrecognized === 'boolean') {
+            this.denyUnrecognized = options.denyUnrecognized;
+        }
+    }
+
+    /**
+     * Get a provider's policy, converting the older blockedClassifications keyword list when needed
+     * @param {Object} providerConfig - Provider entry from ai-providers.json
+     * @param {string} providerKey - Provider key, for warnings
+     * @returns {Object} { maxLevel, maxLevelName, allowedCaveats, deniedCaveats, allowUnrecognized } with maxLevel as
+     *   an index into the scheme's levels (null is unrestricted, -1 accepts no marked email)
+     */
+    getProviderPolicy(providerConfig, providerKey) {
+        const policy = providerConfig?.classificationPolicy;
+        if (policy) {
+            return {
+                maxLevel: policy.maxLevel ? this.getLevelIndex(policy.maxLevel) : null,
+                maxLevelName: policy.maxLevel || null,
+                allowedCaveats: Array.isArray(policy.allowedCaveats) ? policy.allowedCaveats : null,
+                deniedCaveats: Array.isArray(policy.deniedCaveats) ? policy.deniedCaveats : [],
+                allowUnrecognized: typeof policy.allowUnrecognized === 'boolean' ? policy.allowUnrecognized : !this.denyUnrecognized
+            };
+        }
+
+        if (Array.isArray(providerConfig?.blockedClassifications) && providerConfig.blockedClassifications.length) {
+            return this.fromBlockedClassifications(providerConfig.blockedClassifications, providerKey);
+        }
+
+        return { maxLevel: null, maxLevelName: null, allowedCaveats: null, deniedCaveats: [], allowUnrecognized: !this.denyUnrecognized };
+    }
+
+    /**
+     * Convert blockedClassifications keywords: a blocked level caps the maximum just below it (so higher
+     * levels are blocked too) and a blocked caveat is denied. A keyword matching neither cannot be
+     * translated, so the provider accepts no marked email at all rather than becoming unrestricted.
+     * @param {Array<string>} keywords - Legacy keywords
+     * @param {string} providerKey - Provider key, for warnings
+     * @returns {Object} Policy
+     */
+    fromBlockedClassifications(keywords, providerKey) {
+        const scheme = this.classificationDetector.getScheme();
+        const levelIndexes = [];
+        const deniedCaveats = [];
+        const unmapped = [];
+
+        keywords.forEach(keyword => {
+            const name = String(keyword).toUpperCase().trim();
+            if (scheme.levelNames.has(name)) {
+                levelIndexes.push(scheme.levelNames.get(name));
+            } else if (scheme.caveatNames.has(name)) {
+                deniedCaveats.push(scheme.caveatNames.get(name));
+            } else {
+                unmapped.push(keyword);
+                this.warnOnce(`${providerKey}:${name}`, `blockedClassifications keyword "${keyword}" for provider "${providerKey}" is not a level or caveat in the marking scheme; no marked email will be sent to this provider`);
+            }
+        });
+
+        this.warnOnce(`${providerKey}:legacy`, `Provider "${providerKey}" uses blockedClassifications; use classificationPolicy instead`);
+
+        // A provider that blocks the lowest level, or a keyword the scheme lacks, accepts no marked email at all (-1)
+        const lowestBlocked = unmapped.length ? 0 : levelIndexes.length ? Math.min(...levelIndexes) : null;
+        return {
+            maxLevel: lowestBlocked === null ? null : lowestBlocked - 1,
+            maxLevelName: lowestBlocked > 0 ? scheme.levels[lowestBlocked - 1].name : null,
+            allowedCaveats: null,
+            deniedCaveats,
+            allowUnrecognized: !unmapped.length && !this.denyUnrecognized
+        };
+    }
+
+    /**
+     * Evaluate the policy rules in order; the first rule that denies decides
+     * @param {Object} classification - Detection result (level, levelIndex, caveats, unrecognized)
+     * @param {Object} providerConfig - Provider entry from ai-providers.json
+     * @param {string} providerKey - Provider key
+     * @returns {Object} { blocked, reason, rule, explanation } - reason is set when blocked;
+     *   explanation is a user-readable account of the decision either way
+     */
+    evaluate(classification, providerConfig, providerKey) {
+        const providerLabel = providerConfig?.label || providerKey;
+        const deny = (rule, reason) => ({ blocked: true, rule, reason, explanation: reason });
+        const allow = (rule, explanation) => ({ blocked: false, rule, reason: null, explanation });
+
+        if (!classification?.detected) {
+            return allow('unmarked', `No classification marking was found, so the email can be sent to ${providerLabel}.`);
+        }
+
+        const scheme = this.classificationDetector.getScheme();
+        const policy = this.getProviderPolicy(providerConfig, providerKey);
+        const caveats = classification.caveats || [];
+
+        // 1. Markings the scheme does not recognize
+        const unknownCaveats = caveats.filter(caveat => !scheme.caveatNames.has(caveat));
+        const unrecognized = [...(classification.unrecognized || []), ...unknownCaveats];
+        if (unrecognized.length && !policy.allowUnrecognized) {
+            return deny('unrecognized', `The marking ${unrecognized.map(text => `'${text}'`).join(', ')} is not part of your organization's marking scheme, and unrecognized markings are not sent to ${providerLabel}.`);
+        }
+
+        // 2. Level above the provider's maximum
+        if (policy.maxLevelName && policy.maxLevel === null) {
+            return deny('max_level', `${providerLabel} is configured with the maximum level '${policy.maxLevelName}', which is not in the marking scheme, so marked email is not sent to it.`);
+        }
+        if (policy.maxLevel !== null && classification.level) {
+            const maxIndex = policy.maxLevel;
+            if (classification.levelIndex > maxIndex) {
+                return deny('max_level', maxIndex === -1
+                    ? `This email is marked ${classification.text}; ${providerLabel} does not accept any marked email.`
+                    : `This email is marked ${classification.text}, which is above ${scheme.levels[maxIndex].name}, the highest level ${providerLabel} accepts.`);
+            }
+        }
+
+        // 3. Caveats the provider denies
+        const denied = caveats.filter(caveat => policy.deniedCaveats.some(name => this.normalizeCaveat(name) === caveat));
+        if (denied.length) {
+            return deny('denied_caveat', `This email carries the caveat ${denied.join(', ')}, which ${providerLabel} is not permitted to receive.`);
+        }
+
+        // 4. Caveats outside the provider's allow list
+        if (policy.allowedCaveats) {
+            const allowed = policy.allowedCaveats.map(name => this.normalizeCaveat(name));
+            const notAllowed = caveats.filter(caveat => !allowed.includes(caveat));
+            if (notAllowed.length) {
+                return deny('allowed_caveats', `This email carries the caveat ${notAllowed.join(', ')}; ${providerLabel} only accepts ${allowed.length ? allowed.join(', ') : 'email without caveats'}.`);
+            }
+        }
+
+        const limit = policy.maxLevel !== null && policy.maxLevel >= 0 ? ` (up to ${scheme.levels[policy.maxLevel].name})` : '';
+        return allow('allowed', `This email is marked ${classification.text}, which ${providerLabel} is permitted to receive${limit}.`);
+    }
+
+    /**
+     * @param {string} name - Level name or alias
+     * @returns {number|null} Position in the scheme's ordered levels, or null if unknown
+     */
+    getLevelIndex(name) {
+        const scheme = this.classificationDetector.getScheme();
+        const key = String(name).toUpperCase().trim();
+        return scheme.levelNames.has(key) ? scheme.levelNames.get(key) : null;
+    }
+
+    /**
+     * @param {string} name - Caveat name or alias
+     * @returns {string} Canonical caveat name
+     */
+    normalizeCaveat(name) {
+        const key = String(name).toUpperCase().trim();
+        return this.classificationDetector.getScheme().caveatNames.get(key) || key;
+    }
+
+    /**
+     * Log a configuration warning once per session
+     */
+    warnOnce(key, message) {
+        if (this.legacyWarnings.has(key)) return;
+        this.legacyWarnings.add(key);
+        console.warn(message);
+    }
+}
@@ -3,16 +3,29 @@
  * Handles extraction and analysis of email data from Outlook
  */
 
+import { ThreadParser } from './ThreadParser';
+import { BoilerplateStripper } from './BoilerplateStripper';
+import { AttachmentExtractor } from './AttachmentExtractor';
+import { MeetingReader } from './MeetingReader';
+
 export class EmailAnalyzer {
     constructor() {
         this.currentItem = null;
+        this.threadParser = new ThreadParser();
+        this.boilerplateStripper = new BoilerplateStripper();
+        this.attachmentExtractor = new AttachmentExtractor();
+        this.meetingReader = new MeetingReader();
+        
+        // Track boilerplate removal for user transparency
+        this.lastBoilerplateInfo = null;
     }
 
     /**
      * Gets the currently selected email in Outlook
+     * @param {Object} options - { headerNames: internet headers to read, e.g. classification headers }
      * @returns {Promise<Object>} Email data object
      */
-    async getCurrentEmail() {
+    async getCurrentEmail(options = {}) {
         if (!Office.context.mailbox.item) {
             throw new Error('No email item selected');
         }
@@ -138,22 +151,32 @@ export class EmailAnalyzer {
 
         const userProfile = Office.context.mailbox.userProfile;
         
+        // Meeting requests and appointments carry time, place and attendees; appointments have an organizer instead of a sender
+        const meeting = await this.meetingReader.read(item);
+        const senderValue = fromValue || meeting?.organizerDetails || null;
+        
+        // Marking headers such as X-Classification; only received items have internet headers
+        const headers = await this.getInternetHeaders(item, options.headerNames);
+        
         // Check if this is a reply after we have the subject
         const subjectStr = this.getSubjectString({ subject: subjectValue });
         const isReply = subjectStr && (subjectStr.startsWith('RE:') || subjectStr.startsWith('Re:') || subjectStr.startsWith('FW:') || subjectStr.startsWith('Fw:'));
         
         // Detect sent mail context
-        const contextInfo = await this.detectEmailContext(item, fromValue, userProfile);
+        const contextInfo = await this.detectEmailContext(item, senderValue, userProfile, meeting);
         
         const emailData = {
             subject: subjectStr,
-            from: this.getFromAddressFromValue(fromValue, item),
+            from: this.getFromAddressFromValue(senderValue, item),
             recipients: this.getRecipientsFromValue(recipientsValue),
             body: bodyText,
             bodyLength: bodyText.length,
             date: dateValue,
             isReply: isReply, // Add this flag
             hasAttachments: (item.attachments && item.attachments.length > 0),
+            attachments: this.attachmentExtractor.list(item),
+            meeting,
+            headers,
             itemType: item.itemType,
             conversationId: item.conversationId,
             // Additional Office.js identifiers for telemetry (non-content-revealing)
@@ -166,22 +189,60 @@ export class EmailAnalyzer {
             context: contextInfo
         };
 
-        return emailData;
+        await this.boilerplateStripper.loadPromise;
+        return this.prepareForAI(emailData);
     }
 
     /**
-     * Detects the email context (sent vs received) for UI adaptation
+     * Reads selected internet headers of a received item
      * @param {Office.Item} item - The Outlook item
-     * @param {Object} fromValue - The from value from async call
+     * @param {Array<string>} names - Header names to return (case-insensitive)
+     * @returns {Promise<Object>} Header values keyed by the requested name; empty when unavailable
+     */
+    getInternetHeaders(item, names = []) {
+        return new Promise((resolve) => {
+            // getAllInternetHeadersAsync needs Mailbox 1.8 and is only available in read mode
+            if (!names?.length || typeof item.getAllInternetHeadersAsync !== 'function') {
+                resolve({});
+                return;
+            }
+            
+            item.getAllInternetHeadersAsync((result) => {
+                if (result.status !== Office.AsyncResultStatus.Succeeded) {
+                    console.warn('Failed to get internet headers:', result.error);
+                    resolve({});
+                    return;
+                }
+                
+                // Unfold continuation lines, then pick the requested headers
+                const lines = (result.value || '').replace(/\r?\n[ \t]+/g, ' ').split(/\r?\n/);
+                const headers = {};
+                names.forEach(name => {
+                    const prefix = `${name.toLowerCase()}:`;
+                    const line = lines.find(candidate => candidate.toLowerCase().startsWith(prefix));
+                    if (line) headers[name] = line.substring(prefix.length).trim();
+                });
+                resolve(headers);
+            });
+        });
+    }
+
+    /**
+     * Detects the email context (sent vs received, meeting or ordinary message) for UI adaptation
+     * @param {Office.Item} item - The Outlook item
+     * @param {Object} fromValue - The from value from async call (the organizer for appointments)
      * @param {Object} userProfile - Current user profile
+     * @param {Object} meeting - Meeting details from MeetingReader, or null for ordinary messages
      * @returns {Promise<Object>} Context information
      */
-    async detectEmailContext(item, fromValue, userProfile) {
+    async detectEmailContext(item, fromValue, userProfile, meeting = null) {
         try {
             const context = {
                 isSentMail: false,
                 isInbox: false,
                 isCompose: false,
+                isMeeting: !!meeting,
+                meetingType: meeting?.type || null,
                 folderType: 'unknown',
                 userEmail: userProfile?.emailAddress?.toLowerCase(),
                 senderEmail: null,
@@ -244,6 +305,8 @@ export class EmailAnalyzer {
                 isSentMail: false,
                 isInbox: true,
                 isCompose: false,
+                isMeeting: !!meeting,
+                meetingType: meeting?.type || null,
                 folderType: 'inbox',
                 userEmail: userProfile?.emailAddress?.toLowerCase(),
                 senderEmail: null,
@@ -579,31 +642,156 @@ export class EmailAnalyzer {
      */
     prepareForAI(emailData) {
         const metadata = this.extractMetadata(emailData);
+        const thread = this.parseThread(emailData);
+        const boilerplate = { originalLength: 0, processedLength: 0, removed: [] };
+        let cleanBody = this.stripBoilerplate(this.removeSignature(thread.latestMessage), boilerplate);
+        
+        // A forward's content is the forwarded message, so keep it in full rather than summarising it
+        const isForward = /^(fw|fwd):/i.test(emailData.subject || '');
+        const forwarded = thread.turns[1];
+        const keepForwarded = !!forwarded && (isForward || !cleanBody);
+        if (keepForwarded) {
+            const source = [forwarded.sender, forwarded.date].filter(Boolean).join(', ');
+            const forwardedBody = this.stripBoilerplate(forwarded.body, boilerplate);
+            cleanBody = [cleanBody, `--- Forwarded message${source ? ` (${source})` : ''} ---\n${forwardedBody}`]
+                .filter(Boolean)
+                .join('\n\n');
+        }
+        
+        const earlierTurns = thread.turns.slice(keepForwarded ? 2 : 1)
+            .map(turn => ({ ...turn, body: this.stripBoilerplate(turn.body, boilerplate) }));
+        
+        this.lastBoilerplateInfo = boilerplate.removed.length ? {
+            wasStripped: true,
+            originalLength: boilerplate.originalLength,
+            processedLength: boilerplate.processedLength,
+            charactersRemoved: boilerplate.originalLength - boilerplate.processedLength,
+            removed: boilerplate.removed
+        } : null;
+        
+        if (window.debugLog && this.lastBoilerplateInfo) {
+            window.debugLog('EmailAnalyzer: Boilerplate removed from prompt body:', this.lastBoilerplateInfo);
+        }
+        
+        if (window.debugLog && thread.hasHistory) {
+            window.debugLog('EmailAnalyzer: Quoted history removed from prompt body:', {
+                turns: thread.turns.length,
+                quotedLength: thread.quotedLength,
+                cleanBodyLength: cleanBody.length
+            });
+        }
         
         return {
             ...emailData,
             metadata,
             processedAt: new Date().toISOString(),
-            cleanBody: this.cleanEmailBody(emailData.body)
+            thread,
+            cleanBody: cleanBody || (emailData.body || '').trim(),
+            threadSummary: this.threadParser.summarize(earlierTurns),
+            meetingDetails: this.meetingReader.format(emailData.meeting),
+            conflictHints: emailData.meeting ? this.meetingReader.detectConflictHints(cleanBody) : []
+        };
+    }
+
+    /**
+     * Removes banners, disclaimers and signature blocks from one message and adds the result to running totals
+     * @param {string} text - Message text
+     * @param {Object} totals - { originalLength, processedLength, removed } accumulated across the thread
+     * @returns {string} Message without boilerplate
+     */
+    stripBoilerplate(text, totals) {
+        const result = this.boilerplateStripper.strip(text);
+        
+        totals.originalLength += result.originalLength;
+        totals.processedLength += result.processedLength;
+        result.removed.forEach(entry => {
+            const existing = totals.removed.find(item => item.type === entry.type && item.name === entry.name);
+            if (existing) {
+                existing.characters += entry.characters;
+            } else {
+                totals.removed.push({ ...entry });
+            }
+        });
+        
+        return result.content;
+    }
+
+    /**
+     * Reads the chosen attachments of the current item and adds their text to the email data
+     * @param {Object} emailData - Email data from getCurrentEmail
+     * @param {Array<string>} attachmentIds - IDs of the attachments the user chose to include
+     * @returns {Promise<Object>} Email data with attachmentContents ({ id, name, kind, text, truncated, error })
+     *   and attachmentsSummary (attachment text formatted for prompts)
+     */
+    async loadAttachmentContent(emailData, attachmentIds) {
+        if (!this.currentItem) {
+            throw new Error('No email item selected');
+        }
+        
+        const selected = (emailData.attachments || []).filter(attachment => attachmentIds.includes(attachment.id));
+        const attachmentContents = await this.attachmentExtractor.extract(this.currentItem, selected);
+        
+        return {
+            ...emailData,
+            attachmentContents,
+            attachmentsSummary: this.attachmentExtractor.summarize(attachmentContents)
         };
     }
 
     /**
-     * Cleans email body by removing signatures, forwarded content, etc.
+     * Gets information about the boilerplate removed from the last prepared email
+     * @returns {Object|null} { wasStripped, originalLength, processedLength, charactersRemoved, removed } or null
+     */
+    getLastBoilerplateRemovalInfo() {
+        return this.lastBoilerplateInfo;
+    }
+
+    /**
+     * Clears the stored boilerplate removal information
+     */
+    clearBoilerplateRemovalInfo() {
+        this.lastBoilerplateInfo = null;
+    }
+
+    /**
+     * Splits the body into the newest message and quoted earlier messages
+     * @param {Object} emailData - Email data with body, from and date
+     * @returns {Object} { latestMessage, turns, hasHistory, quotedLength }; turns[0] is the newest message
+     *   with the email's own sender and date, later turns are quoted messages as { sender, date, to, subject, body }
+     */
+    parseThread(emailData) {
+        const thread = this.threadParser.parse(emailData.body || '');
+        
+        thread.turns[0] = {
+            ...thread.turns[0],
+            sender: emailData.from || null,
+            date: emailData.date ? new Date(emailData.date).toLocaleString() : null,
+            subject: emailData.subject || null
+        };
+        
+        return thread;
+    }
+
+    /**
+     * Cleans email body by removing quoted history, signatures and other boilerplate
      * @param {string} body - Raw email body
-     * @returns {string} Cleaned email body
+     * @returns {string} Cleaned email body (the newest message only)
      */
     cleanEmailBody(body) {
-        let cleaned = body;
-        
-        // Remove common signature separators
-        cleaned = cleaned.split(/(?:--\s*$|--- Original Message ---|From:.*Sent:)/m)[0];
+        return this.boilerplateStripper.strip(this.removeSignature(this.threadParser.parse(body || '').latestMessage)).content;
+    }
+
+    /**
+     * Removes a "-- " signature block and excess blank lines
+     * @param {string} text - Message text
+     * @returns {string} Text without the signature
+     */
+    removeSignature(text) {
+        let cleaned = (text || '').split(/^--\s*$/m)[0];
         
         // Remove excessive whitespace
         cleaned = cleaned.replace(/\n{3,}/g, '\n\n');
-        cleaned = cleaned.trim();
-        
-        return cleaned;
+        return cleaned.trim();
     }
 }
 
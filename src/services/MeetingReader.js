@@ -0,0 +1,174 @@
+/**
+ * Meeting Reader
+ * Reads meeting details (time, location, organizer, attendees) from meeting requests and
+ * appointments, and finds sentences in the body that hint at scheduling conflicts
+ */
+
+export class MeetingReader {
+    constructor() {
+        // Message classes Outlook uses for meeting messages in the inbox
+        this.MEETING_CLASSES = [
+            { prefix: 'IPM.Schedule.Meeting.Request', type: 'request' },
+            { prefix: 'IPM.Schedule.Meeting.Canceled', type: 'cancellation' },
+            { prefix: 'IPM.Schedule.Meeting.Resp', type: 'response' }
+        ];
+
+        // Wording that suggests someone cannot make the proposed time
+        this.CONFLICT_PATTERNS = [
+            /\b(conflicts?|clash(es)?|overlap(s|ping)?)\b/i,
+            /\bdouble[- ]?booked\b/i,
+            /\b(can'?t|cannot|won'?t be able to|unable to|not able to) (make|attend|join|be there)\b/i,
+            /\b(out of (the )?office|OOO|on (annual )?leave|on vacation|on holiday|travell?ing)\b/i,
+            /\b(reschedul\w*|another time|different time|alternative time|push (it|this|the meeting) (back|out)|move (it|this|the meeting))\b/i,
+            /\b(not available|unavailable|tied up|already booked)\b/i
+        ];
+
+        this.HINT_LIMITS = {
+            MAX_HINTS: 5,
+            MAX_HINT_LENGTH: 200
+        };
+    }
+
+    /**
+     * Read meeting details from the current item
+     * @param {Object} item - Office.js item
+     * @returns {Promise<Object|null>} { type, start, end, location, organizer, organizerDetails, requiredAttendees, optionalAttendees }
+     *   with ISO start/end, "Name <address>" strings and organizerDetails as { displayName, emailAddress },
+     *   or null when the item is not a meeting
+     */
+    async read(item) {
+        const type = this.getMeetingType(item);
+        if (!type) return null;
+
+        const [start, end, location, organizerValue, required, optional] = await Promise.all([
+            this.readValue(item.start),
+            this.readValue(item.end),
+            this.readValue(item.location),
+            this.readValue(item.organizer),
+            this.readValue(item.requiredAttendees),
+            this.readValue(item.optionalAttendees)
+        ]);
+
+        return {
+            type,
+            start: this.toIsoString(start),
+            end: this.toIsoString(end),
+            location: typeof location === 'string' ? location.trim() || null : null,
+            organizer: organizerValue ? this.formatAddress(organizerValue) : null,
+            organizerDetails: organizerValue
+                ? { displayName: organizerValue.displayName || null, emailAddress: organizerValue.emailAddress || null }
+                : null,
+            requiredAttendees: (Array.isArray(required) ? required : []).map(attendee => this.formatAddress(attendee)),
+            optionalAttendees: (Array.isArray(optional) ? optional : []).map(attendee => this.formatAddress(attendee))
+        };
+    }
+
+    /**
+     * Determine whether an item is a meeting and of which kind
+     * @param {Object} item - Office.js item
+     * @returns {string|null} 'appointment', 'request', 'cancellation', 'response' or null for ordinary messages
+     */
+    getMeetingType(item) {
+        if (!item) return null;
+        if (item.itemType === Office.MailboxEnums.ItemType.Appointment) return 'appointment';
+
+        const itemClass = item.itemClass || '';
+        const match = this.MEETING_CLASSES.find(entry => itemClass.startsWith(entry.prefix));
+        if (match) return match.type;
+
+        // Some hosts leave itemClass empty but still expose the meeting request type
+        return item.meetingRequestType ? 'request' : null;
+    }
+
+    /**
+     * Read a property that is a plain value in read mode and has getAsync in compose mode
+     * @param {*} property - Item property
+     * @returns {Promise<*>} Value, or null if it cannot be read
+     */
+    readValue(property) {
+        return new Promise((resolve) => {
+            if (property && typeof property.getAsync === 'function') {
+                property.getAsync((result) => {
+                    if (result.status === Office.AsyncResultStatus.Succeeded) {
+                        resolve(result.value);
+                    } else {
+                        console.warn('Failed to read meeting property:', result.error);
+                        resolve(null);
+                    }
+                });
+            } else {
+                resolve(property ?? null);
+            }
+        });
+    }
+
+    /**
+     * @param {Date|string|null} value - Date value from Office.js
+     * @returns {string|null} ISO string, or null if missing or invalid
+     */
+    toIsoString(value) {
+        if (!value) return null;
+        const date = new Date(value);
+        return isNaN(date.getTime()) ? null : date.toISOString();
+    }
+
+    /**
+     * @param {Object} details - Office.js EmailAddressDetails
+     * @returns {string} "Name <address>"
+     */
+    formatAddress(details) {
+        const name = details.displayName || details.emailAddress || 'Unknown';
+        return details.emailAddress && details.emailAddress !== name ? `${name} <${details.emailAddress}>` : name;
+    }
+
+    /**
+     * Find sentences in the body that hint at a scheduling conflict
+     * @param {string} text - Message body
+     * @returns {Array<string>} Matching sentences, shortened
+     */
+    detectConflictHints(text) {
+        const sentences = (text || '')
+            .split(/(?<=[.!?])\s+|\n+/)
+            .map(sentence => sentence.replace(/\s+/g, ' ').trim())
+            .filter(Boolean);
+
+        return sentences
+            .filter(sentence => this.CONFLICT_PATTERNS.some(pattern => pattern.test(sentence)))
+            .slice(0, this.HINT_LIMITS.MAX_HINTS)
+            .map(sentence => sentence.length > this.HINT_LIMITS.MAX_HINT_LENGTH
+                ? `${sentence.substring(0, this.HINT_LIMITS.MAX_HINT_LENGTH).trim()}…`
+                : sentence);
+    }
+
+    /**
+     * Format meeting details for prompts
+     * @param {Object} meeting - Result of read()
+     * @returns {string} One detail per line
+     */
+    format(meeting) {
+        if (!meeting) return '';
+
+        const formatTime = (iso, options = {}) => new Date(iso).toLocaleString(undefined, {
+            weekday: 'short', year: 'numeric', month: 'short', day: 'numeric',
+            hour: 'numeric', minute: '2-digit', ...options
+        });
+
+        let when = null;
+        if (meeting.start) {
+            const sameDay = meeting.end && new Date(meeting.start).toDateString() === new Date(meeting.end).toDateString();
+            const endText = !meeting.end ? '' : sameDay
+                ? ` – ${new Date(meeting.end).toLocaleTimeString(undefined, { hour: 'numeric', minute: '2-digit', timeZoneName: 'short' })}`
+                : ` – ${formatTime(meeting.end, { timeZoneName: 'short' })}`;
+            when = `${formatTime(meeting.start)}${endText}`;
+        }
+
+        return [
+            `Type: ${meeting.type === 'appointment' ? 'calendar appointment' : `meeting ${meeting.type}`}`,
+            when && `When: ${when}`,
+            meeting.location && `Where: ${meeting.location}`,
+            meeting.organizer && `Organizer: ${meeting.organizer}`,
+            meeting.requiredAttendees.length && `Required attendees: ${meeting.requiredAttendees.join(', ')}`,
+            meeting.optionalAttendees.length && `Optional attendees: ${meeting.optionalAttendees.join(', ')}`
+        ].filter(Boolean).join('\n');
+    }
+}
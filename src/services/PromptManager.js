@@ -34,6 +34,15 @@ export class PromptManager {
         }
     }
 
+    /**
+     * Get the prompt template version (changes when prompts.json is revised)
+     * @returns {Promise<string>} Version string
+     */
+    async getVersion() {
+        await this.loadPromise;
+        return this.prompts?._metadata?.version || 'fallback';
+    }
+
     /**
      * Get a prompt template by category and type
      * @param {string} category - Prompt category (analysis, response, followup, etc.)
@@ -48,7 +57,29 @@ export class PromptManager {
             return this.getFallbackPrompt(category, type);
         }
 
-        return this.prompts[category][type];
+        return this.expandPartials(this.prompts[category][type]);
+    }
+
+    /**
+     * Replace {{>name}} includes with the shared sections in prompts.json _partials
+     * Partials may include other partials; an unknown name is left for substituteVariables to remove.
+     * @param {string} template - Template text
+     * @param {number} depth - Nesting level, to stop include cycles
+     * @returns {string} Template with partials expanded
+     */
+    expandPartials(template, depth = 0) {
+        const partials = this.prompts?._partials || {};
+        if (typeof template !== 'string' || depth > 5) {
+            return template;
+        }
+
+        return template.replace(/\{\{>\s*(\w+)\s*\}\}/g, (match, name) => {
+            if (typeof partials[name] !== 'string') {
+                console.warn(`Prompt partial not found: ${name}`);
+                return match;
+            }
+            return this.expandPartials(partials[name], depth + 1);
+        });
     }
 
     /**
@@ -198,10 +229,16 @@ export class PromptManager {
     getFallbackPrompts() {
         return {
             analysis: {
-                user_prompt: 'Please analyze the following email and provide insights about key points, sentiment, urgency, and recommended actions.'
+                user_prompt: 'Please analyze the following email and provide insights about key points, sentiment, urgency, and recommended actions.',
+                repair_prompt: 'Your previous analysis did not match the required JSON format.\n\nProblems found:\n{{validation_errors}}\n\nYour previous response:\n{{previous_response}}\n\nRequired JSON schema:\n{{analysis_schema}}\n\nReturn only the corrected JSON object.'
             },
             response: {
-                user_prompt: 'Help me compose an appropriate email response based on the provided context and requirements.'
+                user_prompt: 'Help me compose an appropriate email response based on the provided context and requirements.',
+                variants: 'Write {{variantCount}} alternative replies to the email from {{emailFrom}} below, one for each of these intents:\n{{variantIntents}}\n\nStart each reply with a line of the form === VARIANT: <intent label> === and output only the replies.\n\nEmail:\n{{emailContent}}'
+            },
+            meeting: {
+                accept_with_note: 'Write a short note to {{emailFrom}} accepting this meeting invitation:\n{{meetingDetails}}\n\nMessage:\n{{emailContent}}',
+                propose_new_time: 'Write a reply to {{emailFrom}} proposing two or three alternative times, as [placeholders], for this meeting invitation:\n{{meetingDetails}}\n\nMessage:\n{{emailContent}}'
             },
             followup: {
                 user_prompt: 'Suggest follow-up actions for this sent email to ensure effective communication.'
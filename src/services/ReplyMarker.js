@@ -0,0 +1,122 @@
+/**
+ * Reply Marker
+ * Marks AI-drafted replies with the classification of the email they answer: the source banner
+ * replaces whatever banner the model wrote, so neither the model nor refinement instructions can
+ * lower it, and optional portion marks are added to each paragraph
+ */
+
+export class ReplyMarker {
+    /**
+     * @param {ClassificationDetector} classificationDetector - Supplies the marking scheme and marking parsers
+     */
+    constructor(classificationDetector) {
+        this.classificationDetector = classificationDetector;
+    }
+
+    /**
+     * Reply marking settings from the marking scheme
+     * @returns {Object} { enabled, bannerPosition, portionMarks }
+     */
+    getSettings() {
+        return this.classificationDetector.getScheme().replyMarking;
+    }
+
+    /**
+     * Apply the source email's classification to a parsed reply
+     * @param {Object} parsed - Result of AIService.parseResponseResult
+     * @param {Object} classification - Effective classification of the source email (detectCurrentClassification)
+     * @returns {Object} The reply with marked text and marking: { banner, conflicts }, where conflicts lists
+     *   markings the model wrote that differ from the source; unchanged when there is nothing to apply
+     */
+    apply(parsed, classification) {
+        const settings = this.getSettings();
+        if (!settings.enabled || !parsed?.text || !classification?.level) {
+            return parsed;
+        }
+
+        const banner = this.classificationDetector.formatBanner(classification.level, classification.caveats || []);
+        const portionMark = settings.portionMarks ? this.formatPortionMark(classification.level, classification.caveats || []) : null;
+
+        const { text, found } = this.removeMarkings(parsed.text);
+        const conflicts = [...new Set(found
+            .filter(marking => !this.isSameMarking(marking, classification))
+            .map(marking => marking.raw))];
+
+        const body = portionMark ? this.addPortionMarks(text, portionMark) : text;
+        const marked = settings.bannerPosition === 'top'
+            ? `${banner}\n\n${body}`
+            : `${banner}\n\n${body}\n\n${banner}`;
+
+        return {
+            ...parsed,
+            text: marked,
+            wordCount: marked.split(/\s+/).filter(word => word.length > 0).length,
+            marking: { banner, conflicts }
+        };
+    }
+
+    /**
+     * Remove banner, labelled and portion markings the model wrote
+     * @param {string} text - Reply text
+     * @returns {Object} { text, found } with the markings that were removed
+     */
+    removeMarkings(text) {
+        const detector = this.classificationDetector;
+        const banners = detector.parseClassificationText(text);
+        // Labels of a lettered list such as "(A) (B) (C)" are the model's own list, not markings
+        const portions = detector.scanPortionMarks(text).filter(marking => !marking.listLabel);
+        const bannerLines = new Set(banners.map(marking => marking.line));
+
+        const lines = text.split(/\r?\n/)
+            .map((line, index) => {
+                if (bannerLines.has(index + 1)) return null;
+                const portion = portions.find(marking => marking.line === index + 1);
+                return portion ? line.replace(portion.raw, '').replace(/^(\s*(?:>\s*)*(?:(?:[-*•]|\d+[.)])\s+)?)\s+/, '$1') : line;
+            })
+            .filter(line => line !== null);
+
+        return {
+            text: lines.join('\n').replace(/\n{3,}/g, '\n\n').trim(),
+            found: [...banners, ...portions]
+        };
+    }
+
+    /**
+     * Prefix each paragraph with a portion mark
+     * @param {string} text - Reply text without markings
+     * @param {string} portionMark - Mark such as "(S//NF)"
+     * @returns {string} Marked text
+     */
+    addPortionMarks(text, portionMark) {
+        return text.split(/\n\s*\n/)
+            .map(paragraph => paragraph.trim() ? `${portionMark} ${paragraph.trimStart()}` : paragraph)
+            .join('\n\n');
+    }
+
+    /**
+     * Format a portion mark using the scheme's abbreviations, e.g. "(S//NF)"
+     * @param {string} level - Level name
+     * @param {Array<string>} caveats - Caveat names
+     * @returns {string} Portion mark
+     */
+    formatPortionMark(level, caveats) {
+        const scheme = this.classificationDetector.getScheme();
+        const levelEntry = scheme.levels.find(entry => entry.name === level);
+        const levelText = levelEntry?.abbreviations[0] || level;
+        const caveatText = caveats.map(name => scheme.caveats.find(caveat => caveat.name === name)?.abbreviation || name);
+        return `(${[levelText, ...(caveatText.length ? [caveatText.join('/')] : [])].join(scheme.separator)})`;
+    }
+
+    /**
+     * @param {Object} marking - Marking parsed from the reply
+     * @param {Object} classification - Source classification
+     * @returns {boolean} True if the marking has the source's level and caveats
+     */
+    isSameMarking(marking, classification) {
+        const caveats = [...marking.caveats, ...marking.unknownCaveats];
+        const expected = classification.caveats || [];
+        return marking.level === classification.level &&
+            caveats.length === expected.length &&
+            caveats.every(caveat => expected.includes(caveat));
+    }
+}
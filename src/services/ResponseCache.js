@@ -0,0 +1,224 @@
+/**
+ * Response Cache Service
+ * Stores AI analysis and response results in IndexedDB so re-opening an email
+ * does not re-run the same request against the model
+ */
+
+export class ResponseCache {
+    constructor(options = {}) {
+        this.dbName = 'promptemail_cache';
+        this.storeName = 'responses';
+        this.dbVersion = 1;
+        this.dbPromise = null;
+
+        // Cache limits (overridable via _config.responseCache in ai-providers.json)
+        this.CACHE_DEFAULTS = {
+            TTL_HOURS: 24 * 7, // entries expire after a week
+            MAX_ENTRIES: 200,
+            MAX_SIZE_MB: 5
+        };
+
+        this.updateConfig(options);
+    }
+
+    /**
+     * Apply cache limits from configuration
+     * @param {Object} options - { ttlHours, maxEntries, maxSizeMB }
+     */
+    updateConfig(options = {}) {
+        const config = options || {};
+        this.ttlMs = (config.ttlHours ?? this.CACHE_DEFAULTS.TTL_HOURS) * 60 * 60 * 1000;
+        this.maxEntries = config.maxEntries ?? this.CACHE_DEFAULTS.MAX_ENTRIES;
+        this.maxBytes = (config.maxSizeMB ?? this.CACHE_DEFAULTS.MAX_SIZE_MB) * 1024 * 1024;
+    }
+
+    /**
+     * Check whether IndexedDB is available in this host
+     * @returns {boolean} True if the cache can be used
+     */
+    isAvailable() {
+        return typeof indexedDB !== 'undefined';
+    }
+
+    /**
+     * Open (and create on first use) the cache database
+     * @returns {Promise<IDBDatabase>} Open database
+     */
+    openDatabase() {
+        if (!this.dbPromise) {
+            this.dbPromise = new Promise((resolve, reject) => {
+                const request = indexedDB.open(this.dbName, this.dbVersion);
+
+                request.onupgradeneeded = () => {
+                    const db = request.result;
+                    if (!db.objectStoreNames.contains(this.storeName)) {
+                        db.createObjectStore(this.storeName, { keyPath: 'key' });
+                    }
+                };
+                request.onsuccess = () => resolve(request.result);
+                request.onerror = () => reject(request.error);
+                request.onblocked = () => reject(new Error('Response cache database is blocked by another window'));
+            }).catch(error => {
+                // Allow a later call to retry opening the database
+                this.dbPromise = null;
+                throw error;
+            });
+        }
+        return this.dbPromise;
+    }
+
+    /**
+     * Run a single request against the cache store
+     * @param {string} mode - 'readonly' or 'readwrite'
+     * @param {Function} operation - Receives the object store and returns an IDBRequest
+     * @returns {Promise<*>} Request result
+     */
+    async runRequest(mode, operation) {
+        const db = await this.openDatabase();
+        return new Promise((resolve, reject) => {
+            const transaction = db.transaction(this.storeName, mode);
+            const request = operation(transaction.objectStore(this.storeName));
+            transaction.oncomplete = () => resolve(request.result);
+            transaction.onerror = () => reject(transaction.error);
+            transaction.onabort = () => reject(transaction.error);
+        });
+    }
+
+    /**
+     * Get a cached value
+     * @param {string} key - Cache key
+     * @returns {Promise<Object|null>} { value, metadata, createdAt } or null on a miss
+     */
+    async get(key) {
+        if (!this.isAvailable()) return null;
+
+        try {
+            const entry = await this.runRequest('readonly', store => store.get(key));
+            if (!entry) return null;
+
+            if (Date.now() - entry.createdAt > this.ttlMs) {
+                await this.delete(key);
+                return null;
+            }
+
+            // Track use for least-recently-used eviction
+            entry.lastAccessedAt = Date.now();
+            await this.runRequest('readwrite', store => store.put(entry));
+
+            return { value: entry.value, metadata: entry.metadata, createdAt: entry.createdAt };
+        } catch (error) {
+            console.warn('Response cache read failed:', error);
+            return null;
+        }
+    }
+
+    /**
+     * Store a value, then enforce TTL and size limits
+     * @param {string} key - Cache key
+     * @param {Object} value - Structured-cloneable value (analysis or response object)
+     * @param {Object} metadata - Descriptive fields (kind, provider, model)
+     * @returns {Promise<boolean>} Success status
+     */
+    async set(key, value, metadata = {}) {
+        if (!this.isAvailable()) return false;
+
+        try {
+            const size = JSON.stringify(value).length;
+            if (size > this.maxBytes) {
+                return false;
+            }
+
+            const now = Date.now();
+            await this.runRequest('readwrite', store => store.put({
+                key,
+                value,
+                metadata,
+                size,
+                createdAt: now,
+                lastAccessedAt: now
+            }));
+
+            await this.prune();
+            return true;
+        } catch (error) {
+            console.warn('Response cache write failed:', error);
+            return false;
+        }
+    }
+
+    /**
+     * Delete a cached value
+     * @param {string} key - Cache key
+     */
+    async delete(key) {
+        await this.runRequest('readwrite', store => store.delete(key));
+    }
+
+    /**
+     * Remove expired entries, then least recently used entries until within size limits
+     */
+    async prune() {
+        const entries = await this.runRequest('readonly', store => store.getAll());
+        const now = Date.now();
+
+        const expired = entries.filter(entry => now - entry.createdAt > this.ttlMs);
+        const live = entries
+            .filter(entry => now - entry.createdAt <= this.ttlMs)
+            .sort((a, b) => b.lastAccessedAt - a.lastAccessedAt);
+
+        const evicted = [];
+        let totalBytes = live.reduce((sum, entry) => sum + (entry.size || 0), 0);
+        while (live.length > this.maxEntries || (live.length && totalBytes > this.maxBytes)) {
+            const entry = live.pop();
+            totalBytes -= entry.size || 0;
+            evicted.push(entry);
+        }
+
+        const stale = [...expired, ...evicted];
+        if (stale.length) {
+            await this.runRequest('readwrite', store => {
+                let request = null;
+                stale.forEach(entry => {
+                    request = store.delete(entry.key);
+                });
+                return request;
+            });
+            if (window.debugLog) window.debugLog(`Response cache pruned ${stale.length} entries`);
+        }
+    }
+
+    /**
+     * Remove all cached values
+     * @returns {Promise<boolean>} Success status
+     */
+    async clear() {
+        if (!this.isAvailable()) return false;
+
+        try {
+            await this.runRequest('readwrite', store => store.clear());
+            return true;
+        } catch (error) {
+            console.warn('Response cache clear failed:', error);
+            return false;
+        }
+    }
+
+    /**
+     * Get the number and total size of cached entries
+     * @returns {Promise<Object>} { count, bytes }
+     */
+    async getStats() {
+        if (!this.isAvailable()) return { count: 0, bytes: 0 };
+
+        try {
+            const entries = await this.runRequest('readonly', store => store.getAll());
+            return {
+                count: entries.length,
+                bytes: entries.reduce((sum, entry) => sum + (entry.size || 0), 0)
+            };
+        } catch (error) {
+            console.warn('Response cache stats failed:', error);
+            return { count: 0, bytes: 0 };
+        }
+    }
+}
@@ -0,0 +1,232 @@
+/**
+ * Sensitive Data Redactor
+ * Replaces personal data and credentials in prompts with stable placeholders such as [EMAIL_1] or
+ * [PHONE_2] before they leave the client, and puts the original values back into the model's reply.
+ * A value keeps its placeholder until reset() so refinements of the same email stay consistent.
+ */
+
+export class SensitiveDataRedactor {
+    constructor() {
+        // Entity types in the order they are applied; earlier types win where patterns overlap
+        // (a card number is not also split into phone numbers, a key is not read as an email)
+        this.ENTITY_TYPES = {
+            awsAccessKey: {
+                placeholder: 'AWS_KEY',
+                label: 'AWS access key',
+                pattern: /\b(?:AKIA|ASIA|AGPA|AIDA|AROA|ANPA|ANVA|AIPA)[A-Z0-9]{16}\b/g
+            },
+            apiKey: {
+                placeholder: 'API_KEY',
+                label: 'API key',
+                pattern: /\b(?:sk-(?:proj-|ant-)?[A-Za-z0-9_-]{20,}|gh[pousr]_[A-Za-z0-9]{36,}|github_pat_[A-Za-z0-9_]{22,}|glpat-[A-Za-z0-9_-]{20,}|xox[abposr]-[A-Za-z0-9-]{10,}|AIza[0-9A-Za-z_-]{35})/g,
+                // Values after a label such as "api_key: ..." or "client secret = ..."
+                labelledPattern: /\b(?:api[_ -]?key|access[_ -]?key|secret(?:[_ -]?key)?|client[_ -]?secret|auth[_ -]?token|access[_ -]?token|token|password)\b\s*[:=]\s*["']?([A-Za-z0-9_\-/+=.]{16,})/gi
+            },
+            email: {
+                placeholder: 'EMAIL',
+                label: 'email address',
+                pattern: /\b[A-Za-z0-9._%+-]+@[A-Za-z0-9-]+(?:\.[A-Za-z0-9-]+)*\.[A-Za-z]{2,}\b/g
+            },
+            card: {
+                placeholder: 'CARD',
+                label: 'card number',
+                pattern: /\b\d(?:[ -]?\d){12,18}\b/g,
+                validate: (value) => this.isValidCardNumber(value)
+            },
+            ssn: {
+                placeholder: 'SSN',
+                label: 'Social Security number',
+                pattern: /\b(?!000|666|9\d\d)\d{3}([- ])(?!00)\d{2}\1(?!0000)\d{4}\b/g
+            },
+            phone: {
+                placeholder: 'PHONE',
+                label: 'phone number',
+                pattern: /(?:\+\d{1,3}[\s.-]?)?(?:\(\d{2,4}\)\s?|\b\d{2,4}[\s.-])\d{3,4}[\s.-]\d{3,4}\b/g,
+                validate: (value, text, offset) => this.isLikelyPhoneNumber(value, text, offset)
+            }
+        };
+
+        this.REDACTION_DEFAULTS = {
+            // Providers without their own redaction setting redact all entity types
+            ENABLED: true
+        };
+
+        this.enabledByDefault = this.REDACTION_DEFAULTS.ENABLED;
+        this.defaultEntities = Object.keys(this.ENTITY_TYPES);
+
+        this.reset();
+    }
+
+    /**
+     * Apply organization-wide settings from ai-providers.json (_config.redaction)
+     * @param {Object} options - { enabled, entities }
+     */
+    updateConfig(options = {}) {
+        if (typeof options?.enabled === 'boolean') {
+            this.enabledByDefault = options.enabled;
+        }
+        if (Array.isArray(options?.entities)) {
+            this.defaultEntities = this.filterEntities(options.entities);
+        }
+    }
+
+    /**
+     * Get a provider's redaction settings; a provider's "redaction" entry overrides the organization default
+     * @param {Object} providerConfig - Provider entry from ai-providers.json
+     * @returns {Object} { enabled, entities }
+     */
+    getProviderSettings(providerConfig) {
+        const settings = providerConfig?.redaction;
+        return {
+            enabled: typeof settings?.enabled === 'boolean' ? settings.enabled : this.enabledByDefault,
+            entities: Array.isArray(settings?.entities) ? this.filterEntities(settings.entities) : this.defaultEntities
+        };
+    }
+
+    /**
+     * Replace sensitive values in text with placeholders
+     * @param {string} text - Prompt text
+     * @param {Array<string>} entities - Entity types to redact (keys of ENTITY_TYPES)
+     * @returns {Object} { text, redactions } where redactions lists { type, label, placeholder, count } for each value replaced
+     */
+    redact(text, entities = this.defaultEntities) {
+        if (!text || typeof text !== 'string') {
+            return { text, redactions: [] };
+        }
+
+        const counts = new Map();
+        const record = (type, value) => {
+            const placeholder = this.getPlaceholder(type, value);
+            counts.set(placeholder, (counts.get(placeholder) || 0) + 1);
+            return placeholder;
+        };
+
+        let result = text;
+        Object.entries(this.ENTITY_TYPES)
+            .filter(([type]) => entities.includes(type))
+            .forEach(([type, entity]) => {
+                if (entity.labelledPattern) {
+                    result = result.replace(entity.labelledPattern, (match, value) =>
+                        match.slice(0, match.length - value.length) + record(type, value));
+                }
+                result = result.replace(entity.pattern, (match, ...args) => {
+                    const offset = args.find(arg => typeof arg === 'number');
+                    if (entity.validate && !entity.validate(match, result, offset)) {
+                        return match;
+                    }
+                    return record(type, match);
+                });
+            });
+
+        const redactions = [...counts.entries()].map(([placeholder, count]) => {
+            const type = this.placeholderTypes.get(placeholder);
+            return { type, label: this.ENTITY_TYPES[type].label, placeholder, count };
+        });
+
+        return { text: result, redactions };
+    }
+
+    /**
+     * Put the original values back in place of known placeholders
+     * @param {string} text - Model output
+     * @returns {string} Text with placeholders restored; unknown placeholders are left as written
+     */
+    restore(text) {
+        if (!text || typeof text !== 'string' || this.values.size === 0) {
+            return text;
+        }
+        return text.replace(/\[[A-Z_]+_\d+\]/g, match => this.values.has(match) ? this.values.get(match) : match);
+    }
+
+    /**
+     * Forget all placeholders, e.g. when a different email is opened
+     */
+    reset() {
+        this.placeholders = new Map();
+        this.values = new Map();
+        this.placeholderTypes = new Map();
+        this.counters = {};
+    }
+
+    /**
+     * Get the placeholder for a value, creating the next one for its type when the value is new
+     * @param {string} type - Entity type
+     * @param {string} value - Sensitive value
+     * @returns {string} Placeholder such as [EMAIL_1]
+     */
+    getPlaceholder(type, value) {
+        const key = `${type}:${this.normalizeValue(type, value)}`;
+        if (!this.placeholders.has(key)) {
+            const prefix = this.ENTITY_TYPES[type].placeholder;
+            this.counters[prefix] = (this.counters[prefix] || 0) + 1;
+            const placeholder = `[${prefix}_${this.counters[prefix]}]`;
+            this.placeholders.set(key, placeholder);
+            this.values.set(placeholder, value);
+            this.placeholderTypes.set(placeholder, type);
+        }
+        return this.placeholders.get(key);
+    }
+
+    /**
+     * Normalize a value so differently formatted copies share one placeholder
+     * @param {string} type - Entity type
+     * @param {string} value - Sensitive value
+     * @returns {string} Normalized value
+     */
+    normalizeValue(type, value) {
+        if (type === 'email') return value.toLowerCase();
+        if (type === 'card' || type === 'ssn' || type === 'phone') return value.replace(/[^\d+]/g, '');
+        return value;
+    }
+
+    /**
+     * Luhn check, so order numbers and other long digit runs are not taken for card numbers
+     * @param {string} value - Candidate card number
+     * @returns {boolean} True for a 13-19 digit number with a valid check digit
+     */
+    isValidCardNumber(value) {
+        const digits = value.replace(/\D/g, '');
+        if (digits.length < 13 || digits.length > 19) {
+            return false;
+        }
+
+        let sum = 0;
+        for (let i = 0; i < digits.length; i++) {
+            let digit = Number(digits[digits.length - 1 - i]);
+            if (i % 2 === 1) {
+                digit *= 2;
+                if (digit > 9) digit -= 9;
+            }
+            sum += digit;
+        }
+        return sum % 10 === 0;
+    }
+
+    /**
+     * Reject matches that are part of a longer number, version or address (e.g. 10.0.120.15)
+     * @param {string} value - Candidate phone number
+     * @param {string} text - Text being redacted
+     * @param {number} offset - Position of the match
+     * @returns {boolean} True if the match looks like a phone number
+     */
+    isLikelyPhoneNumber(value, text, offset) {
+        const digits = value.replace(/\D/g, '');
+        const before = text.charAt(offset - 1);
+        const after = text.slice(offset + value.length, offset + value.length + 2);
+        return digits.length >= 7 && digits.length <= 15 &&
+            !/[\w.]/.test(before) &&
+            !/^[.-]?\d/.test(after);
+    }
+
+    /**
+     * @param {Array<string>} entities - Configured entity types
+     * @returns {Array<string>} Known entity types; unknown names are logged and ignored
+     */
+    filterEntities(entities) {
+        return entities.filter(type => {
+            if (this.ENTITY_TYPES[type]) return true;
+            console.warn(`Unknown redaction entity type "${type}" was ignored`);
+            return false;
+        });
+    }
+}
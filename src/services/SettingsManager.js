@@ -15,6 +15,12 @@ export class SettingsManager {
             'auto-analysis': false,
             'auto-response': false,
             
+            // Response Cache
+            'response-cache-enabled': true,
+            
+            // Saved Chat Sessions
+            'chat-sessions-enabled': true,
+            
             // Accessibility Settings
             'high-contrast': false,
             'screen-reader-mode': false,
@@ -67,6 +73,12 @@ export class SettingsManager {
                 providerConfig['region'] = 'us-east-1';
             }
             
+            // Add deployment fields if this is an Azure-style provider
+            if (providerInfo.apiFormat === 'azure-openai') {
+                providerConfig['deployment'] = '';
+                providerConfig['api-version'] = '';
+            }
+            
             providers[providerKey] = providerConfig;
         });
         
@@ -536,9 +548,10 @@ export class SettingsManager {
      * @param {string} apiKey - The API key for this provider
      * @param {string} endpointUrl - The endpoint URL for this provider
      * @param {string} selectedModel - The selected model for this provider
+     * @param {Object} providerFields - Format-specific fields (e.g. { deployment, 'api-version' } for azure-openai)
      * @returns {Promise<boolean>} Success status
      */
-    async setProviderConfig(provider, apiKey, endpointUrl, selectedModel = '') {
+    async setProviderConfig(provider, apiKey, endpointUrl, selectedModel = '', providerFields = {}) {
         if (!provider) return false;
         
         try {
@@ -566,6 +579,13 @@ export class SettingsManager {
                 newConfig['region'] = currentConfig['region'] || 'us-east-1';
             }
             
+            // Format-specific fields are saved as entered - an empty value falls back to ai-providers.json
+            Object.keys(providerFields || {}).forEach(field => {
+                if (typeof providerFields[field] === 'string') {
+                    newConfig[field] = providerFields[field].trim();
+                }
+            });
+            
             // Set the immutable provider configuration
             this.settings['providers'][provider] = newConfig;
             
@@ -573,7 +593,8 @@ export class SettingsManager {
                 window.debugLog(`setProviderConfig(${provider}):`, {
                     'api-key': newConfig['api-key'] ? '[HIDDEN]' : '[EMPTY]',
                     'endpoint-url': newConfig['endpoint-url'] || '[EMPTY]',
-                    'selected-model': newConfig['selected-model'] || '[EMPTY]'
+                    'selected-model': newConfig['selected-model'] || '[EMPTY]',
+                    'provider-fields': Object.keys(providerFields || {})
                 });
             }
             
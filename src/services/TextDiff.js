@@ -0,0 +1,131 @@
+/**
+ * Text Diff
+ * Word-level diff between two drafts, used to show what a refinement changed
+ */
+
+export class TextDiff {
+    constructor() {
+        // Above this many word pairs the LCS table gets too large for the task pane;
+        // the changed middle is then shown as one deletion and one insertion
+        this.MAX_COMPARISONS = 4000000;
+    }
+
+    /**
+     * Split text into words and the whitespace between them so the diff keeps spacing
+     * @param {string} text - Text to split
+     * @returns {Array<string>} Tokens
+     */
+    tokenize(text) {
+        return (text || '').split(/(\s+)/).filter(token => token.length > 0);
+    }
+
+    /**
+     * Compute a word-level diff
+     * @param {string} oldText - Earlier draft
+     * @param {string} newText - Later draft
+     * @returns {Array<Object>} Segments as { type: 'equal'|'insert'|'delete', text }
+     */
+    diffWords(oldText, newText) {
+        const oldTokens = this.tokenize(oldText);
+        const newTokens = this.tokenize(newText);
+
+        // Trim the unchanged start and end; refinements usually keep greetings and sign-offs
+        let prefix = 0;
+        while (prefix < oldTokens.length && prefix < newTokens.length && oldTokens[prefix] === newTokens[prefix]) {
+            prefix++;
+        }
+
+        let suffix = 0;
+        while (suffix < oldTokens.length - prefix && suffix < newTokens.length - prefix &&
+               oldTokens[oldTokens.length - 1 - suffix] === newTokens[newTokens.length - 1 - suffix]) {
+            suffix++;
+        }
+
+        const oldMiddle = oldTokens.slice(prefix, oldTokens.length - suffix);
+        const newMiddle = newTokens.slice(prefix, newTokens.length - suffix);
+
+        const segments = [];
+        this.pushSegment(segments, 'equal', oldTokens.slice(0, prefix).join(''));
+
+        if (oldMiddle.length * newMiddle.length > this.MAX_COMPARISONS) {
+            this.pushSegment(segments, 'delete', oldMiddle.join(''));
+            this.pushSegment(segments, 'insert', newMiddle.join(''));
+        } else {
+            this.diffTokens(oldMiddle, newMiddle).forEach(segment => this.pushSegment(segments, segment.type, segment.text));
+        }
+
+        this.pushSegment(segments, 'equal', oldTokens.slice(oldTokens.length - suffix).join(''));
+        return segments;
+    }
+
+    /**
+     * Diff two token lists using a longest common subsequence table
+     * @param {Array<string>} oldTokens - Tokens of the earlier draft
+     * @param {Array<string>} newTokens - Tokens of the later draft
+     * @returns {Array<Object>} Segments in order
+     */
+    diffTokens(oldTokens, newTokens) {
+        const rows = oldTokens.length;
+        const cols = newTokens.length;
+        const width = cols + 1;
+
+        // lengths[i * width + j] = LCS length of oldTokens[i..] and newTokens[j..]
+        const lengths = new Uint32Array((rows + 1) * width);
+        for (let i = rows - 1; i >= 0; i--) {
+            for (let j = cols - 1; j >= 0; j--) {
+                lengths[i * width + j] = oldTokens[i] === newTokens[j]
+                    ? lengths[(i + 1) * width + j + 1] + 1
+                    : Math.max(lengths[(i + 1) * width + j], lengths[i * width + j + 1]);
+            }
+        }
+
+        const segments = [];
+        let i = 0;
+        let j = 0;
+        while (i < rows && j < cols) {
+            if (oldTokens[i] === newTokens[j]) {
+                this.pushSegment(segments, 'equal', oldTokens[i]);
+                i++;
+                j++;
+            } else if (lengths[(i + 1) * width + j] >= lengths[i * width + j + 1]) {
+                this.pushSegment(segments, 'delete', oldTokens[i]);
+                i++;
+            } else {
+                this.pushSegment(segments, 'insert', newTokens[j]);
+                j++;
+            }
+        }
+        while (i < rows) this.pushSegment(segments, 'delete', oldTokens[i++]);
+        while (j < cols) this.pushSegment(segments, 'insert', newTokens[j++]);
+
+        return segments;
+    }
+
+    /**
+     * Append text to the segment list, merging with the previous segment of the same type
+     */
+    pushSegment(segments, type, text) {
+        if (!text) return;
+
+        const last = segments[segments.length - 1];
+        if (last && last.type === type) {
+            last.text += text;
+        } else {
+            segments.push({ type, text });
+        }
+    }
+
+    /**
+     * Count the words inserted and deleted in a diff
+     * @param {Array<Object>} segments - Result of diffWords
+     * @returns {Object} { inserted, deleted }
+     */
+    summarize(segments) {
+        const countWords = text => text.split(/\s+/).filter(Boolean).length;
+        return segments.reduce((totals, segment) => {
+            if (segment.type === 'insert') totals.inserted += countWords(segment.text);
+            if (segment.type === 'delete') totals.deleted += countWords(segment.text);
+            return totals;
+        }, { inserted: 0, deleted: 0 });
+    }
+}
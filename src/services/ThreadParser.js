@@ -0,0 +1,276 @@
+/**
+ * Thread Parser
+ * Splits a plain-text email body into the newest message and the quoted messages below it,
+ * recognising Outlook header blocks, "On ... wrote:" markers and ">" quoting
+ */
+
+export class ThreadParser {
+    constructor() {
+        // Divider lines Outlook and other clients put above a quoted message
+        this.DIVIDER_PATTERNS = [
+            /^-{2,}\s*(Original Message|Forwarded message|Forwarded Message)\s*-{2,}$/i,
+            /^_{10,}$/,
+            /^Begin forwarded message:$/i
+        ];
+
+        // Header fields in a quoted Outlook block ("From:", "Sent:", ...), including common localisations
+        this.HEADER_FIELDS = {
+            from: /^\*?(From|Von|De|Da|Van)\s*:\*?\s*(.*)$/i,
+            date: /^\*?(Sent|Date|Gesendet|Envoyé|Inviato|Enviado|Verzonden)\s*:\*?\s*(.*)$/i,
+            to: /^\*?(To|An|À|A|Para|Aan)\s*:\*?\s*(.*)$/i,
+            cc: /^\*?(Cc)\s*:\*?\s*(.*)$/i,
+            subject: /^\*?(Subject|Betreff|Objet|Oggetto|Asunto|Onderwerp)\s*:\*?\s*(.*)$/i
+        };
+
+        // "On Mon, 3 Mar 2025 at 10:00, Jane Doe <jane@example.com> wrote:"
+        this.WROTE_PATTERN = /^On\s+(.+?)\s+wrote:\s*$/i;
+
+        // The date part of a wrote marker ends with a time when there is one ("... at 10:00 AM Jane Doe")
+        this.WROTE_TIME_SPLIT = /^(.*\d{1,2}:\d{2}(?:\s?[AP]\.?M\.?)?)\s*,?\s+(.+)$/i;
+
+        // How many lines below a "From:" line may hold the rest of the header block
+        this.HEADER_LOOKAHEAD = 6;
+
+        // A quoted sender written as an address, or as "Name <address>"
+        this.SENDER_ADDRESS_PATTERN = /[^\s<>@]+@[^\s<>@]+\.[^\s<>@]+/;
+
+        // Thread summary limits
+        this.SUMMARY_DEFAULTS = {
+            MAX_TURNS: 5,
+            MAX_CHARS_PER_TURN: 240
+        };
+    }
+
+    /**
+     * Parse a body into the newest message and earlier turns
+     * @param {string} body - Plain-text email body
+     * @returns {Object} { latestMessage, turns, hasHistory, quotedLength }
+     *   turns[0] is the newest message; each turn is { sender, date, to, subject, body }
+     */
+    parse(body) {
+        const text = (body || '').replace(/\r\n?/g, '\n');
+        const turns = this.splitTurns(text.split('\n'), { sender: null, date: null, to: null, subject: null });
+        const latestMessage = turns[0]?.body || '';
+
+        return {
+            latestMessage,
+            turns,
+            hasHistory: turns.length > 1,
+            quotedLength: Math.max(0, text.trim().length - latestMessage.length)
+        };
+    }
+
+    /**
+     * Split lines into turns at each quoted-message header
+     * @param {Array<string>} lines - Body lines
+     * @param {Object} firstHeader - Header of the first turn (unknown for the newest message)
+     * @returns {Array<Object>} Turns in order, newest first
+     */
+    splitTurns(lines, firstHeader) {
+        const turns = [];
+        let header = firstHeader;
+        let current = [];
+
+        const finishTurn = () => {
+            turns.push({ ...header, body: this.tidy(current.join('\n')) });
+            current = [];
+        };
+
+        let i = 0;
+        while (i < lines.length) {
+            const line = lines[i].trim();
+
+            // Outlook header block, optionally preceded by a divider line
+            const afterDivider = this.DIVIDER_PATTERNS.some(pattern => pattern.test(line));
+            const block = this.readHeaderBlock(lines, afterDivider ? i + 1 : i, afterDivider);
+            if (block) {
+                finishTurn();
+                header = block.header;
+                i = block.nextLine;
+                continue;
+            }
+
+            // "On <date>, <sender> wrote:" (clients sometimes wrap it onto two lines)
+            const wrote = this.readWroteMarker(lines, i);
+            if (wrote) {
+                finishTurn();
+
+                // The quoted message is the ">" block that follows; nested quotes become further turns
+                let end = wrote.nextLine;
+                while (end < lines.length && (/^\s*>/.test(lines[end]) || (!lines[end].trim() && /^\s*>/.test(lines[end + 1] || '')))) {
+                    end++;
+                }
+
+                if (end > wrote.nextLine) {
+                    const quoted = lines.slice(wrote.nextLine, end).map(quotedLine => quotedLine.replace(/^\s*>\s?/, ''));
+                    turns.push(...this.splitTurns(quoted, wrote.header));
+                    header = { sender: null, date: null, to: null, subject: null };
+                    i = end;
+                } else {
+                    // Unquoted history: everything below belongs to the quoted message
+                    header = wrote.header;
+                    i = wrote.nextLine;
+                }
+                continue;
+            }
+
+            // A ">" block with no marker above it is a quote from an unknown sender
+            if (/^\s*>/.test(lines[i]) && current.join('').trim()) {
+                let end = i;
+                while (end < lines.length && (/^\s*>/.test(lines[end]) || !lines[end].trim())) {
+                    end++;
+                }
+                finishTurn();
+                const quoted = lines.slice(i, end).map(quotedLine => quotedLine.replace(/^\s*>\s?/, ''));
+                turns.push(...this.splitTurns(quoted, { sender: null, date: null, to: null, subject: null }));
+                header = { sender: null, date: null, to: null, subject: null };
+                i = end;
+                continue;
+            }
+
+            current.push(lines[i]);
+            i++;
+        }
+
+        finishTurn();
+
+        // Drop empty turns left by text between quotes, but always keep the newest message
+        return turns.filter((turn, index) => index === 0 || turn.body || turn.sender);
+    }
+
+    /**
+     * Read an Outlook-style header block ("From:" followed by "Sent:"/"Date:" within a few lines)
+     * Without a divider above it, the date must be a real date and the sender an address or the block must
+     * start a paragraph, so message text such as "From: the vendor" / "Date: tomorrow" is not split off
+     * @param {Array<string>} lines - Body lines
+     * @param {number} start - Line to check for "From:"
+     * @param {boolean} afterDivider - True if a divider line such as "-----Original Message-----" is above it
+     * @returns {Object|null} { header, nextLine } or null if no header block starts here
+     */
+    readHeaderBlock(lines, start, afterDivider = false) {
+        const fromMatch = (lines[start] || '').trim().match(this.HEADER_FIELDS.from);
+        if (!fromMatch) return null;
+
+        const header = { sender: fromMatch[2].trim() || null, date: null, to: null, subject: null };
+        let hasDate = false;
+        let lastField = 'from';
+        let i = start + 1;
+
+        while (i < lines.length && i <= start + this.HEADER_LOOKAHEAD) {
+            const line = lines[i].trim();
+            if (!line) break;
+
+            const field = Object.keys(this.HEADER_FIELDS)
+                .find(name => name !== 'from' && this.HEADER_FIELDS[name].test(line));
+
+            if (field) {
+                if (field === 'date') hasDate = true;
+                if (field !== 'cc') header[field] = line.match(this.HEADER_FIELDS[field])[2].trim() || null;
+                lastField = field;
+            } else if (lastField !== 'to' && lastField !== 'cc') {
+                // Only long recipient lists wrap onto continuation lines; anything else is the message
+                break;
+            }
+            i++;
+        }
+
+        if (!hasDate) return null;
+        if (afterDivider) return { header, nextLine: i };
+
+        const startsParagraph = start === 0 || !lines[start - 1].trim();
+        const senderIsAddress = this.SENDER_ADDRESS_PATTERN.test(header.sender || '');
+        return this.isHeaderDate(header.date) && (senderIsAddress || startsParagraph) ? { header, nextLine: i } : null;
+    }
+
+    /**
+     * @param {string} value - Text of a "Sent:"/"Date:" field
+     * @returns {boolean} True if it reads as a date, or names a year as localised dates ("3. März 2025") do
+     */
+    isHeaderDate(value) {
+        if (!value) return false;
+        return !isNaN(Date.parse(value)) || /\b(19|20)\d{2}\b/.test(value);
+    }
+
+    /**
+     * Read an "On ... wrote:" marker on one line or wrapped over two
+     * @param {Array<string>} lines - Body lines
+     * @param {number} index - Line to check
+     * @returns {Object|null} { header, nextLine } or null if no marker starts here
+     */
+    readWroteMarker(lines, index) {
+        const line = lines[index].trim();
+        if (!/^On\s/i.test(line)) return null;
+
+        const candidates = [{ text: line, nextLine: index + 1 }];
+        if (index + 1 < lines.length) {
+            candidates.push({ text: `${line} ${lines[index + 1].trim()}`, nextLine: index + 2 });
+        }
+
+        for (const candidate of candidates) {
+            const match = candidate.text.match(this.WROTE_PATTERN);
+            if (match) {
+                const { date, sender } = this.splitWroteMarker(match[1]);
+                return {
+                    header: { sender, date, to: null, subject: null },
+                    nextLine: candidate.nextLine
+                };
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Split the text between "On" and "wrote:" into date and sender
+     * @param {string} text - Marker text, e.g. "Mon, Mar 3, 2025 at 10:00 AM Jane Doe <jane@example.com>"
+     * @returns {Object} { date, sender } (null when a part cannot be found)
+     */
+    splitWroteMarker(text) {
+        const timeMatch = text.match(this.WROTE_TIME_SPLIT);
+        if (timeMatch) {
+            return { date: timeMatch[1].trim(), sender: timeMatch[2].trim() };
+        }
+
+        // Without a time, the sender follows the last comma ("On 3 March 2025, Jane Doe wrote:")
+        const lastComma = text.lastIndexOf(',');
+        if (lastComma !== -1) {
+            return { date: text.substring(0, lastComma).trim() || null, sender: text.substring(lastComma + 1).trim() || null };
+        }
+
+        return { date: text.trim() || null, sender: null };
+    }
+
+    /**
+     * Trim blank lines and collapse runs of blank lines
+     * @param {string} text - Turn text
+     * @returns {string} Tidied text
+     */
+    tidy(text) {
+        return text.replace(/\n{3,}/g, '\n\n').trim();
+    }
+
+    /**
+     * Build a compact summary of earlier turns for prompts: sender, date and the opening of each message
+     * @param {Array<Object>} turns - Earlier turns (newest first), without the latest message
+     * @param {Object} options - { maxTurns, maxCharsPerTurn }
+     * @returns {string} Summary lines, or '' when there is no history
+     */
+    summarize(turns, options = {}) {
+        const maxTurns = options.maxTurns ?? this.SUMMARY_DEFAULTS.MAX_TURNS;
+        const maxChars = options.maxCharsPerTurn ?? this.SUMMARY_DEFAULTS.MAX_CHARS_PER_TURN;
+        const history = (turns || []).filter(turn => turn.body);
+        if (history.length === 0) return '';
+
+        const lines = history.slice(0, maxTurns).map(turn => {
+            const excerpt = turn.body.replace(/\s+/g, ' ').trim();
+            const shortened = excerpt.length > maxChars ? `${excerpt.substring(0, maxChars).trim()}…` : excerpt;
+            const meta = [turn.sender || 'Unknown sender', turn.date].filter(Boolean).join(', ');
+            return `- ${meta}: ${shortened}`;
+        });
+
+        if (history.length > maxTurns) {
+            lines.push(`- (${history.length - maxTurns} earlier message${history.length - maxTurns === 1 ? '' : 's'} omitted)`);
+        }
+
+        return lines.join('\n');
+    }
+}
@@ -0,0 +1,143 @@
+/**
+ * Token Estimator
+ * Approximates token counts for the model families the add-in talks to, so prompts
+ * can be budgeted against a model's context window without bundling a tokenizer
+ */
+
+export class TokenEstimator {
+    constructor() {
+        // Pre-tokenizer pieces in the style of BPE tokenizers: a word with its leading
+        // space, a run of digits, a run of punctuation, or a run of whitespace
+        this.PIECE_PATTERN = /\s?[A-Za-z]+|\d+|\s?[^\sA-Za-z\d\u0080-\uFFFF]+|[\u0080-\uFFFF]+|\s+/g;
+
+        // Per-family approximations of how each piece type is split into tokens
+        this.FAMILY_PROFILES = {
+            // cl100k/o200k style vocabularies (GPT-3.5, GPT-4, GPT-4o)
+            gpt: {
+                wholeWordChars: 7,   // common words up to this length are a single token
+                subwordChars: 4,     // longer words split into chunks of about this size
+                digitGroup: 3,       // numbers are split into groups of up to three digits
+                punctuationChars: 2,
+                nonAsciiCharsPerToken: 1
+            },
+            // Claude vocabularies split words slightly more finely than GPT
+            claude: {
+                wholeWordChars: 6,
+                subwordChars: 3.5,
+                digitGroup: 3,
+                punctuationChars: 1.5,
+                nonAsciiCharsPerToken: 1
+            },
+            // SentencePiece style vocabularies (Llama, Mistral) split every digit and
+            // fall back to bytes for much non-Latin text
+            llama: {
+                wholeWordChars: 6,
+                subwordChars: 3.5,
+                digitGroup: 1,
+                punctuationChars: 1,
+                nonAsciiCharsPerToken: 0.5
+            }
+        };
+
+        // Model name patterns used to pick a family when none is configured
+        this.FAMILY_PATTERNS = [
+            { family: 'gpt', pattern: /(^|[^a-z])(gpt|o1|o3|o4|davinci|text-embedding)/i },
+            { family: 'claude', pattern: /claude|anthropic/i },
+            // Llama 3 moved to a tiktoken-based vocabulary, so it tokenizes like GPT
+            { family: 'gpt', pattern: /llama-?3/i },
+            { family: 'llama', pattern: /llama|mistral|mixtral|codellama/i }
+        ];
+
+        // Estimators registered at runtime (e.g. a real tokenizer); checked before the built-in profiles
+        this.customEstimators = new Map();
+    }
+
+    /**
+     * Register an estimator for a tokenizer family, replacing the built-in approximation
+     * @param {string} family - Family name (e.g. 'gpt', 'claude', 'llama' or a new name)
+     * @param {Function} estimate - Receives the text and returns a token count
+     * @param {RegExp} [modelPattern] - Model names that should use this family
+     */
+    registerEstimator(family, estimate, modelPattern = null) {
+        if (typeof estimate !== 'function') {
+            throw new Error(`Token estimator for '${family}' must be a function`);
+        }
+
+        this.customEstimators.set(family, estimate);
+        if (modelPattern) {
+            this.FAMILY_PATTERNS.unshift({ family, pattern: modelPattern });
+        }
+    }
+
+    /**
+     * Pick the tokenizer family for a model
+     * @param {string} model - Model name
+     * @param {string} [preferredFamily] - Family set in configuration, used when known
+     * @returns {string|null} Family name, or null to use the generic estimate
+     */
+    resolveFamily(model, preferredFamily = null) {
+        if (preferredFamily && (this.customEstimators.has(preferredFamily) || this.FAMILY_PROFILES[preferredFamily])) {
+            return preferredFamily;
+        }
+
+        const match = this.FAMILY_PATTERNS.find(entry => entry.pattern.test(model || ''));
+        return match ? match.family : null;
+    }
+
+    /**
+     * Estimate the token count of text
+     * @param {string} text - Text to estimate
+     * @param {Object} [options] - { model, family }
+     * @returns {number} Estimated token count
+     */
+    estimate(text, options = {}) {
+        const value = text || '';
+        if (!value) return 0;
+
+        const family = this.resolveFamily(options.model, options.family);
+
+        if (family && this.customEstimators.has(family)) {
+            return this.customEstimators.get(family)(value);
+        }
+
+        const profile = family ? this.FAMILY_PROFILES[family] : null;
+        if (!profile) {
+            // Unknown model: 1 token ≈ 4 characters for English text
+            return Math.ceil(value.length / 4);
+        }
+
+        return this.estimateWithProfile(value, profile);
+    }
+
+    /**
+     * Estimate tokens by splitting text into BPE-style pieces and costing each piece
+     * @param {string} text - Text to estimate
+     * @param {Object} profile - Family profile from FAMILY_PROFILES
+     * @returns {number} Estimated token count
+     */
+    estimateWithProfile(text, profile) {
+        const pieces = text.match(this.PIECE_PATTERN) || [];
+        let tokens = 0;
+
+        for (const piece of pieces) {
+            const trimmed = piece.trim();
+
+            if (!trimmed) {
+                // Whitespace runs usually merge into one token (newlines and indentation)
+                tokens += 1;
+            } else if (/^[A-Za-z]+$/.test(trimmed)) {
+                tokens += trimmed.length <= profile.wholeWordChars
+                    ? 1
+                    : Math.ceil(trimmed.length / profile.subwordChars);
+            } else if (/^\d+$/.test(trimmed)) {
+                tokens += Math.ceil(trimmed.length / profile.digitGroup);
+            } else if (/^[\u0080-\uFFFF]+$/.test(trimmed)) {
+                tokens += Math.ceil(trimmed.length / profile.nonAsciiCharsPerToken);
+            } else {
+                tokens += Math.ceil(trimmed.length / profile.punctuationChars);
+            }
+        }
+
+        return tokens;
+    }
+}
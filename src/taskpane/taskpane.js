@@ -5,9 +5,15 @@ import '../assets/css/taskpane.css';
 import { EmailAnalyzer } from '../services/EmailAnalyzer';
 import { AIService } from '../services/AIService';
 import { ClassificationDetector } from '../services/ClassificationDetector';
+import { ClassificationPolicy } from '../services/ClassificationPolicy';
+import { ReplyMarker } from '../services/ReplyMarker';
 import { Logger } from '../services/Logger';
 import { SettingsManager } from '../services/SettingsManager';
 import { UIStateManager } from '../services/UIStateManager';
+import { ResponseCache } from '../services/ResponseCache';
+import { TextDiff } from '../services/TextDiff';
+import { ChatSessionStore } from '../services/ChatSessionStore';
+import { CalendarExporter } from '../services/CalendarExporter';
 import { AccessibilityManager } from '../ui/AccessibilityManager';
 import { UIController } from '../ui/UIController';
 
@@ -115,7 +121,7 @@ class TaskpaneApp {
     /**
      * Determine the AI provider and allowed providers based on user's email domain
      * @param {Object} userProfile - User profile containing email address
-     * @returns {Object} {defaultProvider: string, allowedProviders: string[]}
+     * @returns {Object} {defaultProvider: string, allowedProviders: string[], fallbackProviders: string[]}
      * @throws {Error} If user email cannot be determined
      */
     getProvidersByDomain(userProfile) {
@@ -140,13 +146,15 @@ class TaskpaneApp {
         if (config.domainBasedProviders && config.domainBasedProviders[domain]) {
             const allowedProviders = config.domainBasedProviders[domain];
             const defaultProvider = allowedProviders[0]; // First item is default
-            return { defaultProvider, allowedProviders };
+            const fallbackProviders = config.domainFallbackProviders?.[domain] || [];
+            return { defaultProvider, allowedProviders, fallbackProviders };
         }
 
         // Use default providers for unmapped domains
         const allowedProviders = config.defaultProviders || ['ollama'];
         const defaultProvider = allowedProviders[0];
-        return { defaultProvider, allowedProviders };
+        const fallbackProviders = config.defaultFallbackProviders || [];
+        return { defaultProvider, allowedProviders, fallbackProviders };
     }
 
     /**
@@ -255,6 +263,9 @@ class TaskpaneApp {
             const providerConfig = this.getProvidersByDomain(userProfile);
             const { defaultProvider, allowedProviders } = providerConfig;
             
+            // Remember the domain's providers for fallback chain resolution
+            this.domainProviders = providerConfig;
+            
 
             
             // Filter dropdown to only show allowed providers
@@ -520,6 +531,58 @@ class TaskpaneApp {
 
     }
     
+    /**
+     * Shows a notification when signatures, disclaimers or banners were removed before sending to AI
+     * @param {Object} boilerplateInfo - Information about the boilerplate that was removed
+     */
+    showBoilerplateRemovalNotification(boilerplateInfo) {
+        if (!boilerplateInfo || !boilerplateInfo.wasStripped) {
+            return;
+        }
+        
+        const parts = boilerplateInfo.removed
+            .map(entry => `${this.escapeHtml(entry.name)} (${entry.characters.toLocaleString()})`)
+            .join(', ');
+        
+        const title = 'Email Boilerplate Removed';
+        const message = `✂️ ${boilerplateInfo.charactersRemoved.toLocaleString()} characters of boilerplate were left out of AI processing: ${parts}.`;
+        
+        // Add to permanent notification area
+        this.addPermanentNotification('✂️', title, message, 'boilerplate');
+        
+        this.showNotification(message, 'info', 6000);
+    }
+    
+    /**
+     * Warns when an email's banner marking is lower than its portion marks
+     * The effective (highest) classification is still what provider blocking uses.
+     * @param {Object} classification - Result of detectCurrentClassification
+     */
+    showClassificationMismatchWarning(classification) {
+        if (!classification?.mismatches?.length) {
+            return;
+        }
+        
+        const details = classification.mismatches.map(mismatch => {
+            const lines = mismatch.lines.length ? ` (line${mismatch.lines.length === 1 ? '' : 's'} ${mismatch.lines.slice(0, 5).join(', ')}${mismatch.lines.length > 5 ? ', ...' : ''})` : '';
+            return `${this.escapeHtml(mismatch.message)}${lines}`;
+        }).join('; ');
+        
+        const title = 'Classification Marking Mismatch';
+        const message = `⚠️ The banner marking does not match the portion marks: ${details}. The email is treated as ${this.escapeHtml(classification.text)} when checking AI providers.`;
+        
+        this.addPermanentNotification('⚠️', title, message, 'classification');
+        this.showNotification(message, 'warning', 10000);
+        
+        this.logger.logEvent('classification_marking_mismatch', {
+            mismatch_count: classification.mismatches.length,
+            portion_mark_count: classification.portionMarkCount,
+            missing_banner: classification.mismatches.some(mismatch => !mismatch.bannerLevel),
+            missing_caveats: classification.mismatches.some(mismatch => mismatch.missingCaveats.length > 0),
+            in_attachment: classification.mismatches.some(mismatch => mismatch.source !== 'Email')
+        }, 'Information', this.getUserEmailForTelemetry());
+    }
+    
     /**
      * Shows a notification specifically for HTML-to-text conversion events
      * @param {Object} conversionInfo - Information about the HTML conversion that occurred
@@ -855,6 +918,12 @@ class TaskpaneApp {
         // Reset internal state
         this.currentAnalysis = null;
         this.currentResponse = null;
+        this.comparisonSelection = null;
+        this.sessionClassifications = [];
+        this.closeModelComparison();
+        this.responseVariants = null;
+        this.closeReplyVariants();
+        this.hideSavedSessionOffer();
         
         // Clear conversation history
         this.clearConversationHistory();
@@ -879,8 +948,20 @@ class TaskpaneApp {
     this.emailAnalyzer = new EmailAnalyzer();
     this.aiService = new AIService();
     this.classificationDetector = new ClassificationDetector();
+    this.classificationPolicy = new ClassificationPolicy(this.classificationDetector);
+    this.replyMarker = new ReplyMarker(this.classificationDetector);
+    // Redaction placeholders already shown to the user for the current email
+    this.reportedRedactions = new Set();
     this.accessibilityManager = new AccessibilityManager();
     this.uiController = new UIController();
+    this.responseCache = new ResponseCache();
+    this.textDiff = new TextDiff();
+    this.chatSessionStore = new ChatSessionStore();
+    // Saved session from another message in the conversation, offered rather than restored
+    this.savedSessionOffer = null;
+    // Classifications of the messages a restored session's content came from; checked while it is open
+    this.sessionClassifications = [];
+    this.calendarExporter = new CalendarExporter(this.logger.getClientContext().timezone);
         
         // Create a global debug function that other modules can use
         window.debugLog = (message, ...args) => {
@@ -892,6 +973,12 @@ class TaskpaneApp {
         this.currentEmail = null;
         this.currentAnalysis = null;
         this.currentResponse = null;
+        this.streamingMessage = null; // Chat message element receiving streamed tokens
+        this.pendingRequests = new Set(); // AbortControllers for in-flight AI requests
+        this.cacheHitNotice = false; // Set when a result was served from the response cache
+        this.comparisonResults = null; // Drafts from the last model comparison
+        this.comparisonSelection = null; // { service, model } picked from a comparison, used for follow-on requests
+        this.responseVariants = null; // Labeled reply drafts from the last reply options request
         this.sessionStartTime = Date.now();
         
         // Telemetry tracking properties
@@ -965,6 +1052,12 @@ class TaskpaneApp {
             // Update AIService with provider configuration
             this.aiService.updateProvidersConfig(this.defaultProvidersConfig);
             
+            // Apply organization cache limits (TTL, entry count, size)
+            this.responseCache.updateConfig(this.defaultProvidersConfig?._config?.responseCache);
+            this.chatSessionStore.updateConfig(this.defaultProvidersConfig?._config?.chatSessions);
+            this.emailAnalyzer.attachmentExtractor.updateConfig(this.defaultProvidersConfig?._config?.attachments);
+            this.classificationPolicy.updateConfig(this.defaultProvidersConfig?._config?.classificationPolicy);
+            
             // Setup UI
             await this.setupUI();
             
@@ -983,6 +1076,9 @@ class TaskpaneApp {
             // Load current email
             await this.loadCurrentEmail();
             
+            // Reload when the user selects a different item while the taskpane stays open
+            this.registerItemChangedHandler();
+            
             // Check and show early access notice first (before other modals)
             const earlyAccessShown = await this.checkAndShowEarlyAccessNotice();
             
@@ -992,8 +1088,10 @@ class TaskpaneApp {
                 await this.checkForInitialSetupNeeded();
             }
             
-            // Try automatic analysis if conditions are met
-            await this.attemptAutoAnalysis();
+            // Restore a saved chat session for this email, otherwise try automatic analysis if conditions are met
+            if (!(await this.restoreChatSession())) {
+                await this.attemptAutoAnalysis();
+            }
             
             // Hide loading, show main content
             this.uiController.hideLoading();
@@ -1105,7 +1203,19 @@ class TaskpaneApp {
         document.getElementById('analyze-email').addEventListener('click', () => this.analyzeEmail());
         document.getElementById('generate-response').addEventListener('click', () => this.generateResponse());
         document.getElementById('start-chat').addEventListener('click', () => this.generateResponse());
+        document.getElementById('compare-models').addEventListener('click', () => this.openModelComparison());
+        document.getElementById('run-comparison').addEventListener('click', () => this.runModelComparison());
+        document.getElementById('close-comparison').addEventListener('click', () => this.closeModelComparison());
+        document.getElementById('generate-variants').addEventListener('click', () => this.generateReplyVariants());
+        document.getElementById('close-variants').addEventListener('click', () => this.closeReplyVariants());
+        document.getElementById('restore-saved-session').addEventListener('click', () => this.restoreOfferedChatSession());
+        document.getElementById('dismiss-saved-session').addEventListener('click', () => this.hideSavedSessionOffer());
+        document.getElementById('meeting-accept-with-note').addEventListener('click', () => this.generateMeetingReply('accept_with_note'));
+        document.getElementById('meeting-propose-new-time').addEventListener('click', () => this.generateMeetingReply('propose_new_time'));
         document.getElementById('copy-final-response').addEventListener('click', () => this.copyLatestResponse());
+        document.getElementById('reply-with-response').addEventListener('click', () => this.replyWithResponse(false));
+        document.getElementById('reply-all-with-response').addEventListener('click', () => this.replyWithResponse(true));
+        document.getElementById('insert-response').addEventListener('click', () => this.insertResponseAtCursor());
         
         // Chat functionality buttons
         const sendChatBtn = document.getElementById('send-chat-message');
@@ -1121,6 +1231,18 @@ class TaskpaneApp {
             copyLatestBtn.addEventListener('click', () => this.copyLatestResponse());
         }
         
+        const regenerateBtn = document.getElementById('regenerate-response');
+        if (regenerateBtn) {
+            regenerateBtn.addEventListener('click', () => this.regenerateResponse());
+        }
+        
+        // Version history: diff between drafts and revert
+        document.getElementById('show-versions')?.addEventListener('click', () => this.openVersionHistory());
+        document.getElementById('close-versions')?.addEventListener('click', () => this.closeVersionHistory());
+        document.getElementById('diff-from')?.addEventListener('change', () => this.renderVersionDiff());
+        document.getElementById('diff-to')?.addEventListener('change', () => this.renderVersionDiff());
+        document.getElementById('revert-version')?.addEventListener('click', () => this.revertToVersion());
+        
         if (clearChatBtn) {
             clearChatBtn.addEventListener('click', () => this.clearChatHistory());
         }
@@ -1242,6 +1364,36 @@ class TaskpaneApp {
             });
         }
 
+        // Response cache checkbox and clear button
+        const responseCacheCheckbox = document.getElementById('response-cache-enabled');
+        if (responseCacheCheckbox) {
+            responseCacheCheckbox.addEventListener('change', async (e) => {
+                const settings = this.settingsManager.getSettings();
+                settings['response-cache-enabled'] = e.target.checked;
+                await this.settingsManager.saveSettings(settings, 'setting: response-cache-enabled');
+            });
+        }
+        
+        const clearResponseCacheBtn = document.getElementById('clear-response-cache');
+        if (clearResponseCacheBtn) {
+            clearResponseCacheBtn.addEventListener('click', () => this.clearResponseCache());
+        }
+
+        // Saved chat sessions checkbox and clear button
+        const chatSessionsCheckbox = document.getElementById('chat-sessions-enabled');
+        if (chatSessionsCheckbox) {
+            chatSessionsCheckbox.addEventListener('change', async (e) => {
+                const settings = this.settingsManager.getSettings();
+                settings['chat-sessions-enabled'] = e.target.checked;
+                await this.settingsManager.saveSettings(settings, 'setting: chat-sessions-enabled');
+            });
+        }
+        
+        const clearChatSessionsBtn = document.getElementById('clear-chat-sessions');
+        if (clearChatSessionsBtn) {
+            clearChatSessionsBtn.addEventListener('click', () => this.clearChatSessions());
+        }
+
         // Show early access notice button
         const showEarlyAccessBtn = document.getElementById('show-early-access-notice');
         if (showEarlyAccessBtn) {
@@ -1292,8 +1444,8 @@ class TaskpaneApp {
         // Auto-save settings with special handling for provider-specific fields
         // (custom-instructions removed - now using interactive chat)
         
-        // Special handling for provider-specific field (API key)
-        ['api-key'].forEach(id => {
+        // Special handling for provider-specific fields (API key, Azure deployment settings)
+        ['api-key', 'azure-deployment', 'azure-api-version'].forEach(id => {
             const element = document.getElementById(id);
             if (element) {
                 // Track UI state changes
@@ -1781,7 +1933,38 @@ class TaskpaneApp {
 
     async loadCurrentEmail() {
         try {
-            this.currentEmail = await this.emailAnalyzer.getCurrentEmail();
+            const previousItemKey = this.getItemKey(this.currentEmail);
+            await this.classificationDetector.loadPromise;
+            const email = await this.emailAnalyzer.getCurrentEmail({
+                headerNames: this.classificationDetector.getHeaderNames()
+            });
+            
+            // Results still in flight belong to the previously selected item - stop them
+            if (previousItemKey && previousItemKey !== this.getItemKey(email)) {
+                if (this.cancelPendingRequests()) {
+                    this.uiController.showStatus('Stopped the AI request for the previously selected email.');
+                }
+                this.clearAnalysisAndResponse();
+            }
+            
+            this.currentEmail = email;
+            
+            // Tell the user when banners, disclaimers or signatures were left out of the prompt
+            const boilerplateInfo = this.emailAnalyzer.getLastBoilerplateRemovalInfo();
+            if (boilerplateInfo) {
+                if (previousItemKey !== this.getItemKey(email)) {
+                    this.showBoilerplateRemovalNotification(boilerplateInfo);
+                }
+                this.emailAnalyzer.clearBoilerplateRemovalInfo(); // Clear after showing notification
+            }
+            
+            // Warn before any AI request when portion marks are above the banner;
+            // redaction placeholders belong to one email, so start them afresh
+            if (previousItemKey !== this.getItemKey(email)) {
+                this.showClassificationMismatchWarning(this.detectCurrentClassification());
+                this.aiService.resetRedactions();
+                this.reportedRedactions.clear();
+            }
             
             // Ensure context is properly stored on currentEmail for later use
             if (this.currentEmail && this.currentEmail.context) {
@@ -1798,6 +1981,82 @@ class TaskpaneApp {
         }
     }
 
+    /**
+     * Builds a stable key identifying an email item so item switches can be detected
+     * @param {Object} email - Email data from EmailAnalyzer
+     * @returns {string|null} Item key, or null when no email is loaded
+     */
+    getItemKey(email) {
+        if (!email) return null;
+        return email.itemId || `${email.conversationId || ''}|${email.subject || ''}|${email.from || ''}`;
+    }
+
+    /**
+     * Registers for Outlook ItemChanged events (pinned taskpane) so pending work is cancelled on switch
+     */
+    registerItemChangedHandler() {
+        const mailbox = Office.context.mailbox;
+        if (!mailbox || typeof mailbox.addHandlerAsync !== 'function') return;
+        
+        mailbox.addHandlerAsync(Office.EventType.ItemChanged, () => this.onItemChanged(), (result) => {
+            if (result.status === Office.AsyncResultStatus.Failed) {
+                console.warn('Failed to register ItemChanged handler:', result.error);
+            }
+        });
+    }
+
+    /**
+     * Handles the user selecting a different Outlook item
+     */
+    async onItemChanged() {
+        if (!Office.context.mailbox.item) {
+            // Nothing selected - drop any work for the previous item
+            this.cancelPendingRequests();
+            this.clearAnalysisAndResponse();
+            this.currentEmail = null;
+            return;
+        }
+        
+        await this.loadCurrentEmail();
+        if (!(await this.restoreChatSession())) {
+            await this.attemptAutoAnalysis();
+        }
+    }
+
+    /**
+     * Starts tracking a cancelable AI request
+     * @returns {AbortController} Controller whose signal is passed to AIService as config.signal
+     */
+    beginCancelableRequest() {
+        const controller = new AbortController();
+        this.pendingRequests.add(controller);
+        return controller;
+    }
+
+    /**
+     * Stops tracking a finished AI request
+     * @param {AbortController} controller - Controller returned by beginCancelableRequest
+     */
+    endCancelableRequest(controller) {
+        if (controller) {
+            this.pendingRequests.delete(controller);
+        }
+    }
+
+    /**
+     * Aborts every in-flight AI request
+     * @returns {boolean} True if any request was cancelled
+     */
+    cancelPendingRequests() {
+        if (this.pendingRequests.size === 0) return false;
+        
+        this.pendingRequests.forEach(controller => controller.abort());
+        this.pendingRequests.clear();
+        this.removeChatLoading();
+        this.endStreamingResponse();
+        return true;
+    }
+
     async checkForInitialSetupNeeded(showSettingsIfNeeded = true) {
         try {
             const currentSettings = await this.settingsManager.getSettings();
@@ -1923,10 +2182,157 @@ class TaskpaneApp {
 
         }
 
+        // List attachments the user can choose to include
+        this.renderAttachmentList();
+
+        // Show meeting details and reply options for meeting requests and appointments
+        this.renderMeetingPanel();
+
         // Context-aware UI adaptation (works behind the scenes)
         this.adaptUIForContext(email.context);
     }
 
+    /**
+     * Show the current email's attachments with a checkbox for each one whose text can be read
+     */
+    renderAttachmentList() {
+        const panel = document.getElementById('attachments-panel');
+        const list = document.getElementById('attachment-list');
+        if (!panel || !list) return;
+        
+        const attachments = this.currentEmail?.attachments || [];
+        panel.classList.toggle('hidden', attachments.length === 0 || !!this.currentEmail?.context?.isCompose);
+        
+        const included = new Set((this.currentEmail?.attachmentContents || [])
+            .filter(attachment => attachment.text)
+            .map(attachment => attachment.id));
+        
+        list.innerHTML = attachments.map((attachment, index) => `
+            <label class="checkbox-label attachment-option${attachment.supported ? '' : ' disabled'}">
+                <input type="checkbox" class="checkbox" data-attachment-index="${index}"${included.has(attachment.id) ? ' checked' : ''}${attachment.supported ? '' : ' disabled'}>
+                <span class="checkmark"></span>
+                ${this.escapeHtml(attachment.name)}
+                <small class="checkbox-help">${attachment.supported ? `${Math.max(1, Math.round(attachment.size / 1024))} KB` : this.escapeHtml(attachment.reason)}</small>
+            </label>
+        `).join('');
+        
+        list.querySelectorAll('input[type="checkbox"]').forEach(checkbox => {
+            checkbox.addEventListener('change', () => this.updateAttachmentSelection());
+        });
+    }
+
+    /**
+     * Read the checked attachments and include their text in the next analysis and response
+     */
+    async updateAttachmentSelection() {
+        const list = document.getElementById('attachment-list');
+        const email = this.currentEmail;
+        if (!list || !email) return;
+        
+        const checkboxes = Array.from(list.querySelectorAll('input[type="checkbox"]'));
+        const selectedIds = checkboxes
+            .filter(checkbox => checkbox.checked)
+            .map(checkbox => email.attachments[Number(checkbox.dataset.attachmentIndex)]?.id)
+            .filter(Boolean);
+        
+        checkboxes.forEach(checkbox => { checkbox.disabled = true; });
+        
+        try {
+            if (selectedIds.length) {
+                this.uiController.showStatus('Reading attachments...');
+            }
+            
+            const updated = selectedIds.length
+                ? await this.emailAnalyzer.loadAttachmentContent(email, selectedIds)
+                : { ...email, attachmentContents: [], attachmentsSummary: '' };
+            
+            // The user may have switched items while attachments were loading
+            if (this.currentEmail !== email) return;
+            this.currentEmail = updated;
+            
+            const included = updated.attachmentContents.filter(attachment => attachment.text);
+            const failed = updated.attachmentContents.filter(attachment => attachment.error);
+            if (failed.length) {
+                this.uiController.showWarning(`Could not read ${failed.map(attachment => attachment.name).join(', ')}. ${failed.length === 1 ? 'It' : 'They'} will not be included.`);
+            }
+            
+            // Attachments can carry their own classification markings
+            const classification = this.detectCurrentClassification();
+            const { blockingCheck } = this.getAIRequestConfiguration(classification);
+            if (classification.mismatches.some(mismatch => mismatch.source !== 'Email')) {
+                this.showClassificationMismatchWarning(classification);
+            }
+            if (blockingCheck.blocked) {
+                this.uiController.showWarning(`AI requests for this email are blocked: ${blockingCheck.reason}`, 8000);
+            } else if (included.length) {
+                const characters = included.reduce((total, attachment) => total + attachment.text.length, 0);
+                const truncated = included.some(attachment => attachment.truncated) ? ' Long attachments were shortened.' : '';
+                this.uiController.showStatus(`${included.length} attachment${included.length === 1 ? '' : 's'} (${characters.toLocaleString()} characters) will be included in the analysis and response.${truncated}`);
+            } else if (!failed.length) {
+                this.uiController.showStatus('Attachments will not be included.');
+            }
+            
+            this.logger.logEvent('attachments_included', {
+                attachment_count: included.length,
+                failed_count: failed.length,
+                truncated_count: included.filter(attachment => attachment.truncated).length,
+                total_characters: included.reduce((total, attachment) => total + attachment.text.length, 0),
+                attachment_kinds: [...new Set(included.map(attachment => attachment.kind))].join(','),
+                blocked: blockingCheck.blocked
+            }, 'Information', this.getUserEmailForTelemetry());
+        } catch (error) {
+            console.error('Failed to read attachments:', error);
+            this.uiController.showError('Failed to read attachments: ' + error.message);
+        } finally {
+            this.renderAttachmentList();
+        }
+    }
+
+    /**
+     * Show the current item's meeting details and conflict hints, and the meeting reply buttons
+     * when the user can respond to the invitation
+     */
+    renderMeetingPanel() {
+        const panel = document.getElementById('meeting-panel');
+        const details = document.getElementById('meeting-details');
+        const conflicts = document.getElementById('meeting-conflicts');
+        if (!panel || !details || !conflicts) return;
+        
+        const email = this.currentEmail;
+        const meeting = email?.meeting;
+        
+        // Only invitations and appointments the user attends can be accepted or moved
+        const canReply = !!meeting && ['request', 'appointment'].includes(meeting.type) &&
+            !email.context?.isSentMail && !email.context?.isCompose;
+        document.querySelectorAll('.meeting-reply-btn').forEach(button => {
+            button.classList.toggle('hidden', !canReply);
+        });
+        
+        panel.classList.toggle('hidden', !meeting);
+        if (!meeting) {
+            details.innerHTML = '';
+            conflicts.innerHTML = '';
+            conflicts.classList.add('hidden');
+            return;
+        }
+        
+        // Reuse the prompt formatting so the panel shows exactly what the model sees
+        details.innerHTML = (email.meetingDetails || this.emailAnalyzer.meetingReader.format(meeting))
+            .split('\n')
+            .map(line => {
+                const separator = line.indexOf(': ');
+                return `<dt>${this.escapeHtml(line.substring(0, separator))}</dt><dd>${this.escapeHtml(line.substring(separator + 2))}</dd>`;
+            })
+            .join('');
+        
+        const hints = email.conflictHints || [];
+        conflicts.classList.toggle('hidden', hints.length === 0);
+        conflicts.innerHTML = hints.length
+            ? `<strong>⚠️ Possible scheduling conflict${hints.length === 1 ? '' : 's'} mentioned:</strong>
+               <ul>${hints.map(hint => `<li>${this.escapeHtml(hint)}</li>`).join('')}</ul>`
+            : '';
+    }
+
     /**
      * Adapts the UI based on email context (sent vs inbox vs compose)
      * @param {Object} context - Context information from EmailAnalyzer
@@ -1945,7 +2351,8 @@ class TaskpaneApp {
         this.logger.logEvent('email_context_detected', {
             context_type: context.isSentMail ? 'sent' : (context.isCompose ? 'compose' : 'inbox'),
             detection_method: context.debugInfo ? context.debugInfo.detectionMethod : 'unknown',
-            email_comparison_used: context.debugInfo ? context.debugInfo.emailComparisonUsed : false
+            email_comparison_used: context.debugInfo ? context.debugInfo.emailComparisonUsed : false,
+            meeting_type: context.meetingType || null
         }, 'Information', this.getUserEmailForTelemetry());
         
         try {
@@ -2153,21 +2560,20 @@ class TaskpaneApp {
             }
 
             // Check for classification and blocking
-            const classification = this.classificationDetector.detectClassification(this.currentEmail.body);
+            const classification = this.detectCurrentClassification();
             if (window.debugLog) window.debugLog('Email classification for auto-analysis:', classification);
             
-            // Check if auto-analysis should be blocked due to classification
-            const currentProvider = selectedService;
-            const blockingCheck = this.checkClassificationBlocking(classification, currentProvider);
+            // Check if auto-analysis should be blocked due to classification (unless a fallback provider is permitted)
+            const { config, blockingCheck } = this.getAIRequestConfiguration(classification);
             if (blockingCheck.blocked) {
                 console.warn('Auto-analysis blocked due to classification:', blockingCheck.reason);
                 this.uiController.showWarning(`Auto-Analysis Blocked: ${blockingCheck.reason}`);
                 return;
             }
 
-            // Test AI service health
-            const config = this.getAIConfiguration();
-            const isHealthy = await this.aiService.testConnection(config);
+            // Test AI service health (failovers during the health check are not reported)
+            const isHealthy = await this.aiService.testConnection({ ...config, onFailover: null });
+            this.aiService.clearProviderInfo();
             
             if (!isHealthy) {
                 if (window.debugLog) window.debugLog('AI service not healthy, skipping auto-analysis');
@@ -2186,15 +2592,19 @@ class TaskpaneApp {
     async performAnalysisWithResponse() {
         const analysisStartTime = Date.now();
         let analysisEndTime, responseStartTime, responseEndTime;
+        const controller = this.beginCancelableRequest();
         
         try {
             this.uiController.showStatus('Auto-analyzing email...');
             
             // Get AI configuration
-            const config = this.getAIConfiguration();
+            const config = { ...this.getAIRequestConfiguration().config, signal: controller.signal };
             
-            // Perform analysis
-            this.currentAnalysis = await this.aiService.analyzeEmail(this.currentEmail, config);
+            // Perform analysis (or reuse a cached result)
+            const analysis = await this.cachedAIRequest('analysis', config, [],
+                () => this.aiService.analyzeEmail(this.currentEmail, config));
+            controller.signal.throwIfAborted();
+            this.currentAnalysis = analysis;
             analysisEndTime = Date.now();
             
             // Display results
@@ -2215,7 +2625,7 @@ class TaskpaneApp {
                     analysis_duration_ms: analysisEndTime - analysisStartTime
                 }, 'Information', this.getUserEmailForTelemetry());
                 
-                this.uiController.showStatus('Email analyzed automatically. Click "Start Chat Assistant" to generate a response and begin refining.');
+                this.showCompletionStatus('Email analyzed automatically. Click "Start Chat Assistant" to generate a response and begin refining.');
                 return;
             }
             
@@ -2227,23 +2637,29 @@ class TaskpaneApp {
             // Check email context to determine response type
             const emailContext = this.currentEmail.context || { isSentMail: false };
             
+            const responseKeyParts = this.getResponseCacheKeyParts(this.currentAnalysis, responseConfig);
+            let response;
             if (emailContext.isSentMail) {
                 // Generate follow-up suggestions for sent mail
                 console.info('Generating follow-up suggestions for sent mail...');
-                this.currentResponse = await this.aiService.generateFollowupSuggestions(
-                    this.currentEmail, 
-                    this.currentAnalysis, 
-                    { ...config, ...responseConfig }
-                );
+                response = await this.cachedAIRequest('followup', config, responseKeyParts,
+                    () => this.aiService.generateFollowupSuggestions(
+                        this.currentEmail, 
+                        this.currentAnalysis, 
+                        { ...config, ...responseConfig }
+                    ));
             } else {
                 // Generate response for received mail
                 console.info('Generating response for received mail...');
-                this.currentResponse = await this.aiService.generateResponse(
-                    this.currentEmail, 
-                    this.currentAnalysis, 
-                    { ...config, ...responseConfig }
-                );
+                response = await this.cachedAIRequest('response', config, responseKeyParts,
+                    () => this.aiService.generateResponse(
+                        this.currentEmail, 
+                        this.currentAnalysis, 
+                        { ...config, ...responseConfig }
+                    ));
             }
+            controller.signal.throwIfAborted();
+            this.currentResponse = response;
             responseEndTime = Date.now();
             
             // Check for email truncation and notify user if it occurred
@@ -2274,6 +2690,7 @@ class TaskpaneApp {
             
             // Initialize chat with the auto-generated response
             this.initializeChatWithResponse();
+            this.saveChatSession();
             
             // Log successful auto-analysis and response generation with flattened performance metrics
             this.logger.logEvent('auto_analysis_completed', {
@@ -2291,94 +2708,716 @@ class TaskpaneApp {
                 total_duration_ms: responseEndTime - analysisStartTime
             }, 'Information', this.getUserEmailForTelemetry());
             
-            this.uiController.showStatus('Email analyzed and draft response generated automatically.');
+            this.showCompletionStatus('Email analyzed and draft response generated automatically.');
             
         } catch (error) {
+            if (this.aiService.isAbortError(error)) {
+                if (window.debugLog) window.debugLog('Auto-analysis cancelled');
+                return;
+            }
             console.error('Auto-analysis failed:', error);
             this.uiController.showStatus('Automatic analysis failed. You can still analyze manually.');
+        } finally {
+            this.endCancelableRequest(controller);
         }
     }
 
     /**
-     * Check if AI analysis is blocked for the current provider due to classification keywords
+     * Detect the classification of the current email, including the attachments the user chose to include
+     * Markings found in included attachments are combined with the email's so provider blocking covers them too
+     * @returns {Object} Classification detection result (highest level and all caveats) with sources ({ source, text })
+     *   for each place a marking was found
+     */
+    detectCurrentClassification() {
+        if (!this.currentEmail) {
+            return { ...this.classificationDetector.buildResult([]), sources: [] };
+        }
+        
+        const entries = [{
+            source: 'Email',
+            result: this.classificationDetector.detectClassification(this.currentEmail.body, {
+                subject: this.currentEmail.subject,
+                headers: this.currentEmail.headers
+            })
+        }];
+        
+        (this.currentEmail.attachmentContents || []).forEach(attachment => {
+            // An attached email's marking sits below its From/Date/Subject lines
+            const text = attachment.kind === 'email'
+                ? attachment.text.split('\n\n').slice(1).join('\n\n')
+                : attachment.text;
+            if (text) {
+                entries.push({ source: attachment.name, result: this.classificationDetector.detectClassification(text) });
+            }
+        });
+        
+        const combined = this.classificationDetector.combineResults(entries);
+        const sources = entries
+            .filter(entry => entry.result.detected)
+            .map(entry => ({ source: entry.source, text: entry.result.text }));
+        
+        return { ...combined, sources };
+    }
+
+    /**
+     * Check if AI requests are blocked for a provider by its classification policy
      * @param {Object} classification - Classification detection result
      * @param {string} currentProvider - Current AI provider key
-     * @returns {Object} Object with blocked status and reason
+     * @returns {Object} { blocked, reason, rule, explanation } with a user-readable explanation of the decision
      */
     checkClassificationBlocking(classification, currentProvider) {
-        // If no classification detected, allow analysis
-        if (!classification.detected || !classification.text) {
-            return { blocked: false, reason: null };
-        }
-
-        // Get provider config
         const providerConfig = this.defaultProvidersConfig?.[currentProvider];
-        if (!providerConfig || !providerConfig.blockedClassifications) {
-            return { blocked: false, reason: null };
-        }
+        const decision = this.classificationPolicy.evaluate(classification, providerConfig, currentProvider);
+        
+        if (window.debugLog) window.debugLog(`Classification policy (${currentProvider}, ${decision.rule}):`, decision.explanation);
+        return decision;
+    }
+
+    /**
+     * Check a provider for a request on the current email; while a restored chat session is open, the
+     * classifications of the messages it was saved on apply too, as its drafts go into the request
+     * @param {Object} classification - Classification detection result for the current email
+     * @param {string} provider - AI provider key
+     * @returns {Object} The first blocking decision, or the current email's decision when none blocks
+     */
+    checkRequestBlocking(classification, provider) {
+        const sessionCheck = this.sessionClassifications
+            .map(sessionClassification => this.checkClassificationBlocking(sessionClassification, provider))
+            .find(check => check.blocked);
+        return sessionCheck || this.checkClassificationBlocking(classification, provider);
+    }
 
-        // Check if classification matches any blocked keywords (case-insensitive)
-        const classificationText = classification.text.toLowerCase();
-        const blockedKeywords = providerConfig.blockedClassifications;
+    /**
+     * Get the fallback providers to try after the given provider, in order
+     * Only providers allowed for the user's domain, not blocked for the email's
+     * classification and with an API key (when one is required) are included.
+     * @param {string} primaryProvider - Provider the request starts with
+     * @param {Object} classification - Classification detection result
+     * @returns {string[]} Provider keys
+     */
+    getFallbackProviders(primaryProvider, classification) {
+        const config = this.defaultProvidersConfig?._config;
+        if (!config) return [];
         
-        for (const keyword of blockedKeywords) {
-            if (classificationText.includes(keyword.toLowerCase())) {
-                return {
-                    blocked: true,
-                    reason: `Email contains '${classification.text}' classification which matches blocked keyword '${keyword.toUpperCase()}' for provider '${providerConfig.label || currentProvider}'`
-                };
+        const { allowedProviders, fallbackProviders } = this.domainProviders || {
+            allowedProviders: config.defaultProviders || [],
+            fallbackProviders: config.defaultFallbackProviders || []
+        };
+        
+        return (fallbackProviders || []).filter(provider =>
+            provider !== primaryProvider &&
+            this.defaultProvidersConfig[provider] &&
+            allowedProviders.includes(provider) &&
+            !this.checkRequestBlocking(classification, provider).blocked &&
+            (!this.providerNeedsApiKey(provider) || this.settingsManager.getProviderConfig(provider)['api-key'])
+        );
+    }
+
+    /**
+     * Get the AI configuration for a specific provider using its saved settings and ai-providers.json defaults
+     * @param {string} service - Provider key
+     * @returns {Object} AI configuration object
+     */
+    getProviderAIConfiguration(service) {
+        const providerConfig = this.settingsManager.getProviderConfig(service);
+        return {
+            service,
+            apiKey: providerConfig['api-key'] || '',
+            endpointUrl: this.defaultProvidersConfig?.[service]?.baseUrl || '',
+            model: this.defaultProvidersConfig?.[service]?.defaultModel || '',
+            ...this.getDeploymentConfiguration(service)
+        };
+    }
+
+    /**
+     * Get the AI configuration for a request on the current email, including the fallback chain
+     * Chat refinements use the provider/model picked in compare mode when there is one.
+     * If the selected provider is blocked for the email's classification, the request starts
+     * with the first permitted fallback instead; it is only blocked when no fallback remains.
+     * @param {Object} classification - Classification detection result
+     * @param {Object} options - { refinement: true for chat refinements of the current draft }
+     * @returns {Object} { config, blockingCheck }
+     */
+    getAIRequestConfiguration(classification = null, options = {}) {
+        // A draft picked in compare mode keeps its provider and model while it is refined in chat;
+        // every other request follows the provider and model dropdowns
+        const baseConfig = options.refinement && this.comparisonSelection
+            ? {
+                ...this.getProviderAIConfiguration(this.comparisonSelection.service),
+                model: this.comparisonSelection.model,
+                settingsManager: this.settingsManager
             }
+            : this.getAIConfiguration();
+        if (!classification) {
+            classification = this.detectCurrentClassification();
+        }
+        
+        const config = {
+            ...baseConfig,
+            onRetry: (event) => this.onRequestRetry(event),
+            onRedact: (event) => this.onSensitiveDataRedacted(event),
+            markReply: (parsed) => this.markReply(parsed, classification)
+        };
+        
+        const blockingCheck = this.checkRequestBlocking(classification, config.service);
+        const fallbacks = this.getFallbackProviders(config.service, classification)
+            .map(provider => this.getProviderAIConfiguration(provider));
+        
+        if (!fallbacks.length) {
+            return { config, blockingCheck };
         }
+        
+        return {
+            config: {
+                ...config,
+                blockedReason: blockingCheck.blocked ? blockingCheck.reason : null,
+                fallbacks,
+                onFailover: (event) => this.onProviderFailover(event)
+            },
+            blockingCheck: { blocked: false, reason: null }
+        };
+    }
 
-        return { blocked: false, reason: null };
+    /**
+     * Handle a provider failover reported by AIService - tell the user and log it
+     * @param {Object} event - { from, to, reason, error }
+     */
+    onProviderFailover(event) {
+        const fromLabel = this.getProviderLabel(event.from);
+        const toLabel = this.getProviderLabel(event.to);
+        
+        this.uiController.showWarning(`${fromLabel} is unavailable. Trying ${toLabel}...`);
+        
+        this.logger.logEvent('provider_failover', {
+            from_provider: fromLabel,
+            to_provider: toLabel,
+            reason: event.reason,
+            error_status: event.error?.status || null,
+            classification_blocked: !event.error
+        }, 'Warning', this.getUserEmailForTelemetry());
     }
 
-    async analyzeEmail() {
-        if (!this.currentEmail) {
-            this.uiController.showError('No email selected. Please select an email first.');
+    /**
+     * Tell the user which sensitive values were replaced with placeholders before a prompt was sent
+     * Each placeholder is reported once per email, however many requests carry it.
+     * @param {Object} event - { service, redactions: [{ type, label, placeholder, count }] }
+     */
+    onSensitiveDataRedacted(event) {
+        const newRedactions = event.redactions.filter(entry => !this.reportedRedactions.has(entry.placeholder));
+        if (!newRedactions.length) {
             return;
         }
+        newRedactions.forEach(entry => this.reportedRedactions.add(entry.placeholder));
+        
+        const byLabel = new Map();
+        newRedactions.forEach(entry => {
+            byLabel.set(entry.label, [...(byLabel.get(entry.label) || []), entry.placeholder]);
+        });
+        const details = [...byLabel.entries()]
+            .map(([label, placeholders]) => `${this.escapeHtml(label)} ${placeholders.join(', ')}`)
+            .join('; ');
+        const providerLabel = this.getProviderLabel(event.service);
+        
+        const title = 'Sensitive Data Redacted';
+        const message = `🔒 Before sending this email to ${this.escapeHtml(providerLabel)}, ${newRedactions.length === 1 ? 'a value was' : `${newRedactions.length} values were`} replaced with placeholders: ${details}. The original values are put back into the AI's reply.`;
+        
+        this.addPermanentNotification('🔒', title, message, 'redaction');
+        this.showNotification(message, 'info', 8000);
+        
+        this.logger.logEvent('sensitive_data_redacted', {
+            provider: providerLabel,
+            redacted_count: newRedactions.length,
+            entity_types: [...new Set(newRedactions.map(entry => entry.type))]
+        }, 'Information', this.getUserEmailForTelemetry());
+    }
 
-        // Clear any previous refinement instructions (they should be ephemeral)
-        const refinementField = document.getElementById('refinement-instructions');
-        if (refinementField) {
-            refinementField.value = '';
+    /**
+     * Mark a drafted reply with the source email's classification and warn when the model wrote a different marking
+     * While a restored chat session is open, the reply is also marked for the messages that session came from
+     * @param {Object} parsed - Parsed reply from AIService
+     * @param {Object} classification - Result of detectCurrentClassification
+     * @returns {Object} Marked reply
+     */
+    markReply(parsed, classification) {
+        const replyClassification = this.sessionClassifications.length
+            ? this.classificationDetector.combineResults([
+                { source: 'Email', result: classification },
+                ...this.sessionClassifications.map(result => ({ source: 'Saved session', result }))
+            ])
+            : classification;
+        const marked = this.replyMarker.apply(parsed, replyClassification);
+        const conflicts = marked.marking?.conflicts || [];
+        
+        if (conflicts.length) {
+            this.uiController.showWarning(
+                `The draft contained a different marking (${conflicts.join(', ')}) than the email. It was replaced with ${marked.marking.banner}.`,
+                10000
+            );
+            
+            this.logger.logEvent('reply_marking_conflict', {
+                conflict_count: conflicts.length,
+                banner_position: this.replyMarker.getSettings().bannerPosition
+            }, 'Warning', this.getUserEmailForTelemetry());
         }
-
-        // Check for classification
-        const classification = this.classificationDetector.detectClassification(this.currentEmail.body);
-        if (window.debugLog) window.debugLog('Email classification check:', classification);
         
-        // Get current provider for blocking check and subsequent analysis
-        const config = this.getAIConfiguration();
-        const currentProvider = config.service;
+        return marked;
+    }
+
+    /**
+     * Handle a retry reported by AIService - show progress in the loading UI so a slow provider doesn't look hung
+     * @param {Object} event - { service, attempt, maxAttempts, delayMs, reason }
+     */
+    onRequestRetry(event) {
+        const providerLabel = this.getProviderLabel(event.service);
+        const seconds = Math.max(1, Math.round(event.delayMs / 1000));
+        const progress = `Retrying (${event.attempt}/${event.maxAttempts})...`;
+        
+        this.uiController.setLoadingProgress(progress);
+        this.uiController.showWarning(
+            `${providerLabel} ${event.reason}. Retrying in ${seconds}s (attempt ${event.attempt} of ${event.maxAttempts})...`,
+            event.delayMs + 5000
+        );
         
-        // Check if analysis should be blocked due to classification
-        const blockingCheck = this.checkClassificationBlocking(classification, currentProvider);
-        if (blockingCheck.blocked) {
-            console.warn('AI analysis blocked due to classification:', blockingCheck.reason);
-            this.uiController.showError(`AI Analysis Blocked: ${blockingCheck.reason}`);
-            return;
+        const chatLoading = document.getElementById('chat-loading-indicator');
+        if (chatLoading) {
+            chatLoading.textContent = `AI is thinking... ${progress}`;
         }
-        
-        // Proceed with analysis using cached config
-        await this.performAnalysis(config);
     }
 
-    async performAnalysis(config = null) {
-        const analysisStartTime = Date.now();
+    /**
+     * Check whether cached AI results may be reused
+     * @returns {boolean} True unless disabled in settings
+     */
+    isResponseCacheEnabled() {
+        return this.settingsManager.getSettings()['response-cache-enabled'] !== false;
+    }
+
+    /**
+     * Build a content-addressed cache key for the current email
+     * Combines the processed body, prompt template version, provider and model so a change to
+     * any of them produces a miss.
+     * @param {string} kind - Result kind ('analysis', 'response', 'followup')
+     * @param {Object} config - AI configuration (service, model)
+     * @param {Array} keyParts - Additional request inputs (e.g. length, tone)
+     * @returns {Promise<string>} Cache key
+     */
+    async buildCacheKey(kind, config, keyParts = []) {
+        const body = this.currentEmail.body || '';
+        const promptVersion = await this.aiService.promptManager.getVersion();
+        
+        return [
+            kind,
+            config.service,
+            config.model || '',
+            promptVersion,
+            this.hashString(body),
+            body.length,
+            this.hashString(this.currentEmail.subject || ''),
+            this.hashString(this.currentEmail.attachmentsSummary || ''),
+            ...keyParts
+        ].join(':');
+    }
+
+    /**
+     * Cache key inputs for a response: the analysis it builds on and the length/tone settings
+     * @param {Object} analysis - Analysis used for the response
+     * @param {Object} responseConfig - { length, tone }
+     * @returns {Array} Key parts
+     */
+    getResponseCacheKeyParts(analysis, responseConfig) {
+        return [
+            this.hashString(JSON.stringify(analysis || {})),
+            responseConfig.length,
+            responseConfig.tone
+        ];
+    }
+
+    /**
+     * Return a cached AI result for the current email, or run the request and cache its result
+     * Results produced by a fallback provider are not cached under the selected provider's key.
+     * @param {string} kind - Result kind ('analysis', 'response', 'followup')
+     * @param {Object} config - AI configuration (config.bypassCache skips the lookup)
+     * @param {Array} keyParts - Additional request inputs for the key
+     * @param {Function} request - Runs the AI request and resolves to the result
+     * @returns {Promise<Object>} Analysis or response result
+     */
+    async cachedAIRequest(kind, config, keyParts, request) {
+        if (!this.currentEmail || !this.isResponseCacheEnabled()) {
+            return request();
+        }
         
-        try {
-            this.uiController.showStatus('Analyzing email...');
-            this.uiController.setButtonLoading('analyze-email', true);
-            
-            // Use provided config or get AI configuration if not provided
-            if (!config) {
-                config = this.getAIConfiguration();
-            }
+        const key = await this.buildCacheKey(kind, config, keyParts);
+        
+        if (!config.bypassCache) {
+            const cached = await this.responseCache.get(key);
+            if (cached) {
+                if (window.debugLog) window.debugLog(`Response cache hit (${kind}):`, key);
+                this.cacheHitNotice = true;
+                this.logger.logEvent('response_cache_hit', {
+                    kind,
+                    model_service: this.getProviderLabel(config.service),
+                    model_name: config.model,
+                    cache_age_ms: Date.now() - cached.createdAt
+                }, 'Information', this.getUserEmailForTelemetry());
+                return cached.value;
+            }
+        }
+        
+        const result = await request();
+        
+        if (result && !this.aiService.getLastProviderInfo()?.failedOver) {
+            await this.responseCache.set(key, result, {
+                kind,
+                service: config.service,
+                model: config.model
+            });
+        }
+        
+        return result;
+    }
+
+    /**
+     * Analyze the current email and generate a new response, ignoring cached results
+     */
+    async regenerateResponse() {
+        if (!this.currentEmail) {
+            this.uiController.showError('No email selected. Please select an email first.');
+            return;
+        }
+        
+        this.currentAnalysis = null;
+        // A fresh draft comes from the selected provider and model, not a compared draft's
+        this.comparisonSelection = null;
+        await this.generateResponse({ bypassCache: true });
+    }
+
+    /**
+     * Clear all cached AI results (settings panel action)
+     */
+    async clearResponseCache() {
+        const cleared = await this.responseCache.clear();
+        if (cleared) {
+            this.uiController.showSuccess('Cached results cleared.');
+            this.logger.logEvent('response_cache_cleared', {}, 'Information', this.getUserEmailForTelemetry());
+        } else {
+            this.uiController.showError('Cached results could not be cleared.');
+        }
+        await this.updateResponseCacheStats();
+    }
+
+    /**
+     * Show the number and size of cached results in the settings panel
+     */
+    async updateResponseCacheStats() {
+        const statsElement = document.getElementById('response-cache-stats');
+        if (!statsElement) return;
+        
+        const { count, bytes } = await this.responseCache.getStats();
+        statsElement.textContent = count
+            ? `${count} cached result${count === 1 ? '' : 's'} (${Math.max(1, Math.round(bytes / 1024))} KB)`
+            : 'No cached results';
+    }
+
+    /**
+     * Check whether chat sessions are saved and restored (settings panel toggle)
+     * @returns {boolean} True unless the user turned saving off
+     */
+    isChatSessionSavingEnabled() {
+        return this.settingsManager.getSettings()['chat-sessions-enabled'] !== false;
+    }
+
+    /**
+     * Key for the saved session of an email: its Outlook conversation, or the item when there is none
+     * @param {Object} email - Email data from EmailAnalyzer
+     * @returns {string|null} Session key
+     */
+    getChatSessionKey(email = this.currentEmail) {
+        if (!email) return null;
+        return email.conversationId || email.itemId || null;
+    }
+
+    /**
+     * Save the current chat session for this email's conversation
+     * Errors are logged and ignored; saving never interrupts the chat
+     */
+    async saveChatSession() {
+        const key = this.getChatSessionKey();
+        if (!key || !this.currentResponse || !this.isChatSessionSavingEnabled()) return;
+        
+        await this.chatSessionStore.save(key, {
+            itemId: this.currentEmail.itemId || null,
+            subject: this.currentEmail.subject || '',
+            analysis: this.currentAnalysis,
+            currentResponse: this.currentResponse,
+            conversationHistory: this.conversationHistory,
+            originalEmailContext: this.originalEmailContext,
+            // The session's content is as sensitive as the messages it came from
+            classifications: [...this.sessionClassifications, this.detectCurrentClassification()]
+                .filter(classification => classification.detected)
+        });
+    }
+
+    /**
+     * Restore the saved chat session for the current email, if there is one
+     * @returns {Promise<boolean>} True if a session was restored
+     */
+    async restoreChatSession() {
+        this.hideSavedSessionOffer();
+        
+        const key = this.getChatSessionKey();
+        if (!key || !this.isChatSessionSavingEnabled()) return false;
+        
+        const session = await this.chatSessionStore.get(key);
+        if (!session || !session.currentResponse) return false;
+        
+        // The user may have switched items while the session was loading
+        if (this.getChatSessionKey() !== key) return false;
+        
+        // A session saved on another message of the conversation answers an earlier message:
+        // offer it, but let the current message be analyzed
+        if ((session.itemId || null) !== (this.currentEmail.itemId || null)) {
+            this.showSavedSessionOffer(session);
+            return false;
+        }
+        
+        if (!this.canRestoreChatSession(session)) return false;
+        
+        this.applyChatSession(session);
+        return true;
+    }
+
+    /**
+     * Show a saved session from another message in the conversation so the user can choose to restore it
+     * @param {Object} session - Saved session
+     */
+    showSavedSessionOffer(session) {
+        const offer = document.getElementById('saved-session-offer');
+        const text = document.getElementById('saved-session-offer-text');
+        if (!offer || !text) return;
+        
+        this.savedSessionOffer = session;
+        text.textContent = `You have a saved session for an earlier message in this conversation ("${session.subject}", ${new Date(session.savedAt).toLocaleString()}).`;
+        offer.classList.remove('hidden');
+        
+        this.logger.logEvent('chat_session_offered', {
+            session_age_ms: Date.now() - session.savedAt
+        }, 'Information', this.getUserEmailForTelemetry());
+    }
+
+    /**
+     * Hide the saved session offer
+     */
+    hideSavedSessionOffer() {
+        this.savedSessionOffer = null;
+        document.getElementById('saved-session-offer')?.classList.add('hidden');
+    }
+
+    /**
+     * Restore the offered session from another message, replacing any analysis of the current one
+     */
+    restoreOfferedChatSession() {
+        const session = this.savedSessionOffer;
+        this.hideSavedSessionOffer();
+        if (!session) return;
+        
+        if (!this.canRestoreChatSession(session)) return;
+        
+        this.cancelPendingRequests();
+        this.applyChatSession(session);
+    }
+
+    /**
+     * Check the selected provider against the classifications of the messages a saved session came from
+     * @param {Object} session - Saved session
+     * @returns {boolean} True if the session can be restored; otherwise the reason is shown
+     */
+    canRestoreChatSession(session) {
+        const otherItem = (session.itemId || null) !== (this.currentEmail?.itemId || null);
+        
+        // Sessions saved without their classifications are only trusted on the message they were saved on
+        if (!Array.isArray(session.classifications)) {
+            if (otherItem) {
+                this.uiController.showError('This saved session cannot be restored here because the classification of the message it was saved on is unknown.');
+            }
+            return !otherItem;
+        }
+        
+        const provider = this.getAIConfiguration().service;
+        const blockingCheck = session.classifications
+            .map(classification => this.checkClassificationBlocking(classification, provider))
+            .find(check => check.blocked);
+        if (blockingCheck) {
+            this.uiController.showError(`Saved session not restored: ${blockingCheck.reason}`);
+            this.logger.logEvent('chat_session_restore_blocked', {
+                model_service: this.getProviderLabel(provider),
+                same_item: !otherItem
+            }, 'Warning', this.getUserEmailForTelemetry());
+            return false;
+        }
+        return true;
+    }
+
+    /**
+     * Load a saved session into the analysis and chat panes
+     * @param {Object} session - Saved session
+     */
+    applyChatSession(session) {
+        this.currentAnalysis = session.analysis || null;
+        this.currentResponse = session.currentResponse;
+        this.conversationHistory = session.conversationHistory || [];
+        this.originalEmailContext = session.originalEmailContext || null;
+        this.sessionClassifications = session.classifications || [];
+        
+        if (this.currentAnalysis) {
+            this.displayAnalysis(this.currentAnalysis);
+            this.showAnalysisSection();
+        }
+        
+        this.renderChatFromHistory();
+        this.showChatSection();
+        this.updateWorkflowStep(4);
+        
+        const savedAt = new Date(session.savedAt).toLocaleString();
+        const otherItem = session.itemId && this.currentEmail.itemId && session.itemId !== this.currentEmail.itemId;
+        this.addChatMessage('system', otherItem
+            ? `Restored your saved session for this conversation ("${session.subject}", ${savedAt}).`
+            : `Restored your saved session from ${savedAt}.`);
+        
+        this.logger.logEvent('chat_session_restored', {
+            conversation_length: this.conversationHistory.length,
+            session_age_ms: Date.now() - session.savedAt,
+            same_item: !otherItem
+        }, 'Information', this.getUserEmailForTelemetry());
+    }
+
+    /**
+     * Rebuild the chat pane from the conversation history: the first draft, then each instruction and its result
+     */
+    renderChatFromHistory() {
+        const chatMessages = document.getElementById('chat-messages');
+        if (chatMessages) {
+            chatMessages.innerHTML = '';
+        }
+        
+        const latestText = this.currentResponse?.text || this.currentResponse?.suggestions || '';
+        this.addChatMessage('assistant', this.conversationHistory[0]?.previousResponse || latestText);
+        
+        this.conversationHistory.forEach(step => {
+            this.addChatMessage('user', step.userInstruction);
+            this.addChatMessage('assistant', step.newResponse);
+        });
+    }
+
+    /**
+     * Delete all saved chat sessions (settings panel action)
+     */
+    async clearChatSessions() {
+        const cleared = await this.chatSessionStore.clear();
+        if (cleared) {
+            this.uiController.showSuccess('Saved chat sessions cleared.');
+            this.logger.logEvent('chat_sessions_cleared', {}, 'Information', this.getUserEmailForTelemetry());
+        } else {
+            this.uiController.showError('Saved chat sessions could not be cleared.');
+        }
+        await this.updateChatSessionStats();
+    }
+
+    /**
+     * Show the number of saved chat sessions in the settings panel
+     */
+    async updateChatSessionStats() {
+        const statsElement = document.getElementById('chat-sessions-stats');
+        if (!statsElement) return;
+        
+        const count = await this.chatSessionStore.count();
+        statsElement.textContent = count
+            ? `${count} saved session${count === 1 ? '' : 's'}`
+            : 'No saved sessions';
+    }
+
+    /**
+     * Get a note naming the provider that answered if the last request fell back from the selected provider
+     * @returns {string} Notice text, or '' if the selected provider answered
+     */
+    getProviderFallbackNotice() {
+        const providerInfo = this.aiService.getLastProviderInfo();
+        this.aiService.clearProviderInfo();
+        
+        if (!providerInfo || !providerInfo.failedOver) return '';
+        
+        return `Answered by ${this.getProviderLabel(providerInfo.service)} because ` +
+            `${this.getProviderLabel(providerInfo.requestedService)} was unavailable.`;
+    }
+
+    /**
+     * Show a completion status, noting which provider answered when a fallback was used
+     * @param {string} message - Completion message
+     */
+    showCompletionStatus(message) {
+        const providerNotice = this.getProviderFallbackNotice();
+        const cacheNotice = this.cacheHitNotice ? 'Loaded from cache - use Regenerate for a fresh result.' : '';
+        this.cacheHitNotice = false;
+        
+        if (providerNotice) {
+            this.uiController.showWarning(`${message} ${providerNotice}`, 8000);
+        } else if (cacheNotice) {
+            this.uiController.showStatus(`${message} ${cacheNotice}`, 'info', 8000);
+        } else {
+            this.uiController.showStatus(message);
+        }
+    }
+
+    async analyzeEmail() {
+        if (!this.currentEmail) {
+            this.uiController.showError('No email selected. Please select an email first.');
+            return;
+        }
+
+        // Clear any previous refinement instructions (they should be ephemeral)
+        const refinementField = document.getElementById('refinement-instructions');
+        if (refinementField) {
+            refinementField.value = '';
+        }
+
+        // Check for classification
+        const classification = this.detectCurrentClassification();
+        if (window.debugLog) window.debugLog('Email classification check:', classification);
+        
+        // Get current provider (and permitted fallbacks) for blocking check and subsequent analysis
+        const { config, blockingCheck } = this.getAIRequestConfiguration(classification);
+        
+        // Check if analysis should be blocked due to classification
+        if (blockingCheck.blocked) {
+            console.warn('AI analysis blocked due to classification:', blockingCheck.reason);
+            this.uiController.showError(`AI Analysis Blocked: ${blockingCheck.reason}`);
+            return;
+        }
+        
+        // Proceed with analysis using cached config
+        await this.performAnalysis(config);
+    }
+
+    async performAnalysis(config = null) {
+        const analysisStartTime = Date.now();
+        
+        // Callers running analysis as part of a larger request pass their own signal
+        const controller = config?.signal ? null : this.beginCancelableRequest();
+        
+        try {
+            this.uiController.showStatus('Analyzing email...');
             
-            // Perform analysis
-            this.currentAnalysis = await this.aiService.analyzeEmail(this.currentEmail, config);
+            // Use provided config or get AI configuration if not provided
+            if (!config) {
+                config = this.getAIRequestConfiguration().config;
+            }
+            const signal = config.signal || controller.signal;
+            this.uiController.setButtonLoading('analyze-email', true, controller ? () => controller.abort() : null);
+            
+            // Perform analysis (or reuse a cached result for this email, provider and model)
+            const analysis = await this.cachedAIRequest('analysis', config, [],
+                () => this.aiService.analyzeEmail(this.currentEmail, { ...config, signal }));
+            signal.throwIfAborted();
+            this.currentAnalysis = analysis;
             const analysisEndTime = Date.now();
             
             // Display results
@@ -2397,12 +3436,16 @@ class TaskpaneApp {
                 analysis_duration_ms: analysisEndTime - analysisStartTime
             }, 'Information', this.getUserEmailForTelemetry());
             
-            this.uiController.showStatus('Email analysis completed successfully.');
+            this.showCompletionStatus('Email analysis completed successfully.');
             
             // Update workflow to show next step
             this.updateWorkflowStep(3);
             
         } catch (error) {
+            if (this.aiService.isAbortError(error)) {
+                this.uiController.showStatus('Analysis stopped.');
+                return;
+            }
             console.error('Analysis failed:', error);
             
             // Provide more specific error messages based on error type
@@ -2420,6 +3463,8 @@ class TaskpaneApp {
                 showSettings = true;
             } else if (error.message && error.message.includes('Rate limit exceeded')) {
                 userMessage = 'Analysis failed: Rate limit exceeded. Please wait a moment and try again.';
+            } else if (error.message && error.message.includes('Service overloaded')) {
+                userMessage = 'Analysis failed: The AI service is overloaded. Please wait a moment and try again.';
             }
             
             // Show the error with additional context
@@ -2436,11 +3481,16 @@ class TaskpaneApp {
                 }, 2000);
             }
         } finally {
+            this.endCancelableRequest(controller);
             this.uiController.setButtonLoading('analyze-email', false);
         }
     }
 
-    async generateResponse() {
+    /**
+     * Generate a response (or follow-up suggestions for sent mail)
+     * @param {Object} options - { bypassCache: ignore cached analysis/response results }
+     */
+    async generateResponse(options = {}) {
         if (!this.currentEmail) {
             this.uiController.showError('No email to respond to. Please analyze an email first.');
             return;
@@ -2448,32 +3498,34 @@ class TaskpaneApp {
 
         // Check if this is sent mail context - handle differently
         if (this.currentEmail.context && this.currentEmail.context.isSentMail) {
-            await this.generateFollowupSuggestions();
+            await this.generateFollowupSuggestions(options);
             return;
         }
 
         // Check for classification and blocking
-        const classification = this.classificationDetector.detectClassification(this.currentEmail.body);
+        const classification = this.detectCurrentClassification();
         if (window.debugLog) window.debugLog('Email classification detected for response generation:', classification);
 
-        // Get current provider for blocking check
-        const config = this.getAIConfiguration();
-        const currentProvider = config.service;
-        
-        // Check if response generation should be blocked due to classification
-        const blockingCheck = this.checkClassificationBlocking(classification, currentProvider);
+        // Check if response generation should be blocked due to classification (unless a fallback provider is permitted)
+        const { blockingCheck } = this.getAIRequestConfiguration(classification);
         if (blockingCheck.blocked) {
             console.warn('Response generation blocked due to classification:', blockingCheck.reason);
             this.uiController.showError(`Response Generation Blocked: ${blockingCheck.reason}`);
             return;
         }
 
+        const controller = this.beginCancelableRequest();
+        
         try {
             this.uiController.showStatus('Starting chat assistant...');
-            this.uiController.setButtonLoading('generate-response', true);
+            this.uiController.setButtonLoading('generate-response', true, () => controller.abort());
             
             // Get configuration
-            const config = this.getAIConfiguration();
+            const config = {
+                ...this.getAIRequestConfiguration(classification).config,
+                signal: controller.signal,
+                bypassCache: !!options.bypassCache
+            };
             const responseConfig = this.getResponseConfiguration();
             
             // Ensure we have analysis data - if not, run analysis first
@@ -2484,7 +3536,8 @@ class TaskpaneApp {
                 
                 try {
                     // Run analysis first
-                    await this.performAnalysis();
+                    await this.performAnalysis(config);
+                    controller.signal.throwIfAborted();
                     analysisData = this.currentAnalysis;
                     
                     if (!analysisData) {
@@ -2497,6 +3550,7 @@ class TaskpaneApp {
                         };
                     }
                 } catch (analysisError) {
+                    if (this.aiService.isAbortError(analysisError)) throw analysisError;
                     console.warn('Analysis failed, using default analysis:', analysisError);
                     analysisData = {
                         keyPoints: ['Email content needs response'],
@@ -2511,16 +3565,23 @@ class TaskpaneApp {
             // Start timing for telemetry
             const responseStartTime = Date.now();
             
-            // Generate response
-            this.currentResponse = await this.aiService.generateResponse(
-                this.currentEmail, 
-                analysisData,
-                { ...config, ...responseConfig }
-            );
+            // Generate response, streaming partial text into the chat pane as it arrives
+            const response = await this.cachedAIRequest('response', config,
+                this.getResponseCacheKeyParts(analysisData, responseConfig),
+                () => this.aiService.generateResponse(
+                    this.currentEmail, 
+                    analysisData,
+                    { ...config, ...responseConfig, onToken: this.createStreamingHandler(true) }
+                ));
+            controller.signal.throwIfAborted();
+            this.currentResponse = response;
             
             // End timing for telemetry
             const responseEndTime = Date.now();
             
+            // The parsed response replaces the streamed draft when the chat is initialized below
+            this.endStreamingResponse();
+            
             console.info('Response generated:', this.currentResponse);
             
             // Log successful manual response generation
@@ -2563,10 +3624,16 @@ class TaskpaneApp {
             
             // Initialize chat with welcome message and the generated response
             this.initializeChatWithResponse();
+            this.saveChatSession();
             
-            this.uiController.showStatus('Chat assistant ready! Your initial response is generated. Start chatting to refine it.');
+            this.showCompletionStatus('Chat assistant ready! Your initial response is generated. Start chatting to refine it.');
             
         } catch (error) {
+            this.endStreamingResponse();
+            if (this.aiService.isAbortError(error)) {
+                this.uiController.showStatus('Response generation stopped.');
+                return;
+            }
             console.error('Response generation failed:', error);
             
             // Provide more specific error messages based on error type
@@ -2584,6 +3651,8 @@ class TaskpaneApp {
                 showSettings = true;
             } else if (error.message && error.message.includes('Rate limit exceeded')) {
                 userMessage = 'Response generation failed: Rate limit exceeded. Please wait a moment and try again.';
+            } else if (error.message && error.message.includes('Service overloaded')) {
+                userMessage = 'Response generation failed: The AI service is overloaded. Please wait a moment and try again.';
             }
             
             this.uiController.showError(userMessage);
@@ -2598,23 +3667,650 @@ class TaskpaneApp {
                 }, 2000);
             }
         } finally {
+            this.endCancelableRequest(controller);
             this.uiController.setButtonLoading('generate-response', false);
         }
     }
 
-    async generateFollowupSuggestions() {
+    /**
+     * Get the providers that can take part in a model comparison
+     * @returns {string[]} Provider keys allowed for the user's domain
+     */
+    getComparisonProviders() {
+        const configuredProviders = Object.keys(this.defaultProvidersConfig || {})
+            .filter(provider => !provider.startsWith('_'));
+        const allowedProviders = this.domainProviders?.allowedProviders || configuredProviders;
+        
+        return allowedProviders.filter(provider => configuredProviders.includes(provider));
+    }
+
+    /**
+     * Get model suggestions for a provider: its default, the models listed in ai-providers.json
+     * and, for the active provider, the models already discovered for the model dropdown
+     * @param {string} provider - Provider key
+     * @returns {string[]} Model names
+     */
+    getComparisonModelOptions(provider) {
+        const providerConfig = this.defaultProvidersConfig?.[provider] || {};
+        const models = [providerConfig.defaultModel, ...Object.keys(providerConfig.models || {})];
+        
+        if (this.modelSelect && this.modelServiceSelect?.value === provider) {
+            models.push(...Array.from(this.modelSelect.options).map(option => option.value));
+        }
+        
+        return [...new Set(models.filter(Boolean))];
+    }
+
+    /**
+     * Render one provider/model picker row for compare mode
+     * @param {number} index - Row index
+     * @param {string[]} providers - Selectable provider keys
+     * @param {string} selected - Provider selected initially ('' for none)
+     * @returns {string} Row HTML
+     */
+    renderComparisonPair(index, providers, selected) {
+        const optional = index >= 2;
+        const providerOptions = providers.map(provider =>
+            `<option value="${this.escapeAttribute(provider)}" ${provider === selected ? 'selected' : ''}>${this.escapeHtml(this.getProviderLabel(provider))}</option>`
+        ).join('');
+        const modelOptions = this.getComparisonModelOptions(selected)
+            .map(model => `<option value="${this.escapeAttribute(model)}"></option>`).join('');
+        const defaultModel = selected ? this.getDefaultModelForProvider(selected) : '';
+        
+        return `
+            <div class="compare-pair">
+                <div class="form-group">
+                    <label for="compare-provider-${index}">Provider ${index + 1}${optional ? ' (optional)' : ''}:</label>
+                    <select id="compare-provider-${index}" class="form-control compare-provider" data-index="${index}">
+                        ${optional ? `<option value="" ${selected ? '' : 'selected'}>None</option>` : ''}
+                        ${providerOptions}
+                    </select>
+                </div>
+                <div class="form-group">
+                    <label for="compare-model-${index}">Model:</label>
+                    <input id="compare-model-${index}" class="form-control" type="text" list="compare-model-options-${index}"
+                           value="${this.escapeAttribute(defaultModel)}" ${selected ? '' : 'disabled'}>
+                    <datalist id="compare-model-options-${index}">${modelOptions}</datalist>
+                </div>
+            </div>
+        `;
+    }
+
+    /**
+     * Escape text for use inside a double-quoted HTML attribute
+     * @param {string} text - Text to escape
+     * @returns {string} Escaped text
+     */
+    escapeAttribute(text) {
+        return this.escapeHtml(text).replace(/"/g, '&quot;');
+    }
+
+    /**
+     * Show compare mode with the current provider preselected alongside other allowed providers
+     */
+    openModelComparison() {
+        if (!this.currentEmail) {
+            this.uiController.showError('No email to respond to. Please analyze an email first.');
+            return;
+        }
+        
+        if (this.currentEmail.context && this.currentEmail.context.isSentMail) {
+            this.uiController.showError('Model comparison is available for replies, not for sent-mail follow-up suggestions.');
+            return;
+        }
+        
+        const providers = this.getComparisonProviders();
+        if (providers.length === 0) {
+            this.uiController.showError('No AI providers are available to compare.');
+            return;
+        }
+        
+        // Start with the active provider, then other providers; repeat the active one if it is the only choice
+        const currentProvider = providers.includes(this.modelServiceSelect?.value) ? this.modelServiceSelect.value : providers[0];
+        const others = providers.filter(provider => provider !== currentProvider);
+        const initialSelection = [currentProvider, others[0] || currentProvider, others[1] || ''];
+        
+        const pairsContainer = document.getElementById('compare-pairs');
+        pairsContainer.innerHTML = initialSelection
+            .map((provider, index) => this.renderComparisonPair(index, providers, provider))
+            .join('');
+        
+        // Picking a different provider resets the model to that provider's default
+        pairsContainer.querySelectorAll('.compare-provider').forEach(select => {
+            select.addEventListener('change', () => {
+                const index = select.dataset.index;
+                const modelInput = document.getElementById(`compare-model-${index}`);
+                const modelOptions = document.getElementById(`compare-model-options-${index}`);
+                
+                modelInput.disabled = !select.value;
+                modelInput.value = select.value ? this.getDefaultModelForProvider(select.value) : '';
+                modelOptions.innerHTML = this.getComparisonModelOptions(select.value)
+                    .map(model => `<option value="${this.escapeAttribute(model)}"></option>`).join('');
+            });
+        });
+        
+        document.getElementById('compare-results').innerHTML = '';
+        this.comparisonResults = null;
+        
+        const compareSection = document.getElementById('compare-section');
+        compareSection.classList.remove('hidden');
+        setTimeout(() => compareSection.scrollIntoView({ behavior: 'smooth', block: 'start' }), 100);
+    }
+
+    /**
+     * Hide compare mode
+     */
+    closeModelComparison() {
+        const compareSection = document.getElementById('compare-section');
+        if (compareSection) {
+            compareSection.classList.add('hidden');
+        }
+    }
+
+    /**
+     * Read the provider/model pairs chosen in compare mode
+     * @returns {Array<Object>} Distinct { service, model } pairs
+     */
+    getComparisonPairs() {
+        const pairs = [];
+        
+        document.querySelectorAll('#compare-pairs .compare-provider').forEach(select => {
+            if (!select.value) return;
+            
+            const modelInput = document.getElementById(`compare-model-${select.dataset.index}`);
+            const model = modelInput?.value.trim() || this.getDefaultModelForProvider(select.value);
+            
+            if (!pairs.some(pair => pair.service === select.value && pair.model === model)) {
+                pairs.push({ service: select.value, model });
+            }
+        });
+        
+        return pairs;
+    }
+
+    /**
+     * Generate replies with each chosen provider/model pair in parallel and show them side by side
+     */
+    async runModelComparison() {
+        if (!this.currentEmail) {
+            this.uiController.showError('No email to respond to. Please analyze an email first.');
+            return;
+        }
+        
+        const pairs = this.getComparisonPairs();
+        if (pairs.length < 2) {
+            this.uiController.showError('Choose at least two different provider/model pairs to compare.');
+            return;
+        }
+        
+        const classification = this.detectCurrentClassification();
+        const controller = this.beginCancelableRequest();
+        
+        try {
+            this.uiController.setButtonLoading('run-comparison', true, () => controller.abort());
+            this.uiController.showStatus(`Generating drafts with ${pairs.length} models...`);
+            document.getElementById('compare-results').innerHTML = '';
+            
+            // AIService supplies a default analysis when the email has not been analyzed yet
+            const responseConfig = this.getResponseConfiguration();
+            const results = await Promise.all(pairs.map(pair =>
+                this.generateComparisonDraft(pair, classification, this.currentAnalysis, responseConfig, controller.signal)
+            ));
+            controller.signal.throwIfAborted();
+            
+            this.comparisonResults = results;
+            this.displayComparisonResults(results);
+            
+            this.logger.logEvent('model_comparison', {
+                email_length: this.currentEmail.bodyLength,
+                pair_count: results.length,
+                results: results.map(result => ({
+                    model_service: this.getProviderLabel(result.service),
+                    model_name: result.model,
+                    succeeded: !!result.response,
+                    blocked: !!result.blocked,
+                    duration_ms: result.latencyMs ?? null,
+                    response_length: result.characterCount ?? 0
+                }))
+            }, 'Information', this.getUserEmailForTelemetry());
+            
+            const succeeded = results.filter(result => result.response).length;
+            if (succeeded === 0) {
+                this.uiController.showError('None of the selected models produced a draft. See each card for details.');
+            } else {
+                this.uiController.showStatus(`${succeeded} of ${results.length} drafts ready. Pick one to continue refining in chat.`);
+            }
+        } catch (error) {
+            if (this.aiService.isAbortError(error)) {
+                this.uiController.showStatus('Model comparison stopped.');
+                return;
+            }
+            console.error('Model comparison failed:', error);
+            this.uiController.showError('Model comparison failed: ' + error.message);
+        } finally {
+            this.endCancelableRequest(controller);
+            this.uiController.setButtonLoading('run-comparison', false);
+        }
+    }
+
+    /**
+     * Generate one comparison draft; failures are returned on the result instead of thrown
+     * so the other drafts still display
+     * @param {Object} pair - { service, model }
+     * @param {Object} classification - Classification detection result
+     * @param {Object} analysisData - Current analysis (may be null)
+     * @param {Object} responseConfig - Response length and tone
+     * @param {AbortSignal} signal - Cancels all comparison requests
+     * @returns {Promise<Object>} { service, model, label, response?, error?, blocked?, latencyMs?, wordCount?, characterCount? }
+     */
+    async generateComparisonDraft(pair, classification, analysisData, responseConfig, signal) {
+        const result = { ...pair, label: this.getProviderLabel(pair.service) };
+        
+        const blockingCheck = this.checkRequestBlocking(classification, pair.service);
+        if (blockingCheck.blocked) {
+            return { ...result, blocked: true, error: `Blocked: ${blockingCheck.reason}` };
+        }
+        
+        if (this.providerNeedsApiKey(pair.service) && !this.settingsManager.getProviderConfig(pair.service)['api-key']) {
+            return { ...result, error: 'No API key is configured for this provider. Add one in Settings.' };
+        }
+        
+        // Each pair runs on its own provider and model, without the fallback chain
+        const config = {
+            ...this.getProviderAIConfiguration(pair.service),
+            model: pair.model,
+            settingsManager: this.settingsManager,
+            onRedact: (event) => this.onSensitiveDataRedacted(event),
+            markReply: (parsed) => this.markReply(parsed, classification),
+            signal
+        };
+        
+        const startTime = Date.now();
+        try {
+            const response = await this.aiService.generateResponse(
+                this.currentEmail,
+                analysisData,
+                { ...config, ...responseConfig }
+            );
+            const text = response.text || '';
+            
+            return {
+                ...result,
+                response,
+                latencyMs: Date.now() - startTime,
+                wordCount: response.wordCount ?? text.split(/\s+/).filter(Boolean).length,
+                characterCount: text.length
+            };
+        } catch (error) {
+            if (this.aiService.isAbortError(error)) throw error;
+            console.warn(`Comparison draft failed for ${pair.service}/${pair.model}:`, error);
+            return { ...result, error: error.message, latencyMs: Date.now() - startTime };
+        }
+    }
+
+    /**
+     * Render comparison drafts as side-by-side cards with latency and length
+     * @param {Array<Object>} results - Results from generateComparisonDraft
+     */
+    displayComparisonResults(results) {
+        const container = document.getElementById('compare-results');
+        
+        container.innerHTML = results.map((result, index) => {
+            const latency = result.latencyMs !== undefined ? `${(result.latencyMs / 1000).toFixed(1)}s` : '-';
+            const body = result.response
+                ? this.renderWithHtmlTables(result.response.text)
+                : this.escapeHtml(result.error || 'No draft was produced.');
+            const meta = result.response
+                ? `⏱ ${latency} · ${result.wordCount} words · ${result.characterCount} characters`
+                : (result.blocked ? 'Not sent' : `⏱ ${latency}`);
+            
+            return `
+                <div class="draft-card ${result.response ? '' : 'error'}">
+                    <div class="draft-card-header">
+                        <strong>${this.escapeHtml(result.label)}</strong>
+                        <small>${this.escapeHtml(result.model)}</small>
+                    </div>
+                    <div class="draft-card-meta">${meta}</div>
+                    <div class="draft-card-body">${body}</div>
+                    ${result.response ? `<button class="btn btn-primary compare-pick-btn" type="button" data-index="${index}">Continue with this draft</button>` : ''}
+                </div>
+            `;
+        }).join('');
+        
+        container.querySelectorAll('.compare-pick-btn').forEach(button => {
+            button.addEventListener('click', () => this.selectComparisonDraft(Number(button.dataset.index)));
+        });
+    }
+
+    /**
+     * Continue in chat with a comparison draft; later refinements use the draft's provider and model
+     * @param {number} index - Index into comparisonResults
+     */
+    selectComparisonDraft(index) {
+        const result = this.comparisonResults?.[index];
+        if (!result || !result.response) return;
+        
+        this.comparisonSelection = { service: result.service, model: result.model };
+        this.currentResponse = result.response;
+        
+        this.logger.logEvent('comparison_draft_selected', {
+            model_service: this.getProviderLabel(result.service),
+            model_name: result.model,
+            response_length: result.characterCount,
+            compared_count: this.comparisonResults.length
+        }, 'Information', this.getUserEmailForTelemetry());
+        
+        this.initializeConversationHistory(this.currentEmail, this.currentAnalysis);
+        this.closeModelComparison();
+        this.showChatSection();
+        this.updateWorkflowStep(4);
+        this.initializeChatWithResponse();
+        this.saveChatSession();
+        this.addChatMessage('system', `Continuing with ${result.label} (${result.model}). Refinements will use this model.`);
+    }
+
+    /**
+     * Generate labeled reply drafts (accept, decline, ask for more information) and show them as cards
+     * @param {Object} options - { bypassCache: ignore cached analysis/variant results }
+     */
+    async generateReplyVariants(options = {}) {
+        if (!this.currentEmail) {
+            this.uiController.showError('No email to respond to. Please analyze an email first.');
+            return;
+        }
+        
+        if (this.currentEmail.context && this.currentEmail.context.isSentMail) {
+            this.uiController.showError('Reply options are available for replies, not for sent-mail follow-up suggestions.');
+            return;
+        }
+        
+        const classification = this.detectCurrentClassification();
+        const { blockingCheck } = this.getAIRequestConfiguration(classification);
+        if (blockingCheck.blocked) {
+            console.warn('Reply options blocked due to classification:', blockingCheck.reason);
+            this.uiController.showError(`Response Generation Blocked: ${blockingCheck.reason}`);
+            return;
+        }
+        
+        const controller = this.beginCancelableRequest();
+        
+        try {
+            this.uiController.setButtonLoading('generate-variants', true, () => controller.abort());
+            
+            const config = {
+                ...this.getAIRequestConfiguration(classification).config,
+                signal: controller.signal,
+                bypassCache: !!options.bypassCache
+            };
+            const responseConfig = this.getResponseConfiguration();
+            
+            // Variants are written against the analysis, so run it first when missing;
+            // AIService falls back to a default analysis if this fails
+            if (!this.currentAnalysis) {
+                this.uiController.showStatus('Analyzing email before drafting reply options...');
+                try {
+                    await this.performAnalysis(config);
+                    controller.signal.throwIfAborted();
+                } catch (analysisError) {
+                    if (this.aiService.isAbortError(analysisError)) throw analysisError;
+                    console.warn('Analysis failed, drafting reply options without it:', analysisError);
+                }
+            }
+            
+            const intents = this.aiService.getVariantIntents(config);
+            this.uiController.showStatus(`Drafting ${intents.length} reply options...`);
+            const startTime = Date.now();
+            
+            const result = await this.cachedAIRequest('variants', config,
+                [...this.getResponseCacheKeyParts(this.currentAnalysis, responseConfig), this.hashString(intents.join('|'))],
+                () => this.aiService.generateResponseVariants(
+                    this.currentEmail,
+                    this.currentAnalysis,
+                    { ...config, ...responseConfig }
+                ));
+            controller.signal.throwIfAborted();
+            
+            this.responseVariants = result.variants;
+            this.displayReplyVariants(result.variants);
+            
+            this.logger.logEvent('response_variants_generated', {
+                model_service: this.getProviderLabel(config.service),
+                model_name: config.model,
+                email_length: this.currentEmail.bodyLength,
+                requested_count: intents.length,
+                variant_count: result.variants.length,
+                variant_labels: result.variants.map(variant => variant.label),
+                response_generation_duration_ms: Date.now() - startTime
+            }, 'Information', this.getUserEmailForTelemetry());
+            
+            const truncationInfo = this.aiService.getLastTruncationInfo();
+            if (truncationInfo) {
+                this.showEmailTruncationNotification(truncationInfo);
+                this.aiService.clearTruncationInfo();
+            }
+            
+            const htmlConversionInfo = this.aiService.getLastHtmlConversionInfo();
+            if (htmlConversionInfo) {
+                this.showHtmlConversionNotification(htmlConversionInfo);
+                this.aiService.clearHtmlConversionInfo();
+            }
+            
+            this.showCompletionStatus(`${result.variants.length} reply options ready. Pick one to continue refining in chat.`);
+        } catch (error) {
+            if (this.aiService.isAbortError(error)) {
+                this.uiController.showStatus('Reply options stopped.');
+                return;
+            }
+            console.error('Reply variant generation failed:', error);
+            this.uiController.showError(error.message || 'Failed to generate reply options. Please try again.');
+        } finally {
+            this.endCancelableRequest(controller);
+            this.uiController.setButtonLoading('generate-variants', false);
+        }
+    }
+
+    /**
+     * Render reply variants as selectable cards labeled by intent
+     * @param {Array<Object>} variants - Drafts from AIService.generateResponseVariants
+     */
+    displayReplyVariants(variants) {
+        const container = document.getElementById('variant-cards');
+        
+        container.innerHTML = variants.map((variant, index) => `
+            <div class="draft-card">
+                <div class="draft-card-header">
+                    <strong>${this.escapeHtml(variant.label)}</strong>
+                </div>
+                <div class="draft-card-meta">${variant.wordCount} words</div>
+                <div class="draft-card-body">${this.renderWithHtmlTables(variant.text)}</div>
+                <button class="btn btn-primary variant-pick-btn" type="button" data-index="${index}">Use this reply</button>
+            </div>
+        `).join('');
+        
+        container.querySelectorAll('.variant-pick-btn').forEach(button => {
+            button.addEventListener('click', () => this.selectReplyVariant(Number(button.dataset.index)));
+        });
+        
+        const variantsSection = document.getElementById('variants-section');
+        variantsSection.classList.remove('hidden');
+        setTimeout(() => variantsSection.scrollIntoView({ behavior: 'smooth', block: 'start' }), 100);
+    }
+
+    /**
+     * Hide the reply options cards
+     */
+    closeReplyVariants() {
+        const variantsSection = document.getElementById('variants-section');
+        if (variantsSection) {
+            variantsSection.classList.add('hidden');
+        }
+    }
+
+    /**
+     * Continue in chat with the chosen reply variant
+     * @param {number} index - Index into responseVariants
+     */
+    selectReplyVariant(index) {
+        const variant = this.responseVariants?.[index];
+        if (!variant) return;
+        
+        this.currentResponse = {
+            text: variant.text,
+            generatedAt: variant.generatedAt,
+            wordCount: variant.wordCount,
+            intent: variant.label
+        };
+        
+        this.logger.logEvent('response_variant_selected', {
+            variant_label: variant.label,
+            variant_index: index,
+            variant_count: this.responseVariants.length,
+            response_length: variant.text.length
+        }, 'Information', this.getUserEmailForTelemetry());
+        
+        this.initializeConversationHistory(this.currentEmail, this.currentAnalysis);
+        this.closeReplyVariants();
+        this.showAnalysisSection();
+        this.showChatSection();
+        this.updateWorkflowStep(4);
+        this.initializeChatWithResponse();
+        this.saveChatSession();
+        this.addChatMessage('system', `Continuing with the "${variant.label}" reply.`);
+    }
+
+    /**
+     * Draft a reply to the current meeting invitation from a meeting template and continue in chat
+     * @param {string} replyType - 'accept_with_note' or 'propose_new_time'
+     * @param {Object} options - { bypassCache: ignore cached analysis/reply results }
+     */
+    async generateMeetingReply(replyType, options = {}) {
+        if (!this.currentEmail?.meeting) {
+            this.uiController.showError('The current item is not a meeting invitation.');
+            return;
+        }
+        
+        const classification = this.detectCurrentClassification();
+        const { blockingCheck } = this.getAIRequestConfiguration(classification);
+        if (blockingCheck.blocked) {
+            console.warn('Meeting reply blocked due to classification:', blockingCheck.reason);
+            this.uiController.showError(`Response Generation Blocked: ${blockingCheck.reason}`);
+            return;
+        }
+        
+        const buttonId = replyType === 'accept_with_note' ? 'meeting-accept-with-note' : 'meeting-propose-new-time';
+        const label = replyType === 'accept_with_note' ? 'Accept with note' : 'Propose new time';
+        const controller = this.beginCancelableRequest();
+        
+        try {
+            this.uiController.setButtonLoading(buttonId, true, () => controller.abort());
+            
+            const config = {
+                ...this.getAIRequestConfiguration(classification).config,
+                signal: controller.signal,
+                bypassCache: !!options.bypassCache
+            };
+            const responseConfig = this.getResponseConfiguration();
+            
+            // The reply builds on the analysis, so run it first when missing;
+            // AIService falls back to a default analysis if this fails
+            if (!this.currentAnalysis) {
+                this.uiController.showStatus('Analyzing invitation before drafting a reply...');
+                try {
+                    await this.performAnalysis(config);
+                    controller.signal.throwIfAborted();
+                } catch (analysisError) {
+                    if (this.aiService.isAbortError(analysisError)) throw analysisError;
+                    console.warn('Analysis failed, drafting meeting reply without it:', analysisError);
+                }
+            }
+            
+            this.uiController.showStatus('Drafting meeting reply...');
+            const startTime = Date.now();
+            
+            const result = await this.cachedAIRequest(`meeting-${replyType}`, config,
+                this.getResponseCacheKeyParts(this.currentAnalysis, responseConfig),
+                () => this.aiService.generateMeetingReply(
+                    this.currentEmail,
+                    this.currentAnalysis,
+                    { ...config, ...responseConfig },
+                    replyType
+                ));
+            controller.signal.throwIfAborted();
+            
+            this.currentResponse = {
+                text: result.text,
+                generatedAt: result.generatedAt,
+                wordCount: result.wordCount,
+                intent: label
+            };
+            
+            this.logger.logEvent('meeting_reply_generated', {
+                model_service: this.getProviderLabel(config.service),
+                model_name: config.model,
+                reply_type: replyType,
+                meeting_type: this.currentEmail.meeting.type,
+                conflict_hint_count: (this.currentEmail.conflictHints || []).length,
+                response_length: result.text.length,
+                response_generation_duration_ms: Date.now() - startTime
+            }, 'Information', this.getUserEmailForTelemetry());
+            
+            const truncationInfo = this.aiService.getLastTruncationInfo();
+            if (truncationInfo) {
+                this.showEmailTruncationNotification(truncationInfo);
+                this.aiService.clearTruncationInfo();
+            }
+            
+            const htmlConversionInfo = this.aiService.getLastHtmlConversionInfo();
+            if (htmlConversionInfo) {
+                this.showHtmlConversionNotification(htmlConversionInfo);
+                this.aiService.clearHtmlConversionInfo();
+            }
+            
+            this.initializeConversationHistory(this.currentEmail, this.currentAnalysis);
+            this.closeReplyVariants();
+            this.showAnalysisSection();
+            this.showChatSection();
+            this.updateWorkflowStep(4);
+            this.initializeChatWithResponse();
+            this.saveChatSession();
+            this.addChatMessage('system', `Continuing with the "${label}" reply. Respond to the invitation in Outlook as usual; this draft is the message to send with it.`);
+            
+            this.showCompletionStatus('Meeting reply ready. Refine it in chat or reply with it.');
+        } catch (error) {
+            if (this.aiService.isAbortError(error)) {
+                this.uiController.showStatus('Meeting reply stopped.');
+                return;
+            }
+            console.error('Meeting reply generation failed:', error);
+            this.uiController.showError(error.message || 'Failed to draft meeting reply. Please try again.');
+        } finally {
+            this.endCancelableRequest(controller);
+            this.uiController.setButtonLoading(buttonId, false);
+        }
+    }
+
+    /**
+     * Generate follow-up suggestions for a sent email
+     * @param {Object} options - { bypassCache: ignore cached analysis/suggestion results }
+     */
+    async generateFollowupSuggestions(options = {}) {
         if (!this.currentEmail) {
             this.uiController.showError('No email available for follow-up suggestions.');
             return;
         }
 
         // Get configuration outside try block so it's available in catch
-        const config = this.getAIConfiguration();
+        const controller = this.beginCancelableRequest();
+        const config = {
+            ...this.getAIRequestConfiguration().config,
+            signal: controller.signal,
+            bypassCache: !!options.bypassCache
+        };
         const responseConfig = this.getResponseConfiguration();
 
         try {
             this.uiController.showStatus('Generating follow-up suggestions...');
-            this.uiController.setButtonLoading('generate-response', true);
+            this.uiController.setButtonLoading('generate-response', true, () => controller.abort());
             
             // Ensure we have analysis data - if not, run analysis first
             let analysisData = this.currentAnalysis;
@@ -2623,7 +4319,8 @@ class TaskpaneApp {
                 this.uiController.showStatus('Analyzing sent email before generating follow-up suggestions...');
                 
                 try {
-                    await this.performAnalysis();
+                    await this.performAnalysis(config);
+                    controller.signal.throwIfAborted();
                     analysisData = this.currentAnalysis;
                     
                     if (!analysisData) {
@@ -2634,6 +4331,7 @@ class TaskpaneApp {
                         };
                     }
                 } catch (analysisError) {
+                    if (this.aiService.isAbortError(analysisError)) throw analysisError;
                     console.warn('Analysis failed, using default analysis:', analysisError);
                     analysisData = {
                         keyPoints: ['Sent email content analyzed'],
@@ -2649,11 +4347,15 @@ class TaskpaneApp {
             const followupStartTime = Date.now();
             
             // Generate follow-up suggestions instead of response
-            this.currentResponse = await this.aiService.generateFollowupSuggestions(
-                this.currentEmail, 
-                analysisData,
-                { ...config, ...responseConfig }
-            );
+            const suggestions = await this.cachedAIRequest('followup', config,
+                this.getResponseCacheKeyParts(analysisData, responseConfig),
+                () => this.aiService.generateFollowupSuggestions(
+                    this.currentEmail, 
+                    analysisData,
+                    { ...config, ...responseConfig }
+                ));
+            controller.signal.throwIfAborted();
+            this.currentResponse = suggestions;
             
             // End timing for telemetry
             const followupEndTime = Date.now();
@@ -2696,10 +4398,15 @@ class TaskpaneApp {
             
             // Initialize chat with the generated suggestions
             this.initializeChatWithResponse();
+            this.saveChatSession();
             
-            this.uiController.showStatus('Follow-up suggestions generated successfully.');
+            this.showCompletionStatus('Follow-up suggestions generated successfully.');
             
         } catch (error) {
+            if (this.aiService.isAbortError(error)) {
+                this.uiController.showStatus('Follow-up suggestions stopped.');
+                return;
+            }
             console.error('Follow-up suggestion generation failed:', error);
             
             // Log telemetry for failed follow-up suggestions
@@ -2725,6 +4432,8 @@ class TaskpaneApp {
                 showSettings = true;
             } else if (error.message && error.message.includes('Rate limit exceeded')) {
                 userMessage = 'Follow-up generation failed: Rate limit exceeded. Please wait a moment and try again.';
+            } else if (error.message && error.message.includes('Service overloaded')) {
+                userMessage = 'Follow-up generation failed: The AI service is overloaded. Please wait a moment and try again.';
             }
             
             this.uiController.showError(userMessage);
@@ -2739,6 +4448,7 @@ class TaskpaneApp {
                 }, 2000);
             }
         } finally {
+            this.endCancelableRequest(controller);
             this.uiController.setButtonLoading('generate-response', false);
         }
     }
@@ -2756,19 +4466,21 @@ class TaskpaneApp {
             return;
         }
 
+        const controller = this.beginCancelableRequest();
+        
         try {
             // Add user message to chat
             this.addChatMessage('user', message);
             
             // Clear input and disable send button
             chatInput.value = '';
-            this.uiController.setButtonLoading('send-chat-message', true);
+            this.uiController.setButtonLoading('send-chat-message', true, () => controller.abort());
             
             // Show loading indicator
             this.showChatLoading();
             
             // Get current configuration
-            const config = this.getAIConfiguration();
+            const config = this.getAIRequestConfiguration(null, { refinement: true }).config;
             const responseConfig = this.getResponseConfiguration();
             
             // Store previous response for history tracking - with safety check
@@ -2784,15 +4496,17 @@ class TaskpaneApp {
             // Start timing for telemetry
             const chatStartTime = Date.now();
             
-            // Use history-aware refinement with chat context
-            this.currentResponse = await this.aiService.refineResponseWithHistory(
+            // Use history-aware refinement with chat context, streaming partial text into the chat
+            const refinedResponse = await this.aiService.refineResponseWithHistory(
                 this.currentResponse,
                 message,
-                config,
+                { ...config, signal: controller.signal, onToken: this.createStreamingHandler() },
                 responseConfig,
                 this.originalEmailContext,
                 this.conversationHistory
             );
+            controller.signal.throwIfAborted();
+            this.currentResponse = refinedResponse;
             
             // End timing for telemetry
             const chatEndTime = Date.now();
@@ -2800,6 +4514,7 @@ class TaskpaneApp {
             // Validate the refined response
             if (!this.currentResponse || !this.currentResponse.text) {
                 console.error('Response refinement returned invalid response:', this.currentResponse);
+                this.endStreamingResponse();
                 this.uiController.showError('Failed to refine response. Please try again.');
                 return;
             }
@@ -2826,12 +4541,22 @@ class TaskpaneApp {
                 previousResponse,
                 this.currentResponse.text
             );
+            this.refreshVersionHistory();
+            this.saveChatSession();
             
             // Remove loading indicator
             this.removeChatLoading();
             
-            // Add AI response to chat
-            this.addChatMessage('assistant', this.currentResponse.text);
+            // Replace the streamed draft with the parsed response, or add it if nothing was streamed
+            if (!this.endStreamingResponse(this.currentResponse.text)) {
+                this.addChatMessage('assistant', this.currentResponse.text);
+            }
+            
+            // Note in the chat when a fallback provider produced this reply
+            const providerNotice = this.getProviderFallbackNotice();
+            if (providerNotice) {
+                this.addChatMessage('system', providerNotice);
+            }
             
             // Response is now only shown in chat interface
             
@@ -2853,11 +4578,17 @@ class TaskpaneApp {
             }, 'Information', this.getUserEmailForTelemetry());
             
         } catch (error) {
-            console.error('Chat message failed:', error);
             this.removeChatLoading();
+            this.endStreamingResponse();
+            if (this.aiService.isAbortError(error)) {
+                this.addChatMessage('system', 'Request stopped. The previous response was kept.');
+                return;
+            }
+            console.error('Chat message failed:', error);
             this.addChatMessage('system', 'Sorry, I encountered an error processing your message. Please try again.');
             this.uiController.showError('Failed to process chat message. Please try again.');
         } finally {
+            this.endCancelableRequest(controller);
             this.uiController.setButtonLoading('send-chat-message', false);
         }
     }
@@ -2901,6 +4632,8 @@ class TaskpaneApp {
                 setTimeout(() => chatInput.focus(), 100);
             }
         }
+        
+        return messageDiv;
     }
 
     showChatLoading() {
@@ -2923,6 +4656,81 @@ class TaskpaneApp {
         }
     }
 
+    /**
+     * Creates a token callback that renders partial AI output while it streams in
+     * @param {boolean} resetChat - Clear the chat pane and reveal it on the first token (initial response)
+     * @returns {Function} Callback passed to AIService as config.onToken
+     */
+    createStreamingHandler(resetChat = false) {
+        this.streamingMessage = null;
+        
+        return (delta, fullText) => {
+            if (!this.streamingMessage && resetChat) {
+                const chatMessages = document.getElementById('chat-messages');
+                if (chatMessages) {
+                    chatMessages.innerHTML = '';
+                }
+                this.showChatSection();
+            }
+            this.updateStreamingResponse(fullText);
+        };
+    }
+
+    /**
+     * Updates the response draft and the in-progress chat message with streamed text
+     * @param {string} partialText - Response text received so far
+     */
+    updateStreamingResponse(partialText) {
+        if (!partialText || !partialText.trim()) return;
+        
+        if (document.getElementById('response-draft')) {
+            this.displayResponse({ text: partialText });
+        }
+        
+        if (!this.streamingMessage) {
+            this.removeChatLoading();
+            this.streamingMessage = this.addChatMessage('assistant', partialText);
+            if (this.streamingMessage) {
+                this.streamingMessage.classList.add('streaming');
+                this.streamingMessage.setAttribute('aria-busy', 'true');
+            }
+            return;
+        }
+        
+        const content = this.streamingMessage.querySelector('.chat-message-content');
+        if (content) {
+            content.innerHTML = this.renderWithHtmlTables(partialText);
+        }
+        
+        const chatMessages = document.getElementById('chat-messages');
+        if (chatMessages) {
+            chatMessages.scrollTop = chatMessages.scrollHeight;
+        }
+    }
+
+    /**
+     * Completes the in-progress streamed chat message
+     * @param {string|null} finalText - Parsed final text to show, or null to discard the partial message
+     * @returns {boolean} True if a streamed message was present
+     */
+    endStreamingResponse(finalText = null) {
+        const message = this.streamingMessage;
+        this.streamingMessage = null;
+        if (!message) return false;
+        
+        if (finalText) {
+            const content = message.querySelector('.chat-message-content');
+            if (content) {
+                content.innerHTML = this.renderWithHtmlTables(finalText);
+            }
+            message.classList.remove('streaming');
+            message.removeAttribute('aria-busy');
+        } else {
+            message.remove();
+        }
+        return true;
+    }
+
     async clearChatHistory() {
         const chatMessages = document.getElementById('chat-messages');
         if (chatMessages) {
@@ -2931,36 +4739,41 @@ class TaskpaneApp {
 
         // Clear conversation history but keep original email context
         this.conversationHistory = [];
+        this.closeVersionHistory();
         
         // Add a system message
         this.addChatMessage('system', 'Generating fresh response based on analysis...');
         
         // Generate a fresh initial draft based on the analysis
+        const controller = this.beginCancelableRequest();
         try {
             if (this.currentAnalysis && this.originalEmailContext) {
                 // Get current configuration
-                const config = this.getAIConfiguration();
+                const config = { ...this.getAIRequestConfiguration().config, signal: controller.signal };
                 const responseConfig = this.getResponseConfiguration();
                 
                 // Show loading state
-                this.uiController.setButtonLoading('clear-chat', true);
+                this.uiController.setButtonLoading('clear-chat', true, () => controller.abort());
                 
                 // Generate fresh response based on current analysis
+                let response;
                 if (this.originalEmailContext.isSentMail) {
                     // Generate fresh follow-up suggestions for sent mail
-                    this.currentResponse = await this.aiService.generateFollowupSuggestions(
+                    response = await this.aiService.generateFollowupSuggestions(
                         this.currentEmail, 
                         this.currentAnalysis, 
                         { ...config, ...responseConfig }
                     );
                 } else {
                     // Generate fresh response for received mail
-                    this.currentResponse = await this.aiService.generateResponse(
+                    response = await this.aiService.generateResponse(
                         this.currentEmail, 
                         this.currentAnalysis, 
                         { ...config, ...responseConfig }
                     );
                 }
+                controller.signal.throwIfAborted();
+                this.currentResponse = response;
                 
                 // Display the fresh response in main area AND chat
                 this.displayResponse(this.currentResponse);
@@ -2974,17 +4787,27 @@ class TaskpaneApp {
                 const responseContent = this.currentResponse.text || this.currentResponse.suggestions;
                 this.addChatMessage('assistant', responseContent);
                 this.addChatMessage('system', 'Fresh response generated based on original analysis. You can now refine it further.');
+                const providerNotice = this.getProviderFallbackNotice();
+                if (providerNotice) {
+                    this.addChatMessage('system', providerNotice);
+                }
+                this.saveChatSession();
                 
             } else {
                 this.addChatMessage('system', 'Chat history cleared. No analysis available to generate fresh response.');
             }
         } catch (error) {
-            console.error('Failed to generate fresh response:', error);
             if (chatMessages) {
                 chatMessages.innerHTML = '';
             }
-            this.addChatMessage('system', 'Chat history cleared. Failed to generate fresh response - please try generating a new response.');
+            if (this.aiService.isAbortError(error)) {
+                this.addChatMessage('system', 'Chat history cleared. Fresh response generation was stopped.');
+            } else {
+                console.error('Failed to generate fresh response:', error);
+                this.addChatMessage('system', 'Chat history cleared. Failed to generate fresh response - please try generating a new response.');
+            }
         } finally {
+            this.endCancelableRequest(controller);
             this.uiController.setButtonLoading('clear-chat', false);
         }
         
@@ -3094,6 +4917,7 @@ class TaskpaneApp {
             apiKey,
             endpointUrl,
             model,
+            ...this.getDeploymentConfiguration(service, isSettingsOpen),
             settingsManager: this.settingsManager
         };
         
@@ -3149,7 +4973,8 @@ class TaskpaneApp {
             service,
             apiKey,
             endpointUrl,
-            model
+            model,
+            ...this.getDeploymentConfiguration(service, true)
         };
         
         window.debugLog(`getSettingsAIConfiguration returning:`, { 
@@ -3162,6 +4987,36 @@ class TaskpaneApp {
         return config;
     }
 
+    /**
+     * Get deployment settings for azure-openai providers (empty for other formats)
+     * @param {string} service - Provider key
+     * @param {boolean} useFormValues - Prefer unsaved values from the settings panel
+     * @returns {Object} { deployment, apiVersion } or an empty object
+     */
+    getDeploymentConfiguration(service, useFormValues = false) {
+        if (this.defaultProvidersConfig?.[service]?.apiFormat !== 'azure-openai') {
+            return {};
+        }
+        
+        const providerConfig = this.settingsManager.getProviderConfig(service);
+        let deployment = providerConfig['deployment'] || '';
+        let apiVersion = providerConfig['api-version'] || '';
+        
+        if (useFormValues) {
+            const deploymentElement = document.getElementById('azure-deployment');
+            const apiVersionElement = document.getElementById('azure-api-version');
+            if (deploymentElement && deploymentElement.value.trim()) {
+                deployment = deploymentElement.value.trim();
+            }
+            if (apiVersionElement && apiVersionElement.value.trim()) {
+                apiVersion = apiVersionElement.value.trim();
+            }
+        }
+        
+        // Empty values fall back to the provider's ai-providers.json defaults in AIService
+        return { deployment, apiVersion };
+    }
+
     getResponseConfiguration() {
         // Use default values: Brief and Professional
         return {
@@ -3366,6 +5221,71 @@ class TaskpaneApp {
                 this.modelSelect.innerHTML = `<option value="${defaultModel}">${defaultModel}</option>`;
                 this.modelSelect.value = defaultModel;
             }
+        } else if (this.defaultProvidersConfig?.[this.modelServiceSelect.value]?.apiFormat === 'gemini') {
+            // Handle Gemini generateContent services
+            this.modelSelectGroup.style.display = '';
+            this.modelSelect.innerHTML = '<option value="">Loading...</option>';
+            
+            const serviceKey = this.modelServiceSelect.value;
+            const providerConfig = this.settingsManager.getProviderConfig(serviceKey);
+            
+            try {
+                const aiService = new AIService(this.defaultProvidersConfig);
+                models = await aiService.fetchGeminiModels({
+                    service: serviceKey,
+                    apiKey: providerConfig['api-key'] || ''
+                });
+                
+                // Check if this operation is still valid (prevents race conditions)
+                if (this._currentModelDropdownOperation !== operationId) {
+                    return;
+                }
+                
+                // Verify we're still on the same provider after async operation
+                if (this.modelServiceSelect.value !== providerAtStart) {
+                    return;
+                }
+                
+                this.modelSelect.innerHTML = models.length
+                    ? models.map(m => `<option value="${m.id}">${m.name}</option>`).join('')
+                    : '<option value="">No models found</option>';
+                
+                // Always use default model from ai-providers.json
+                preferred = this.defaultProvidersConfig?.[serviceKey]?.defaultModel || models[0]?.id || '';
+                
+                if (preferred && models.find(m => m.id === preferred)) {
+                    this.modelSelect.value = preferred;
+                } else if (models.length) {
+                    this.modelSelect.value = models[0].id;
+                }
+            } catch (err) {
+                // Check if this operation is still valid (prevents race conditions)
+                if (this._currentModelDropdownOperation !== operationId) {
+                    return;
+                }
+                
+                // Verify we're still on the same provider after async operation
+                if (this.modelServiceSelect.value !== providerAtStart) {
+                    return;
+                }
+                
+                errorMsg = `Error fetching Gemini models: ${err.message || err}`;
+                this.modelSelect.innerHTML = '<option value="">Error fetching models</option>';
+            }
+        } else if (this.defaultProvidersConfig?.[this.modelServiceSelect.value]?.apiFormat === 'azure-openai') {
+            // Azure-style endpoints serve a single model per deployment, so there is no model list to fetch
+            this.modelSelectGroup.style.display = '';
+            
+            const { deployment } = this.getDeploymentConfiguration(this.modelServiceSelect.value);
+            const deploymentName = deployment || this.defaultProvidersConfig[this.modelServiceSelect.value].deployment || '';
+            
+            if (deploymentName) {
+                this.modelSelect.innerHTML = `<option value="${deploymentName}">${deploymentName} (deployment)</option>`;
+                this.modelSelect.value = deploymentName;
+            } else {
+                this.modelSelect.innerHTML = '<option value="">No deployment configured</option>';
+                errorMsg = 'Deployment name is not set. Please set the deployment name in the settings panel.';
+            }
         } else if (this.defaultProvidersConfig?.[this.modelServiceSelect.value]?.apiFormat === 'bedrock') {
             // Handle AWS Bedrock services
             this.modelSelectGroup.style.display = '';
@@ -3431,7 +5351,7 @@ class TaskpaneApp {
             }
         } else if (this.modelServiceSelect.value !== 'ollama' && 
                    this.defaultProvidersConfig?.[this.modelServiceSelect.value]?.apiFormat !== 'bedrock') {
-            // Handle OpenAI-compatible services (openai, onsite1, onsite2, etc.)
+            // Handle OpenAI-compatible services (openai, onsite1, onsite2, etc.) and Anthropic Messages endpoints
             this.modelSelectGroup.style.display = '';
             this.modelSelect.innerHTML = '<option value="">Loading...</option>';
             
@@ -3457,7 +5377,10 @@ class TaskpaneApp {
             const apiKey = providerConfig['api-key'] || '';
             
             try {
-                models = await AIService.fetchOpenAICompatibleModels(endpoint, apiKey);
+                const serviceConfig = this.defaultProvidersConfig?.[serviceKey];
+                models = serviceConfig?.apiFormat === 'anthropic'
+                    ? await AIService.fetchAnthropicModels(endpoint, apiKey, serviceConfig.anthropicVersion)
+                    : await AIService.fetchOpenAICompatibleModels(endpoint, apiKey);
                 
                 // Check if this operation is still valid (prevents race conditions)
                 if (this._currentModelDropdownOperation !== operationId) {
@@ -3542,7 +5465,7 @@ class TaskpaneApp {
                 displayMessage = '🚫 ' + errorMsg + '\n\n💡 Tip: Contact your administrator to verify API key permissions.';
             } else if (errorMsg.includes('Service not found')) {
                 displayMessage = '🔗 ' + errorMsg + '\n\n💡 Tip: Verify your endpoint URL is correct and the service is running.';
-            } else if (errorMsg.includes('Rate limit exceeded')) {
+            } else if (errorMsg.includes('Rate limit exceeded') || errorMsg.includes('Service overloaded')) {
                 displayMessage = '⏰ ' + errorMsg + '\n\n💡 Tip: Wait a few moments before trying again.';
             }
             
@@ -3575,26 +5498,32 @@ class TaskpaneApp {
         // Make sure the analysis section is visible
         this.showAnalysisSection();
         
-        // Build due dates section if present
+        // Build due dates section if present; dates that can be read get calendar actions
         let dueDatesHtml = '';
         if (analysis.dueDates && analysis.dueDates.length > 0) {
-            const dueDateItems = analysis.dueDates.map(dueDate => {
+            const dueDateItems = analysis.dueDates.map((dueDate, index) => {
                 const urgentClass = dueDate.isUrgent ? 'urgent-due-date' : '';
-                const dateDisplay = dueDate.date !== 'unspecified' ? dueDate.date : 'Date not specified';
-                const timeDisplay = dueDate.time !== 'unspecified' ? ` at ${dueDate.time}` : '';
+                const event = this.calendarExporter.toEvent(dueDate);
+                const dateDisplay = event
+                    ? this.calendarExporter.formatEvent(event)
+                    : (dueDate.date && dueDate.date !== 'unspecified' ? this.escapeHtml(dueDate.date) : 'Date not specified');
                 
                 return `<li class="due-date-item ${urgentClass}">
                     <strong>${this.escapeHtml(dueDate.description)}</strong><br>
-                    <span class="due-date-info">Due: ${dateDisplay}${timeDisplay}</span>
+                    <span class="due-date-info">Due: ${dateDisplay}</span>
                     ${dueDate.isUrgent ? '<span class="urgent-badge">URGENT</span>' : ''}
+                    ${event ? `<button class="btn btn-secondary due-date-action add-to-calendar" type="button" data-due-index="${index}">📅 Add to calendar</button>` : ''}
                 </li>`;
             }).join('');
             
+            const hasEvents = analysis.dueDates.some(dueDate => this.calendarExporter.toEvent(dueDate));
+            
             dueDatesHtml = `
                 <h3 class="due-dates-header">⏰ Due Dates & Deadlines</h3>
                 <ul class="due-dates-list">
                     ${dueDateItems}
                 </ul>
+                ${hasEvents ? '<button id="export-due-dates" class="btn btn-secondary due-date-action" type="button">⬇️ Download all (.ics)</button>' : ''}
             `;
         }
         
@@ -3627,6 +5556,93 @@ class TaskpaneApp {
                 ` : ''}
             </div>
         `;
+        
+        container.querySelectorAll('.add-to-calendar').forEach(button => {
+            button.addEventListener('click', () => this.addDueDateToCalendar(Number(button.dataset.dueIndex)));
+        });
+        document.getElementById('export-due-dates')?.addEventListener('click', () => this.exportDueDates());
+    }
+
+    /**
+     * Open a new Outlook appointment prefilled from an extracted due date
+     * @param {number} index - Index into the current analysis' dueDates
+     */
+    addDueDateToCalendar(index) {
+        const dueDate = this.currentAnalysis?.dueDates?.[index];
+        const event = dueDate && this.calendarExporter.toEvent(dueDate);
+        if (!event) {
+            this.uiController.showError('This due date could not be read as a calendar date.');
+            return;
+        }
+        
+        const mailbox = Office.context.mailbox;
+        if (typeof mailbox?.displayNewAppointmentForm !== 'function') {
+            this.uiController.showError('Creating appointments is not supported in this version of Outlook. Use "Download all (.ics)" instead.');
+            return;
+        }
+        
+        const { start, end } = this.calendarExporter.getAppointmentTimes(event);
+        const source = [
+            this.currentEmail?.subject && `Email: ${this.currentEmail.subject}`,
+            this.currentEmail?.from && `From: ${this.currentEmail.from}`
+        ].filter(Boolean).join('\n');
+        
+        try {
+            mailbox.displayNewAppointmentForm({
+                requiredAttendees: [],
+                optionalAttendees: [],
+                start,
+                end,
+                location: '',
+                resources: [],
+                subject: event.title,
+                body: [event.allDay ? `${event.description} (due ${this.calendarExporter.formatEvent(event)})` : event.description, source]
+                    .filter(Boolean)
+                    .join('\n\n')
+            });
+            
+            this.logger.logEvent('due_date_added_to_calendar', {
+                due_date_type: event.type || 'unspecified',
+                all_day: event.allDay,
+                is_urgent: event.isUrgent
+            }, 'Information', this.getUserEmailForTelemetry());
+        } catch (error) {
+            console.error('Failed to open appointment form:', error);
+            this.uiController.showError('Failed to open a new appointment: ' + error.message);
+        }
+    }
+
+    /**
+     * Download all readable due dates from the current analysis as an .ics file
+     */
+    exportDueDates() {
+        const events = (this.currentAnalysis?.dueDates || [])
+            .map(dueDate => this.calendarExporter.toEvent(dueDate))
+            .filter(Boolean);
+        if (!events.length) {
+            this.uiController.showError('No due dates with a readable date to export.');
+            return;
+        }
+        
+        const ics = this.calendarExporter.buildIcs(events, {
+            subject: this.currentEmail?.subject,
+            from: this.currentEmail?.from
+        });
+        const fileName = `${(this.currentEmail?.subject || 'email').replace(/[^\w\s-]/g, '').trim().substring(0, 60) || 'email'} - due dates.ics`;
+        
+        const url = URL.createObjectURL(new Blob([ics], { type: 'text/calendar;charset=utf-8' }));
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = fileName;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        setTimeout(() => URL.revokeObjectURL(url), 1000);
+        
+        this.uiController.showSuccess(`Downloaded ${events.length} due date${events.length === 1 ? '' : 's'} as ${fileName}`);
+        this.logger.logEvent('due_dates_exported', {
+            event_count: events.length
+        }, 'Information', this.getUserEmailForTelemetry());
     }
 
     displayResponse(response) {
@@ -3803,6 +5819,127 @@ class TaskpaneApp {
         }
     }
 
+    /**
+     * Gets the latest response text for inserting into Outlook
+     * @returns {string} Response text, or '' when there is no response
+     */
+    getInsertableResponseText() {
+        if (!this.currentResponse || this.currentResponse.type === 'followup') return '';
+        return (this.currentResponse.text || '').trim();
+    }
+
+    /**
+     * Builds Outlook HTML for a response: text is escaped, HTML tables are kept
+     * (sanitized the same way as in the chat) and styled for Outlook
+     * @param {string} responseText - Raw response text
+     * @returns {string} HTML body content
+     */
+    formatResponseForInsertion(responseText) {
+        const safeText = responseText
+            .split(/(<table[\s\S]*?<\/table>)/gi)
+            .map(part => /^<table/i.test(part)
+                // Newlines inside a table would otherwise become <br> between cells
+                ? this.sanitizeHtmlTable(part).replace(/>\s+</g, '><')
+                : this.escapeHtml(part))
+            .join('');
+        
+        return this.formatResponseForOutlookHtml(safeText);
+    }
+
+    /**
+     * Open an Outlook reply form (read mode) prefilled with the latest response
+     * @param {boolean} replyAll - Reply to all recipients instead of just the sender
+     */
+    replyWithResponse(replyAll = false) {
+        const responseText = this.getInsertableResponseText();
+        if (!responseText) {
+            this.uiController.showError('No response to reply with. Generate a response first.');
+            return;
+        }
+        
+        const item = Office.context.mailbox.item;
+        if (!item || typeof item.displayReplyForm !== 'function') {
+            this.uiController.showError('Replying is only available while reading a received message.');
+            return;
+        }
+        
+        try {
+            const formData = { htmlBody: this.formatResponseForInsertion(responseText) };
+            if (replyAll) {
+                item.displayReplyAllForm(formData);
+            } else {
+                item.displayReplyForm(formData);
+            }
+            
+            this.uiController.showStatus(replyAll ? 'Reply all opened with your response.' : 'Reply opened with your response.');
+            
+            this.logger.logEvent('response_inserted', {
+                insert_method: replyAll ? 'reply_all_form' : 'reply_form',
+                refinement_count: this.refinementCount,
+                response_length: responseText.length,
+                contains_tables: /<table[\s\S]*?<\/table>/i.test(responseText)
+            }, 'Information', this.getUserEmailForTelemetry());
+        } catch (error) {
+            console.error('Failed to open reply form:', error);
+            this.uiController.showError('Could not open the reply form. Copy the response instead.');
+        }
+    }
+
+    /**
+     * Insert the latest response at the cursor of the message being composed
+     * Uses HTML when the draft body is HTML and plain text otherwise
+     */
+    async insertResponseAtCursor() {
+        const responseText = this.getInsertableResponseText();
+        if (!responseText) {
+            this.uiController.showError('No response to insert. Generate a response first.');
+            return;
+        }
+        
+        const item = Office.context.mailbox.item;
+        if (!item || !item.body || typeof item.body.setSelectedDataAsync !== 'function') {
+            this.uiController.showError('Inserting is only available while composing a message.');
+            return;
+        }
+        
+        try {
+            const bodyType = await new Promise((resolve) => {
+                item.body.getTypeAsync((result) => {
+                    // Assume HTML if the body type cannot be read; Outlook converts it for plain text drafts
+                    resolve(result.status === Office.AsyncResultStatus.Succeeded ? result.value : Office.CoercionType.Html);
+                });
+            });
+            
+            const isHtml = bodyType === Office.CoercionType.Html;
+            const data = isHtml
+                ? this.formatResponseForInsertion(responseText)
+                : this.formatForOutlookClipboard(responseText);
+            
+            await new Promise((resolve, reject) => {
+                item.body.setSelectedDataAsync(data, { coercionType: isHtml ? Office.CoercionType.Html : Office.CoercionType.Text }, (result) => {
+                    if (result.status === Office.AsyncResultStatus.Failed) {
+                        reject(new Error(result.error.message));
+                        return;
+                    }
+                    resolve();
+                });
+            });
+            
+            this.uiController.showStatus('Response inserted into your message.');
+            
+            this.logger.logEvent('response_inserted', {
+                insert_method: 'insert_at_cursor',
+                body_type: isHtml ? 'html' : 'text',
+                refinement_count: this.refinementCount,
+                response_length: responseText.length,
+                contains_tables: /<table[\s\S]*?<\/table>/i.test(responseText)
+            }, 'Information', this.getUserEmailForTelemetry());
+        } catch (error) {
+            console.error('Failed to insert response:', error);
+            this.uiController.showError('Could not insert the response: ' + error.message);
+        }
+    }
+
     /**
      * Copies response with HTML table support to clipboard
      * @param {string} responseText - The response text containing HTML tables
@@ -4148,12 +6285,158 @@ class TaskpaneApp {
     clearConversationHistory() {
         this.conversationHistory = [];
         this.originalEmailContext = null;
+        this.closeVersionHistory();
         
         if (window.debugLog) {
 
         }
     }
 
+    /**
+     * Lists the drafts in the conversation: the first response, then the result of each refinement
+     * @returns {Array<Object>} Versions as { label, text }
+     */
+    getResponseVersions() {
+        if (this.conversationHistory.length === 0) {
+            const text = this.currentResponse?.text || this.currentResponse?.suggestions;
+            return text ? [{ label: 'v1 · Original', text }] : [];
+        }
+        
+        const versions = [{ label: 'v1 · Original', text: this.conversationHistory[0].previousResponse }];
+        this.conversationHistory.forEach((step, index) => {
+            const instruction = step.userInstruction.length > 40
+                ? step.userInstruction.substring(0, 40) + '…'
+                : step.userInstruction;
+            versions.push({ label: `v${index + 2} · ${instruction}`, text: step.newResponse });
+        });
+        return versions;
+    }
+
+    /**
+     * Show the version history panel comparing the previous draft with the latest one
+     */
+    openVersionHistory() {
+        const versions = this.getResponseVersions();
+        if (versions.length < 2) {
+            this.uiController.showStatus('No refinements yet. Versions appear after you refine the response in chat.');
+            return;
+        }
+        
+        this.populateVersionPickers(versions, versions.length - 2, versions.length - 1);
+        document.getElementById('version-history').classList.remove('hidden');
+        this.renderVersionDiff();
+    }
+
+    /**
+     * Hide the version history panel
+     */
+    closeVersionHistory() {
+        document.getElementById('version-history')?.classList.add('hidden');
+    }
+
+    /**
+     * Update the open version history panel after a new draft, comparing against the new latest version
+     */
+    refreshVersionHistory() {
+        const panel = document.getElementById('version-history');
+        if (panel && !panel.classList.contains('hidden')) {
+            this.openVersionHistory();
+        }
+    }
+
+    /**
+     * Fill the From/To version pickers
+     * @param {Array<Object>} versions - Result of getResponseVersions
+     * @param {number} fromIndex - Version selected in From
+     * @param {number} toIndex - Version selected in To
+     */
+    populateVersionPickers(versions, fromIndex, toIndex) {
+        const options = versions.map((version, index) =>
+            `<option value="${index}">${this.escapeHtml(version.label)}</option>`
+        ).join('');
+        
+        const fromSelect = document.getElementById('diff-from');
+        const toSelect = document.getElementById('diff-to');
+        fromSelect.innerHTML = options;
+        toSelect.innerHTML = options;
+        fromSelect.value = String(fromIndex);
+        toSelect.value = String(toIndex);
+    }
+
+    /**
+     * Render the word-level diff between the selected versions with highlighted insertions and deletions
+     */
+    renderVersionDiff() {
+        const versions = this.getResponseVersions();
+        const fromVersion = versions[Number(document.getElementById('diff-from').value)];
+        const toVersion = versions[Number(document.getElementById('diff-to').value)];
+        const diffContainer = document.getElementById('version-diff');
+        const summary = document.getElementById('version-diff-summary');
+        
+        if (!fromVersion || !toVersion) {
+            diffContainer.innerHTML = '';
+            summary.textContent = '';
+            return;
+        }
+        
+        // Compare tables by their cell text rather than their markup
+        const toDiffText = text => (text || '').replace(/<table[\s\S]*?<\/table>/gi, table => this.convertHtmlTableToPlainText(this.sanitizeHtmlTable(table)));
+        const segments = this.textDiff.diffWords(toDiffText(fromVersion.text), toDiffText(toVersion.text));
+        
+        diffContainer.innerHTML = segments.map(segment => {
+            const text = this.escapeHtml(segment.text);
+            if (segment.type === 'insert') return `<ins>${text}</ins>`;
+            if (segment.type === 'delete') return `<del>${text}</del>`;
+            return text;
+        }).join('');
+        
+        const { inserted, deleted } = this.textDiff.summarize(segments);
+        summary.textContent = inserted || deleted
+            ? `+${inserted} words added · −${deleted} words removed`
+            : 'No changes between these versions.';
+    }
+
+    /**
+     * Restore the version selected in To as the current draft; later refinements start from it
+     */
+    revertToVersion() {
+        const versions = this.getResponseVersions();
+        const index = Number(document.getElementById('diff-to').value);
+        const version = versions[index];
+        if (!version) return;
+        
+        const previousResponse = this.currentResponse?.text || this.currentResponse?.suggestions || '';
+        if (version.text === previousResponse) {
+            this.uiController.showStatus('This version is already the current draft.');
+            return;
+        }
+        
+        this.currentResponse = {
+            ...this.currentResponse,
+            text: version.text,
+            generatedAt: new Date().toISOString(),
+            wordCount: version.text.split(/\s+/).filter(Boolean).length
+        };
+        if (this.currentResponse.type === 'followup') {
+            this.currentResponse.suggestions = version.text;
+        }
+        
+        // Record the revert as a step so the model sees the restored draft as the latest
+        this.addToConversationHistory(`Revert to version ${index + 1}`, previousResponse, version.text);
+        
+        this.addChatMessage('assistant', version.text);
+        this.addChatMessage('system', `Reverted to version ${index + 1}. Further refinements start from this draft.`);
+        
+        this.logger.logEvent('response_version_reverted', {
+            reverted_to_version: index + 1,
+            version_count: versions.length,
+            response_length: version.text.length
+        }, 'Information', this.getUserEmailForTelemetry());
+        
+        this.closeVersionHistory();
+        this.saveChatSession();
+    }
+
     /**
      * Converts an HTML table to plain text representation
      * @param {string} tableHtml - HTML table string
@@ -4386,9 +6669,23 @@ class TaskpaneApp {
             // Chat active - hide Step 3, show Step 4
             if (step3SectionChat) step3SectionChat.classList.add('hidden');
             if (step4Section) step4Section.classList.remove('hidden');
+            this.updateInsertActions();
         }
     }
 
+    /**
+     * Show the Outlook insert actions that fit the current item: reply buttons when reading
+     * a received message, insert at cursor when composing; none for sent-mail follow-up suggestions
+     */
+    updateInsertActions() {
+        const context = this.currentEmail?.context || {};
+        const canReply = !context.isCompose && !context.isSentMail;
+        
+        document.getElementById('reply-with-response')?.classList.toggle('hidden', !canReply);
+        document.getElementById('reply-all-with-response')?.classList.toggle('hidden', !canReply);
+        document.getElementById('insert-response')?.classList.toggle('hidden', !context.isCompose);
+    }
+
     async onModelServiceChange(event) {
         if (window.debugLog) window.debugLog('onModelServiceChange triggered:', {
             value: event.target.value,
@@ -4401,6 +6698,9 @@ class TaskpaneApp {
             return;
         }
         
+        // The dropdowns now name the provider to use, not a draft picked in compare mode
+        this.comparisonSelection = null;
+        
         // Immediately clear model dropdown to prevent showing stale data from previous provider
         this.clearModelDropdownState();
         if (this.modelSelect) {
@@ -4473,6 +6773,9 @@ class TaskpaneApp {
             provider: this.modelServiceSelect?.value
         });
         
+        // The dropdowns now name the model to use, not a draft picked in compare mode
+        this.comparisonSelection = null;
+        
         // Only clear if this is actually a change (not just initialization)
         const oldModel = event.target.dataset.oldValue;
         if (oldModel && oldModel !== 'undefined' && oldModel !== event.target.value) {
@@ -4490,6 +6793,8 @@ class TaskpaneApp {
     openSettings() {
         // Update current provider/model info in settings
         this.updateSettingsProviderInfo();
+        this.updateResponseCacheStats();
+        this.updateChatSessionStats();
         document.getElementById('settings-panel').classList.remove('hidden');
     }
 
@@ -5294,7 +7599,18 @@ class TaskpaneApp {
             endpointUrl: 'ALWAYS_EMPTY (using ai-providers.json default)'
         });
         
-        await this.settingsManager.setProviderConfig(provider, finalApiKey, endpointUrl);
+        // Azure-style providers also carry a deployment name and api-version
+        let providerFields = {};
+        if (this.defaultProvidersConfig?.[provider]?.apiFormat === 'azure-openai') {
+            const deploymentElement = document.getElementById('azure-deployment');
+            const apiVersionElement = document.getElementById('azure-api-version');
+            providerFields = {
+                'deployment': deploymentElement ? deploymentElement.value : '',
+                'api-version': apiVersionElement ? apiVersionElement.value : ''
+            };
+        }
+        
+        await this.settingsManager.setProviderConfig(provider, finalApiKey, endpointUrl, '', providerFields);
 
     }
 
@@ -5382,6 +7698,24 @@ class TaskpaneApp {
 
         }
         
+        // Deployment settings are only relevant for azure-openai providers
+        const azureSettings = document.getElementById('azure-openai-settings');
+        if (azureSettings) {
+            const defaultConfig = this.defaultProvidersConfig?.[provider];
+            const isAzure = defaultConfig?.apiFormat === 'azure-openai';
+            azureSettings.classList.toggle('hidden', !isAzure);
+            
+            const deploymentElement = document.getElementById('azure-deployment');
+            const apiVersionElement = document.getElementById('azure-api-version');
+            if (deploymentElement) {
+                deploymentElement.value = isAzure ? (providerConfig['deployment'] || '') : '';
+                deploymentElement.placeholder = (isAzure && defaultConfig.deployment) || 'Deployment name';
+            }
+            if (apiVersionElement) {
+                apiVersionElement.value = isAzure ? (providerConfig['api-version'] || '') : '';
+                apiVersionElement.placeholder = (isAzure && defaultConfig.apiVersion) || '2024-06-01';
+            }
+        }
 
     }
 
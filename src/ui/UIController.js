@@ -41,8 +41,9 @@ export class UIController {
      * Sets loading state for a specific button
      * @param {string} buttonId - ID of the button
      * @param {boolean} isLoading - Whether button is in loading state
+     * @param {Function} onStop - Optional callback; when provided a Stop button is shown next to the loading button
      */
-    setButtonLoading(buttonId, isLoading) {
+    setButtonLoading(buttonId, isLoading, onStop = null) {
         const button = document.getElementById(buttonId);
         if (!button) return;
 
@@ -50,7 +51,8 @@ export class UIController {
             // Store original content
             this.loadingStates.set(buttonId, {
                 originalText: button.innerHTML,
-                originalDisabled: button.disabled
+                originalDisabled: button.disabled,
+                stopButton: typeof onStop === 'function' ? this.createStopButton(button, onStop) : null
             });
 
             // Set loading state
@@ -74,11 +76,54 @@ export class UIController {
                 button.classList.remove('loading');
                 button.removeAttribute('aria-label');
                 
+                if (originalState.stopButton) {
+                    originalState.stopButton.remove();
+                }
+                
                 this.loadingStates.delete(buttonId);
             }
         }
     }
 
+    /**
+     * Updates the label of every button currently in loading state (e.g. retry progress)
+     * @param {string} message - Progress text shown next to the spinner
+     */
+    setLoadingProgress(message) {
+        this.loadingStates.forEach((state, buttonId) => {
+            const button = document.getElementById(buttonId);
+            if (!button) return;
+            
+            const spinner = '<span class="spinner-small" aria-hidden="true"></span>';
+            button.innerHTML = `${spinner} ${message}`;
+            button.setAttribute('aria-label', message);
+        });
+    }
+
+    /**
+     * Creates a Stop button next to a loading button
+     * @param {HTMLElement} button - The button in loading state
+     * @param {Function} onStop - Callback invoked when Stop is clicked
+     * @returns {HTMLElement} The inserted Stop button
+     */
+    createStopButton(button, onStop) {
+        const label = button.textContent.trim();
+        const stopButton = document.createElement('button');
+        stopButton.type = 'button';
+        stopButton.id = `${button.id}-stop`;
+        stopButton.className = 'btn btn-secondary stop-request-btn';
+        stopButton.innerHTML = '<span aria-hidden="true">⏹</span> Stop';
+        stopButton.setAttribute('aria-label', `Stop ${label}`);
+        
+        stopButton.addEventListener('click', () => {
+            stopButton.disabled = true;
+            onStop();
+        });
+        
+        button.insertAdjacentElement('afterend', stopButton);
+        return stopButton;
+    }
+
     /**
      * Shows a status message to the user
      * @param {string} message - Status message
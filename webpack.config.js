@@ -71,6 +71,14 @@ module.exports = {
         {
           from: './src/config/telemetry.json',
           to: 'config/telemetry.json'
+        },
+        {
+          from: './src/config/boilerplate.json',
+          to: 'config/boilerplate.json'
+        },
+        {
+          from: './src/config/marking-scheme.json',
+          to: 'config/marking-scheme.json'
         }
       ]
     })